@@ -13,14 +13,28 @@ DROP TABLE IF EXISTS projects;
 DROP TABLE IF EXISTS notifications;
 DROP TABLE IF EXISTS invoices;
 DROP TABLE IF EXISTS subscriptions;
+DROP TABLE IF EXISTS audit_log_archives;
+DROP TABLE IF EXISTS audit_log_chains;
 DROP TABLE IF EXISTS audit_logs;
+DROP TABLE IF EXISTS tenant_exports;
+DROP TABLE IF EXISTS platform_audit_logs;
+DROP TABLE IF EXISTS platform_operators;
+DROP TABLE IF EXISTS sso_states;
+DROP TABLE IF EXISTS api_tokens;
+DROP TABLE IF EXISTS login_attempts;
+DROP TABLE IF EXISTS mfa_recovery_codes;
+DROP TABLE IF EXISTS email_verifications;
+DROP TABLE IF EXISTS password_history;
+DROP TABLE IF EXISTS password_resets;
 DROP TABLE IF EXISTS user_sessions;
 DROP TABLE IF EXISTS user_invitations;
+DROP TABLE IF EXISTS user_imports;
 DROP TABLE IF EXISTS role_permissions;
 DROP TABLE IF EXISTS permissions;
 DROP TABLE IF EXISTS user_roles;
 DROP TABLE IF EXISTS roles;
 DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS tenant_slug_redirects;
 DROP TABLE IF EXISTS tenants;
 
 -- Tenants (Organizations) Table
@@ -34,31 +48,56 @@ CREATE TABLE tenants (
     plan_limits JSON,
     settings JSON,
     status ENUM('active', 'suspended', 'deleted') DEFAULT 'active',
+    closed_at TIMESTAMP NULL,
+    closed_by INT NULL,
+    purge_after TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX idx_slug (slug),
     INDEX idx_status (status)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Retired Tenant Slugs (still resolve to the tenant)
+CREATE TABLE tenant_slug_redirects (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    tenant_id INT NOT NULL,
+    slug VARCHAR(255) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Users Table
 CREATE TABLE users (
     id INT PRIMARY KEY AUTO_INCREMENT,
     tenant_id INT NOT NULL,
     email VARCHAR(255) NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
+    password_changed_at TIMESTAMP NULL,
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     avatar_url VARCHAR(500),
     phone VARCHAR(20),
-    status ENUM('active', 'inactive', 'invited') DEFAULT 'invited',
+    -- offboarded: anonymized placeholder kept so historical records keep an author
+    status ENUM('active', 'inactive', 'invited', 'offboarded') DEFAULT 'invited',
     email_verified BOOLEAN DEFAULT FALSE,
+    pending_email VARCHAR(255) NULL,
+    mfa_enabled BOOLEAN DEFAULT FALSE,
+    mfa_secret VARCHAR(64),
+    mfa_last_step BIGINT NULL,
+    failed_login_count INT DEFAULT 0,
+    locked_until TIMESTAMP NULL,
+    is_service_account BOOLEAN DEFAULT FALSE,
+    -- Identity provider's id for the user (SCIM externalId)
+    external_id VARCHAR(255) NULL,
     last_login TIMESTAMP NULL,
+    offboarded_at TIMESTAMP NULL,
     preferences JSON,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
     UNIQUE KEY unique_email_tenant (email, tenant_id),
     INDEX idx_tenant_email (tenant_id, email),
+    INDEX idx_tenant_external (tenant_id, external_id),
     INDEX idx_status (status)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
@@ -69,6 +108,8 @@ CREATE TABLE roles (
     name VARCHAR(100) NOT NULL,
     description TEXT,
     is_system_role BOOLEAN DEFAULT FALSE,
+    -- Identity provider's id for the group (SCIM externalId)
+    external_id VARCHAR(255) NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
@@ -91,6 +132,7 @@ INSERT INTO permissions (name, description, category) VALUES
 ('users.create', 'Create users', 'users'),
 ('users.edit', 'Edit users', 'users'),
 ('users.delete', 'Delete users', 'users'),
+('users.impersonate', 'Sign in as another user for support', 'users'),
 ('projects.view', 'View projects', 'projects'),
 ('projects.create', 'Create projects', 'projects'),
 ('projects.edit', 'Edit projects', 'projects'),
@@ -127,20 +169,49 @@ CREATE TABLE user_roles (
     FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- User Imports (bulk invitations from CSV; the report is kept for download)
+CREATE TABLE user_imports (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    tenant_id INT NOT NULL,
+    requested_by INT NULL,
+    file_name VARCHAR(255),
+    dry_run BOOLEAN NOT NULL DEFAULT TRUE,
+    status ENUM('validated', 'sending', 'completed', 'failed') NOT NULL,
+    total_rows INT NOT NULL DEFAULT 0,
+    valid_rows INT NOT NULL DEFAULT 0,
+    error_rows INT NOT NULL DEFAULT 0,
+    invited_count INT NOT NULL DEFAULT 0,
+    emails_sent INT NOT NULL DEFAULT 0,
+    report JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_tenant_created (tenant_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- User Invitations
 CREATE TABLE user_invitations (
     id INT PRIMARY KEY AUTO_INCREMENT,
     tenant_id INT NOT NULL,
     email VARCHAR(255) NOT NULL,
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
     invited_by INT NOT NULL,
     token VARCHAR(500) NOT NULL,
     role_id INT NOT NULL,
+    -- Every role granted on acceptance (role_id is the first); NULL means role_id alone
+    role_ids JSON,
+    -- Projects the user joins on acceptance
+    project_ids JSON,
+    import_id INT NULL,
     status ENUM('pending', 'accepted', 'expired') DEFAULT 'pending',
     expires_at TIMESTAMP NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
     FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (import_id) REFERENCES user_imports(id) ON DELETE SET NULL,
     INDEX idx_token (token),
     INDEX idx_status (status)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -149,6 +220,7 @@ CREATE TABLE user_invitations (
 CREATE TABLE user_sessions (
     id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
+    family_id VARCHAR(64) NOT NULL,
     refresh_token VARCHAR(500) NOT NULL,
     device_info VARCHAR(500),
     ip_address VARCHAR(50),
@@ -158,10 +230,110 @@ CREATE TABLE user_sessions (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_used TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_family (family_id),
     INDEX idx_user_token (user_id, refresh_token(255)),
     INDEX idx_expires (expires_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Password Resets
+CREATE TABLE password_resets (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash VARCHAR(255) NOT NULL,
+    ip_address VARCHAR(50),
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_expires (user_id, expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Password History (bcrypt hashes of recently used passwords)
+CREATE TABLE password_history (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Email Verifications (current address or a pending email change)
+CREATE TABLE email_verifications (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    ip_address VARCHAR(50),
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_token_hash (token_hash),
+    INDEX idx_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- MFA Recovery Codes (bcrypt hashed, single use)
+CREATE TABLE mfa_recovery_codes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash VARCHAR(255) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Login Attempts (brute-force protection)
+CREATE TABLE login_attempts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    email VARCHAR(255) NOT NULL,
+    ip_address VARCHAR(50),
+    user_agent TEXT,
+    tenant_id INT NULL,
+    user_id INT NULL,
+    success BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_email_ip (email, ip_address, created_at),
+    INDEX idx_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- API Tokens (personal access tokens and service account tokens)
+CREATE TABLE api_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    tenant_id INT NOT NULL,
+    user_id INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    token_prefix VARCHAR(20) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    scopes JSON NOT NULL,
+    last_used_at TIMESTAMP NULL,
+    last_used_ip VARCHAR(50),
+    expires_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_token_hash (token_hash),
+    INDEX idx_tenant_user (tenant_id, user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- SSO States (OIDC authorization requests in flight)
+CREATE TABLE sso_states (
+    state VARCHAR(128) PRIMARY KEY,
+    tenant_id INT NOT NULL,
+    nonce VARCHAR(128) NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+    INDEX idx_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Projects Table
 CREATE TABLE projects (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -370,9 +542,93 @@ CREATE TABLE audit_logs (
     ip_address VARCHAR(50),
     user_agent TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Hash chain: prev_hash is the hash of the tenant's previous entry (NULL for the first)
+    prev_hash CHAR(64),
+    hash CHAR(64) NOT NULL,
+    -- No foreign key to users: rows are never rewritten, so the actor id outlives the user
     FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
     INDEX idx_tenant_action (tenant_id, action),
+    INDEX idx_tenant_created (tenant_id, created_at),
+    INDEX idx_user (user_id),
     INDEX idx_entity (entity_type, entity_id),
     INDEX idx_created (created_at)
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
\ No newline at end of file
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Audit Log Chains (one row per tenant; its lock serializes audit writes)
+CREATE TABLE audit_log_chains (
+    tenant_id INT PRIMARY KEY,
+    head_id INT,
+    head_hash CHAR(64),
+    -- Last entry moved to an archive; live entries continue from it
+    archived_through_id INT,
+    archived_hash CHAR(64),
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Audit Log Archives (gzipped NDJSON of entries past the tenant's retention period)
+CREATE TABLE audit_log_archives (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    tenant_id INT NOT NULL,
+    first_id INT NOT NULL,
+    last_id INT NOT NULL,
+    entry_count INT NOT NULL,
+    first_created_at TIMESTAMP NULL,
+    last_created_at TIMESTAMP NULL,
+    first_prev_hash CHAR(64),
+    last_hash CHAR(64) NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    file_size BIGINT,
+    checksum CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+    INDEX idx_tenant (tenant_id, first_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Tenant Data Exports (background jobs producing a downloadable archive)
+CREATE TABLE tenant_exports (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    tenant_id INT NOT NULL,
+    requested_by INT,
+    status ENUM('pending', 'running', 'completed', 'failed', 'expired') DEFAULT 'pending',
+    progress INT DEFAULT 0,
+    current_step VARCHAR(50),
+    file_path VARCHAR(500),
+    file_size BIGINT,
+    error TEXT,
+    expires_at TIMESTAMP NULL,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_tenant_status (tenant_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Platform Audit Log (no tenant foreign key, so entries outlive purged tenants)
+CREATE TABLE platform_audit_logs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    tenant_id INT NULL,
+    tenant_name VARCHAR(255),
+    tenant_slug VARCHAR(255),
+    actor_type ENUM('user', 'operator', 'system') DEFAULT 'system',
+    actor_id INT NULL,
+    actor_email VARCHAR(255),
+    action VARCHAR(100) NOT NULL,
+    details JSON,
+    ip_address VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_tenant (tenant_id),
+    INDEX idx_action (action),
+    INDEX idx_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Platform Operators (staff accounts for /api/platform, separate from tenant users)
+CREATE TABLE platform_operators (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    status ENUM('active', 'disabled') DEFAULT 'active',
+    last_login TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
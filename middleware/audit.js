@@ -0,0 +1,77 @@
+// middleware/audit.js - Audit trail for mutating routes
+const { diffValues, auditRequest } = require('../utils/auditLog');
+
+/**
+ * Record a route's change in audit_logs once it succeeds (2xx).
+ *
+ * With `load`, the entity is read before the handler runs and again after
+ * it responds, and only the changed fields are stored. Creates tell the
+ * middleware the new id through res.locals.auditEntityId.
+ *
+ * @param {string} entityType - e.g. 'task'
+ * @param {string} action - e.g. 'update'
+ * @param {Object} [options]
+ * @param {Function} [options.load] - (id, req) => row or null, scoped to req.user.tenantId
+ * @param {Function} [options.entityId] - (req, res) => id; defaults to
+ *   res.locals.auditEntityId, then req.params.id
+ * @param {Function} [options.details] - (req, res) => extra values stored with the new values,
+ *   for changes a row diff cannot show (e.g. which user was added)
+ */
+const audit = (entityType, action, { load = null, entityId = null, details = null } = {}) => {
+    const resolveId = (req, res) => (entityId
+        ? entityId(req, res)
+        : res.locals.auditEntityId ?? req.params.id ?? null);
+
+    return async (req, res, next) => {
+        try {
+            const idBefore = resolveId(req, res);
+            const before = load && idBefore ? await load(idBefore, req) : null;
+
+            res.on('finish', () => {
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    return;
+                }
+                writeEntry(req, res, { entityType, action, load, details, before, id: resolveId(req, res) })
+                    .catch(error => console.error('Audit log error:', error));
+            });
+
+            next();
+        } catch (error) {
+            console.error('Audit middleware error:', error);
+            res.status(500).json({ error: 'Request failed' });
+        }
+    };
+};
+
+async function writeEntry(req, res, { entityType, action, load, details, before, id }) {
+    let oldValues = null;
+    let newValues = null;
+
+    if (load) {
+        const after = id ? await load(id, req) : null;
+        ({ oldValues, newValues } = diffValues(before, after));
+    }
+
+    const extra = details ? details(req, res) : null;
+    if (extra) {
+        newValues = { ...(newValues || {}), ...extra };
+    }
+
+    // An update that changed nothing is not worth a row
+    if (load && before && !oldValues && !newValues) {
+        return;
+    }
+
+    // A non-numeric :id (e.g. a mistyped URL) is recorded without an entity
+    const entityId = parseInt(id);
+
+    await auditRequest(req, {
+        action,
+        entityType,
+        entityId: Number.isInteger(entityId) ? entityId : null,
+        oldValues,
+        newValues
+    });
+}
+
+module.exports = { audit };
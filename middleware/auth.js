@@ -1,8 +1,12 @@
 // middleware/auth.js - JWT Authentication Middleware
 const jwt = require('jsonwebtoken');
-const db = require('../config/database');
+const { isApiToken, authenticateApiToken } = require('../utils/apiTokens');
+const { isSessionActive } = require('../utils/sessionCache');
+const { loadIdentity } = require('../utils/identityCache');
+const { tenantStatusError } = require('../utils/tenantLifecycle');
+const { recordAudit } = require('../utils/auditLog');
 
-// Verify JWT Token
+// Verify JWT or API token
 const verifyToken = async (req, res, next) => {
     try {
         const token = req.headers.authorization?.split(' ')[1];
@@ -11,47 +15,95 @@ const verifyToken = async (req, res, next) => {
             return res.status(401).json({ error: 'Access token required' });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        let userId;
+        let sessionId = null;
+        let apiToken = null;
+        let impersonator = null;
+
+        if (isApiToken(token)) {
+            // Personal access token / service account token
+            apiToken = await authenticateApiToken(token, req.ip);
+            if (!apiToken) {
+                return res.status(401).json({ error: 'Invalid token' });
+            }
+            userId = apiToken.user_id;
+        } else {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+            // Tokens for unfinished logins (e.g. mfa pending) are not access tokens
+            if (decoded.purpose) {
+                return res.status(401).json({ error: 'Invalid token' });
+            }
+
+            // Access tokens die with their session (logout, revoked session, deactivation).
+            // Impersonation tokens ride on the impersonator's session.
+            const sessionOwnerId = decoded.impersonatorId || decoded.userId;
+            if (!decoded.sid || !(await isSessionActive(decoded.sid, sessionOwnerId))) {
+                return res.status(401).json({ error: 'Session expired or revoked' });
+            }
+
+            userId = decoded.userId;
+            sessionId = decoded.sid;
+
+            if (decoded.impersonatorId) {
+                impersonator = await loadIdentity(decoded.impersonatorId);
+
+                // The real actor must still be allowed to impersonate
+                if (!impersonator || !impersonator.permissions.includes('users.impersonate')) {
+                    return res.status(401).json({ error: 'Impersonation is no longer allowed' });
+                }
+            }
+        }
         
-        // Fetch user details
-        const [users] = await db.query(
-            `SELECT u.*, t.id as tenant_id, t.name as tenant_name, t.status as tenant_status
-             FROM users u
-             JOIN tenants t ON u.tenant_id = t.id
-             WHERE u.id = ? AND u.status = 'active'`,
-            [decoded.userId]
-        );
+        // Fetch user details and permissions (cached)
+        const identity = await loadIdentity(userId);
 
-        if (users.length === 0) {
+        if (!identity) {
             return res.status(401).json({ error: 'User not found or inactive' });
         }
 
-        const user = users[0];
+        if (apiToken && apiToken.tenant_id !== identity.tenantId) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+
+        if (impersonator && impersonator.tenantId !== identity.tenantId) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
 
-        if (user.tenant_status !== 'active') {
-            return res.status(403).json({ error: 'Organization is suspended' });
+        if (identity.tenantStatus !== 'active') {
+            return res.status(403).json({ error: tenantStatusError(identity.tenantStatus) });
         }
 
-        // Fetch user permissions
-        const [permissions] = await db.query(
-            `SELECT DISTINCT p.name
-             FROM permissions p
-             JOIN role_permissions rp ON p.id = rp.permission_id
-             JOIN user_roles ur ON rp.role_id = ur.role_id
-             WHERE ur.user_id = ?`,
-            [user.id]
-        );
+        let permissions = identity.permissions;
+
+        // API tokens only carry the scopes they were granted
+        if (apiToken) {
+            permissions = permissions.filter(p => apiToken.scopes.includes(p));
+        }
 
         req.user = {
-            id: user.id,
-            email: user.email,
-            firstName: user.first_name,
-            lastName: user.last_name,
-            tenantId: user.tenant_id,
-            tenantName: user.tenant_name,
-            permissions: permissions.map(p => p.name)
+            id: identity.id,
+            email: identity.email,
+            firstName: identity.firstName,
+            lastName: identity.lastName,
+            tenantId: identity.tenantId,
+            tenantName: identity.tenantName,
+            isServiceAccount: identity.isServiceAccount,
+            sessionId,
+            apiTokenId: apiToken ? apiToken.id : null,
+            impersonator: impersonator && {
+                id: impersonator.id,
+                email: impersonator.email,
+                firstName: impersonator.firstName,
+                lastName: impersonator.lastName
+            },
+            permissions
         };
 
+        if (impersonator) {
+            res.on('finish', () => stampImpersonatedRequest(req, res));
+        }
+
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError') {
@@ -65,6 +117,32 @@ const verifyToken = async (req, res, next) => {
     }
 };
 
+// Record a request made while impersonating, attributed to the real actor
+function stampImpersonatedRequest(req, res) {
+    recordAudit({
+        tenantId: req.user.tenantId,
+        userId: req.user.impersonator.id,
+        action: 'impersonated_request',
+        entityType: 'user',
+        entityId: req.user.id,
+        newValues: {
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode,
+            impersonatedUserId: req.user.id
+        },
+        req
+    }).catch(error => console.error('Impersonation audit error:', error));
+}
+
+// Block sensitive account actions while impersonating
+const denyImpersonation = (req, res, next) => {
+    if (req.user.impersonator) {
+        return res.status(403).json({ error: 'Not allowed while impersonating another user' });
+    }
+    next();
+};
+
 // Check Permission
 const checkPermission = (permission) => {
     return (req, res, next) => {
@@ -98,5 +176,6 @@ const checkAnyPermission = (...permissions) => {
 module.exports = {
     verifyToken,
     checkPermission,
-    checkAnyPermission
+    checkAnyPermission,
+    denyImpersonation
 };
\ No newline at end of file
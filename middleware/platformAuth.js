@@ -0,0 +1,62 @@
+// middleware/platformAuth.js - Platform operator authentication (separate from tenant users)
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+
+const OPERATOR_TOKEN_TTL = process.env.PLATFORM_JWT_EXPIRES_IN || '8h';
+
+/**
+ * Sign an operator access token. Operator tokens use their own secret and
+ * audience so a tenant token can never pass as one (or the reverse).
+ * @param {Object} operator - platform_operators row
+ * @returns {string}
+ */
+function signOperatorToken(operator) {
+    return jwt.sign(
+        { operatorId: operator.id },
+        process.env.PLATFORM_JWT_SECRET,
+        { expiresIn: OPERATOR_TOKEN_TTL, audience: 'platform' }
+    );
+}
+
+// Verify operator token; the operator must still be active
+const verifyOperator = async (req, res, next) => {
+    try {
+        if (!process.env.PLATFORM_JWT_SECRET) {
+            return res.status(503).json({ error: 'Platform console is not configured' });
+        }
+
+        const token = req.headers.authorization?.split(' ')[1];
+
+        if (!token) {
+            return res.status(401).json({ error: 'Access token required' });
+        }
+
+        const decoded = jwt.verify(token, process.env.PLATFORM_JWT_SECRET, { audience: 'platform' });
+
+        const [operators] = await db.query(
+            `SELECT id, email, name FROM platform_operators WHERE id = ? AND status = 'active'`,
+            [decoded.operatorId]
+        );
+
+        if (operators.length === 0) {
+            return res.status(401).json({ error: 'Operator not found or disabled' });
+        }
+
+        req.operator = operators[0];
+        next();
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Token expired' });
+        }
+        console.error('Platform auth middleware error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+};
+
+module.exports = {
+    signOperatorToken,
+    verifyOperator
+};
@@ -0,0 +1,212 @@
+// routes/apiTokens.js - Personal Access Token Routes
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { verifyToken, denyImpersonation } = require('../middleware/auth');
+const { generateApiToken } = require('../utils/apiTokens');
+const { auditRequest } = require('../utils/auditLog');
+
+router.use(verifyToken, denyImpersonation);
+
+// Tokens can only be managed from an interactive session, so a leaked
+// token cannot mint new ones
+router.use((req, res, next) => {
+    if (req.user.apiTokenId) {
+        return res.status(403).json({ error: 'API tokens cannot be managed with an API token' });
+    }
+    next();
+});
+
+// Resolve which user a token request is for: the caller, or one of the
+// tenant's service accounts (requires users.edit)
+async function resolveTokenOwner(req, serviceAccountId) {
+    if (!serviceAccountId) {
+        return { owner: { id: req.user.id, permissions: req.user.permissions } };
+    }
+
+    if (!req.user.permissions.includes('users.edit')) {
+        return { status: 403, error: 'Insufficient permissions', required: 'users.edit' };
+    }
+
+    const [accounts] = await db.query(
+        `SELECT id FROM users
+         WHERE id = ? AND tenant_id = ? AND is_service_account = TRUE AND status = 'active'`,
+        [serviceAccountId, req.user.tenantId]
+    );
+
+    if (accounts.length === 0) {
+        return { status: 404, error: 'Service account not found' };
+    }
+
+    const [permissions] = await db.query(
+        `SELECT DISTINCT p.name
+         FROM permissions p
+         JOIN role_permissions rp ON p.id = rp.permission_id
+         JOIN user_roles ur ON rp.role_id = ur.role_id
+         WHERE ur.user_id = ?`,
+        [serviceAccountId]
+    );
+
+    return { owner: { id: accounts[0].id, permissions: permissions.map(p => p.name) } };
+}
+
+// POST /auth/tokens - Create API token
+router.post('/',
+    [
+        body('name').trim().notEmpty(),
+        body('scopes').isArray({ min: 1 }),
+        body('scopes.*').isString(),
+        body('expiresInDays').optional().isInt({ min: 1, max: 3650 }),
+        body('serviceAccountId').optional().isInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { name, scopes, expiresInDays, serviceAccountId } = req.body;
+
+            const { owner, status, error, required } = await resolveTokenOwner(req, serviceAccountId);
+            if (!owner) {
+                return res.status(status).json({ error, ...(required && { required }) });
+            }
+
+            // Scopes must be real permissions the owner actually holds
+            const [known] = await db.query(
+                'SELECT name FROM permissions WHERE name IN (?)',
+                [scopes]
+            );
+            const knownNames = known.map(p => p.name);
+
+            const unknown = scopes.filter(s => !knownNames.includes(s));
+            if (unknown.length > 0) {
+                return res.status(400).json({ error: 'Unknown permission scopes', scopes: unknown });
+            }
+
+            const notHeld = scopes.filter(s => !owner.permissions.includes(s));
+            if (notHeld.length > 0) {
+                return res.status(403).json({
+                    error: 'Cannot grant scopes the token owner does not have',
+                    scopes: notHeld
+                });
+            }
+
+            const { token, prefix, hash } = generateApiToken();
+            const expiresAt = expiresInDays
+                ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+                : null;
+            const uniqueScopes = [...new Set(scopes)];
+
+            const [result] = await db.query(
+                `INSERT INTO api_tokens (tenant_id, user_id, name, token_prefix, token_hash, scopes, expires_at, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    req.user.tenantId,
+                    owner.id,
+                    name,
+                    prefix,
+                    hash,
+                    JSON.stringify(uniqueScopes),
+                    expiresAt,
+                    req.user.id
+                ]
+            );
+
+            await auditRequest(req, {
+                action: 'create',
+                entityType: 'api_token',
+                entityId: result.insertId,
+                newValues: { name, userId: owner.id, scopes: uniqueScopes, expiresAt }
+            });
+
+            res.status(201).json({
+                message: 'API token created. Copy it now, it will not be shown again',
+                id: result.insertId,
+                name,
+                token,
+                prefix,
+                scopes: uniqueScopes,
+                expiresAt
+            });
+
+        } catch (error) {
+            console.error('Create API token error:', error);
+            res.status(500).json({ error: 'Failed to create API token' });
+        }
+    }
+);
+
+// GET /auth/tokens - List API tokens (own, or a service account's)
+router.get('/', async (req, res) => {
+    try {
+        const { owner, status, error, required } = await resolveTokenOwner(req, req.query.serviceAccountId);
+        if (!owner) {
+            return res.status(status).json({ error, ...(required && { required }) });
+        }
+
+        const [tokens] = await db.query(
+            `SELECT id, name, token_prefix, scopes, last_used_at, last_used_ip,
+                    expires_at, revoked_at, created_at
+             FROM api_tokens
+             WHERE user_id = ? AND tenant_id = ?
+             ORDER BY created_at DESC`,
+            [owner.id, req.user.tenantId]
+        );
+
+        res.json(tokens);
+
+    } catch (error) {
+        console.error('List API tokens error:', error);
+        res.status(500).json({ error: 'Failed to fetch API tokens' });
+    }
+});
+
+// DELETE /auth/tokens/:id - Revoke API token
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [tokens] = await db.query(
+            `SELECT tok.id, tok.user_id, u.is_service_account
+             FROM api_tokens tok
+             JOIN users u ON tok.user_id = u.id
+             WHERE tok.id = ? AND tok.tenant_id = ? AND tok.revoked_at IS NULL`,
+            [id, req.user.tenantId]
+        );
+
+        if (tokens.length === 0) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+
+        const apiToken = tokens[0];
+        const canManage = apiToken.user_id === req.user.id ||
+            (apiToken.is_service_account && req.user.permissions.includes('users.edit'));
+
+        if (!canManage) {
+            return res.status(404).json({ error: 'API token not found' });
+        }
+
+        await db.query(
+            'UPDATE api_tokens SET revoked_at = NOW() WHERE id = ?',
+            [id]
+        );
+
+        await auditRequest(req, {
+            action: 'revoke',
+            entityType: 'api_token',
+            entityId: apiToken.id,
+            newValues: { userId: apiToken.user_id }
+        });
+
+        res.json({ message: 'API token revoked' });
+
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
+
+module.exports = router;
@@ -1,18 +1,81 @@
 // routes/auth.js - Authentication Routes
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { verifyToken } = require('../middleware/auth');
+const { verifyToken, denyImpersonation } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const { sendEmail } = require('../utils/emailService');
+const {
+    issueTokens,
+    signAccessToken,
+    signRefreshToken,
+    completeLogin,
+    signMfaToken,
+    verifyMfaToken
+} = require('../utils/tokenService');
+const { isMfaRequired } = require('../utils/mfa');
+const {
+    getLockoutPolicy,
+    getRetryAfter,
+    recordAttempt,
+    registerFailure,
+    clearFailures
+} = require('../utils/loginAttempts');
+const { invalidateSession, invalidateUserSessions } = require('../utils/sessionCache');
+const { invalidateUsers, invalidateTenant } = require('../utils/identityCache');
+const {
+    isVerifiedEmailRequired,
+    sendVerificationEmail,
+    findVerification
+} = require('../utils/emailVerification');
+const {
+    getPasswordPolicy,
+    validatePassword,
+    recordPasswordHistory
+} = require('../utils/passwordPolicy');
+const {
+    tenantStatusError,
+    isTenantAdmin,
+    canReopenTenant,
+    reopenTenant
+} = require('../utils/tenantLifecycle');
+const { recordAudit, auditRequest } = require('../utils/auditLog');
+const { resolveSettings } = require('../utils/tenantSettings');
+const { invitationRoleIds } = require('../utils/invitations');
+const { PREFERENCE_FIELDS, validatePreferences } = require('../utils/userPreferences');
+const { avatarUrls, saveAvatar, removeAvatar } = require('../utils/avatars');
 const crypto = require('crypto');
 
+// Avatar upload configuration; files are resized before anything is stored
+const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (['image/jpeg', 'image/png', 'image/webp', 'image/gif'].includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only JPEG, PNG, WebP or GIF images allowed'));
+        }
+    }
+});
+
+// Audit loader: a user's own profile (the routes pass the caller's id)
+const loadProfile = async (id) => {
+    const [users] = await db.query(
+        'SELECT first_name, last_name, phone, avatar_url, preferences FROM users WHERE id = ?',
+        [id]
+    );
+    return users[0] || null;
+};
+
 // Validation Rules
 const registerValidation = [
     body('email').isEmail().normalizeEmail(),
-    body('password').isLength({ min: 8 }),
+    body('password').isString().notEmpty(),
     body('firstName').trim().notEmpty(),
     body('lastName').trim().notEmpty(),
     body('organizationName').trim().notEmpty()
@@ -20,9 +83,96 @@ const registerValidation = [
 
 const loginValidation = [
     body('email').isEmail().normalizeEmail(),
-    body('password').notEmpty()
+    body('password').notEmpty(),
+    body('tenant').optional().trim().notEmpty()
 ];
 
+// Fetch all memberships for an email, optionally narrowed to one tenant (slug or id)
+async function findMemberships(email, tenant) {
+    let query = `
+        SELECT u.*, t.name as tenant_name, t.slug as tenant_slug, t.logo_url as tenant_logo_url,
+               t.status as tenant_status, t.settings as tenant_settings, t.purge_after as tenant_purge_after
+        FROM users u
+        JOIN tenants t ON u.tenant_id = t.id
+        WHERE u.email = ? AND u.status = 'active' AND u.is_service_account = FALSE
+    `;
+    const params = [email];
+
+    if (tenant) {
+        query += ` AND (t.slug = ? OR t.id = ?
+                        OR t.id IN (SELECT tenant_id FROM tenant_slug_redirects WHERE slug = ?))`;
+        params.push(tenant, tenant, tenant);
+    }
+
+    query += ' ORDER BY t.name';
+
+    const [users] = await db.query(query, params);
+    return users;
+}
+
+// Password policy failures name each rule that was not met
+const rejectPassword = (res, failures) => res.status(400).json({
+    error: 'Password does not meet the requirements',
+    rules: failures
+});
+
+const formatMembership = (user) => ({
+    id: user.tenant_id,
+    name: user.tenant_name,
+    slug: user.tenant_slug,
+    logoUrl: user.tenant_logo_url,
+    status: user.tenant_status
+});
+
+// Refuse a login to a suspended or closed organization. Admins of a closed
+// one that is still in its grace period get a token to reactivate it; with
+// 2FA they get an mfa token, and /auth/mfa/challenge hands out the reopen
+// token. None is issued while a required 2FA is not set up.
+async function rejectInactiveTenant(user, res) {
+    const body = { error: tenantStatusError(user.tenant_status) };
+
+    if (user.tenant_status === 'deleted') {
+        body.purgeAfter = user.tenant_purge_after;
+        if (await canReopenTenant(user)) {
+            if (user.mfa_enabled) {
+                body.mfaRequired = true;
+                body.mfaToken = signMfaToken({ id: user.id, tenantId: user.tenant_id }, 'mfa');
+            } else if (!(await isMfaRequired(user.id, user.tenant_settings))) {
+                body.reopenToken = signMfaToken({ id: user.id, tenantId: user.tenant_id }, 'tenant_reopen');
+            }
+        }
+    }
+
+    return res.status(403).json(body);
+}
+
+// Finish a login once the user's identity is established: run the 2FA checks,
+// then issue tokens
+async function finishLogin(user, req, res, rememberMe) {
+    if (user.mfa_enabled) {
+        return res.json({
+            message: 'Two-factor authentication required',
+            mfaRequired: true,
+            mfaToken: signMfaToken({ id: user.id, tenantId: user.tenant_id }, 'mfa', rememberMe)
+        });
+    }
+
+    if (await isMfaRequired(user.id, user.tenant_settings)) {
+        return res.json({
+            message: 'Your organization requires two-factor authentication',
+            mfaSetupRequired: true,
+            mfaToken: signMfaToken({ id: user.id, tenantId: user.tenant_id }, 'mfa_setup', rememberMe)
+        });
+    }
+
+    const session = await completeLogin(user, req, { rememberMe, enforcePasswordAge: true });
+
+    res.json({
+        message: 'Login successful',
+        ...session
+    });
+}
+
 // POST /auth/register - Register new user and organization
 router.post('/register', registerValidation, async (req, res) => {
     console.log("REGISTER BODY:", req.body);
@@ -34,14 +184,33 @@ router.post('/register', registerValidation, async (req, res) => {
 
         const { email, password, firstName, lastName, organizationName } = req.body;
 
-        // Check if email already exists
+        // A new organization starts with the default policy
+        const failures = await validatePassword(password, getPasswordPolicy(null));
+        if (failures.length > 0) {
+            return rejectPassword(res, failures);
+        }
+
+        // An existing person may create another organization, but must prove
+        // it is them by using the password of one of their memberships
         const [existing] = await db.query(
-            'SELECT id FROM users WHERE email = ?',
+            'SELECT id, password_hash FROM users WHERE email = ?',
             [email]
         );
 
         if (existing.length > 0) {
-            return res.status(400).json({ error: 'Email already registered' });
+            let ownsEmail = false;
+            for (const membership of existing) {
+                if (await bcrypt.compare(password, membership.password_hash)) {
+                    ownsEmail = true;
+                    break;
+                }
+            }
+
+            if (!ownsEmail) {
+                return res.status(400).json({
+                    error: 'Email already registered. Use your existing password to create another organization'
+                });
+            }
         }
 
         const connection = await db.getConnection();
@@ -95,44 +264,40 @@ router.post('/register', registerValidation, async (req, res) => {
             // Hash password
             const passwordHash = await bcrypt.hash(password, 10);
 
-            // Create user
+            // Create user (unverified until the emailed link is followed)
             const [userResult] = await connection.query(
-                `INSERT INTO users (tenant_id, email, password_hash, first_name, last_name, status, email_verified) 
-                 VALUES (?, ?, ?, ?, ?, 'active', TRUE)`,
+                `INSERT INTO users (tenant_id, email, password_hash, password_changed_at, first_name, last_name, status, email_verified) 
+                 VALUES (?, ?, ?, NOW(), ?, ?, 'active', FALSE)`,
                 [tenantId, email, passwordHash, firstName, lastName]
             );
 
             const userId = userResult.insertId;
 
+            await recordPasswordHistory(connection, userId, passwordHash);
+
             // Assign admin role to user
             await connection.query(
                 'INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)',
                 [userId, adminRoleId]
             );
 
+            await recordAudit({
+                tenantId,
+                userId,
+                action: 'register',
+                entityType: 'tenant',
+                entityId: tenantId,
+                newValues: { name: organizationName, slug, email },
+                req
+            }, connection);
+
             await connection.commit();
             connection.release();
 
-            // Generate tokens
-            const accessToken = jwt.sign(
-                { userId, tenantId },
-                process.env.JWT_SECRET,
-                { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-            );
-
-            const refreshToken = jwt.sign(
-                { userId, tenantId },
-                process.env.JWT_REFRESH_SECRET,
-                { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-            );
+            await sendVerificationEmail({ id: userId, email, first_name: firstName }, email, req.ip);
 
-            // Store refresh token
-            const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-            await db.query(
-                `INSERT INTO user_sessions (user_id, refresh_token, device_info, ip_address, expires_at) 
-                 VALUES (?, ?, ?, ?, ?)`,
-                [userId, refreshToken, req.headers['user-agent'], req.ip, expiresAt]
-            );
+            // Generate tokens
+            const { accessToken, refreshToken } = await issueTokens({ id: userId, tenantId }, req);
 
             res.status(201).json({
                 message: 'Registration successful',
@@ -142,7 +307,8 @@ router.post('/register', registerValidation, async (req, res) => {
                     firstName,
                     lastName,
                     tenantId,
-                    tenantName: organizationName
+                    tenantName: organizationName,
+                    emailVerified: false
                 },
                 accessToken,
                 refreshToken
@@ -168,86 +334,84 @@ router.post('/login', loginValidation, async (req, res) => {
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { email, password, rememberMe } = req.body;
+        const { email, password, rememberMe, tenant } = req.body;
 
-        // Fetch user with tenant info
-        const [users] = await db.query(
-            `SELECT u.*, t.name as tenant_name, t.status as tenant_status
-             FROM users u
-             JOIN tenants t ON u.tenant_id = t.id
-             WHERE u.email = ? AND u.status = 'active'`,
-            [email]
-        );
+        const memberships = await findMemberships(email, tenant);
 
-        if (users.length === 0) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        // Progressive delay per email + IP
+        const { freeAttempts } = getLockoutPolicy(memberships[0]?.tenant_settings);
+        const retryAfter = await getRetryAfter(email, req.ip, freeAttempts);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                error: 'Too many failed login attempts. Please try again later',
+                retryAfter
+            });
         }
 
-        const user = users[0];
-
-        if (user.tenant_status !== 'active') {
-            return res.status(403).json({ error: 'Organization is suspended' });
+        // Only memberships whose password matches count, so the tenant list
+        // below is never revealed without valid credentials
+        const matches = [];
+        const mismatches = [];
+        let locked = false;
+        for (const membership of memberships) {
+            if (membership.locked_until && new Date(membership.locked_until) > new Date()) {
+                locked = true;
+                continue;
+            }
+            if (await bcrypt.compare(password, membership.password_hash)) {
+                matches.push(membership);
+            } else {
+                mismatches.push(membership);
+            }
         }
 
-        // Verify password
-        const validPassword = await bcrypt.compare(password, user.password_hash);
-        if (!validPassword) {
+        if (matches.length === 0) {
+            await recordAttempt(email, req, {
+                userId: memberships.length === 1 ? memberships[0].id : null,
+                tenantId: memberships.length === 1 ? memberships[0].tenant_id : null
+            });
+
+            for (const membership of mismatches) {
+                if (await registerFailure(membership, req)) {
+                    locked = true;
+                }
+            }
+
+            if (locked) {
+                return res.status(423).json({
+                    error: 'Account is temporarily locked due to too many failed login attempts'
+                });
+            }
+
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Generate tokens
-        const expiresIn = rememberMe ? '30d' : '1h';
-        const refreshExpiresIn = rememberMe ? '90d' : '7d';
+        if (matches.length > 1) {
+            return res.json({
+                message: 'Select an organization',
+                tenantSelectionRequired: true,
+                tenants: matches.map(formatMembership)
+            });
+        }
 
-        const accessToken = jwt.sign(
-            { userId: user.id, tenantId: user.tenant_id },
-            process.env.JWT_SECRET,
-            { expiresIn }
-        );
+        const user = matches[0];
 
-        const refreshToken = jwt.sign(
-            { userId: user.id, tenantId: user.tenant_id },
-            process.env.JWT_REFRESH_SECRET,
-            { expiresIn: refreshExpiresIn }
-        );
+        if (user.tenant_status !== 'active') {
+            return rejectInactiveTenant(user, res);
+        }
 
-        // Store refresh token
-        const days = rememberMe ? 90 : 7;
-        const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
-        
-        await db.query(
-            `INSERT INTO user_sessions (user_id, refresh_token, device_info, ip_address, user_agent, expires_at) 
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [
-                user.id,
-                refreshToken,
-                req.headers['user-agent'],
-                req.ip,
-                req.headers['user-agent'],
-                expiresAt
-            ]
-        );
+        if (!user.email_verified && isVerifiedEmailRequired(user.tenant_settings)) {
+            return res.status(403).json({
+                error: 'Please verify your email address before logging in',
+                emailVerificationRequired: true
+            });
+        }
 
-        // Update last login
-        await db.query(
-            'UPDATE users SET last_login = NOW() WHERE id = ?',
-            [user.id]
-        );
+        await recordAttempt(email, req, { success: true, userId: user.id, tenantId: user.tenant_id });
+        await clearFailures(user.id);
 
-        res.json({
-            message: 'Login successful',
-            user: {
-                id: user.id,
-                email: user.email,
-                firstName: user.first_name,
-                lastName: user.last_name,
-                tenantId: user.tenant_id,
-                tenantName: user.tenant_name,
-                avatar: user.avatar_url
-            },
-            accessToken,
-            refreshToken
-        });
+        await finishLogin(user, req, res, rememberMe);
 
     } catch (error) {
         console.error('Login error:', error);
@@ -255,16 +419,90 @@ router.post('/login', loginValidation, async (req, res) => {
     }
 });
 
+// POST /auth/reopen-organization - Reactivate a closed organization within its grace period
+router.post('/reopen-organization',
+    [body('reopenToken').notEmpty()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const decoded = verifyMfaToken(req.body.reopenToken, ['tenant_reopen']);
+            if (!decoded) {
+                return res.status(401).json({ error: 'Invalid or expired reopen token' });
+            }
+
+            const [users] = await db.query(
+                `SELECT u.id, u.email, u.first_name, u.last_name, t.id as tenant_id, t.name, t.slug
+                 FROM users u
+                 JOIN tenants t ON u.tenant_id = t.id
+                 WHERE u.id = ? AND u.status = 'active'`,
+                [decoded.userId]
+            );
+
+            if (users.length === 0 || !(await isTenantAdmin(decoded.userId))) {
+                return res.status(403).json({ error: 'Only an admin can reactivate the organization' });
+            }
+
+            const user = users[0];
+            const tenant = { id: user.tenant_id, name: user.name, slug: user.slug };
+
+            if (!(await reopenTenant(tenant, user, req.ip))) {
+                return res.status(400).json({ error: 'Organization is not closed or can no longer be reactivated' });
+            }
+
+            await invalidateTenant(tenant.id);
+
+            await recordAudit({
+                tenantId: tenant.id,
+                userId: user.id,
+                action: 'reopen',
+                entityType: 'tenant',
+                entityId: tenant.id,
+                oldValues: { status: 'deleted' },
+                newValues: { status: 'active' },
+                req
+            });
+
+            res.json({ message: 'Organization reactivated. Please sign in again' });
+
+        } catch (error) {
+            console.error('Reopen organization error:', error);
+            res.status(500).json({ error: 'Failed to reactivate organization' });
+        }
+    }
+);
+
 // POST /auth/logout - Logout user
 router.post('/logout', verifyToken, async (req, res) => {
     try {
         const refreshToken = req.body.refreshToken;
 
-        if (refreshToken) {
+        // An impersonation token rides on the admin's session; leave it alone
+        if (req.user.impersonator) {
+            return res.json({ message: 'Impersonation ended' });
+        }
+
+        // End the session this access token belongs to
+        if (req.user.sessionId) {
             await db.query(
-                'UPDATE user_sessions SET is_active = FALSE WHERE refresh_token = ?',
-                [refreshToken]
+                'UPDATE user_sessions SET is_active = FALSE WHERE id = ?',
+                [req.user.sessionId]
             );
+            invalidateSession(req.user.sessionId);
+        }
+
+        if (refreshToken) {
+            const [sessions] = await db.query(
+                'SELECT id FROM user_sessions WHERE refresh_token = ? AND user_id = ?',
+                [refreshToken, req.user.id]
+            );
+            for (const session of sessions) {
+                await db.query('UPDATE user_sessions SET is_active = FALSE WHERE id = ?', [session.id]);
+                invalidateSession(session.id);
+            }
         }
 
         res.json({ message: 'Logged out successfully' });
@@ -274,7 +512,105 @@ router.post('/logout', verifyToken, async (req, res) => {
     }
 });
 
-// POST /auth/refresh-token - Refresh access token
+// GET /auth/tenants - List organizations the current user's email belongs to
+router.get('/tenants', verifyToken, async (req, res) => {
+    try {
+        const memberships = await findMemberships(req.user.email);
+
+        res.json(memberships.map(user => ({
+            ...formatMembership(user),
+            current: user.id === req.user.id
+        })));
+
+    } catch (error) {
+        console.error('List memberships error:', error);
+        res.status(500).json({ error: 'Failed to fetch organizations' });
+    }
+});
+
+// POST /auth/switch-tenant - Issue tokens for another membership of the same email.
+// The target membership's own password is required: a matching email alone
+// proves nothing, since an admin can create a user with any address (SSO, SCIM).
+router.post('/switch-tenant',
+    verifyToken,
+    denyImpersonation,
+    [
+        body('tenant').trim().notEmpty(),
+        body('password').isString().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            // A leaked or narrowly scoped API token must not mint a full session
+            if (req.user.apiTokenId) {
+                return res.status(403).json({ error: 'Organizations cannot be switched with an API token' });
+            }
+
+            const [current] = await db.query('SELECT email_verified FROM users WHERE id = ?', [req.user.id]);
+            const memberships = await findMemberships(req.user.email, req.body.tenant);
+
+            // Both accounts must have proven they own the address (stricter
+            // than login's security.requireVerifiedEmail, which is per tenant)
+            if (memberships.length === 0 || !current[0]?.email_verified || !memberships[0].email_verified) {
+                return res.status(404).json({ error: 'Organization not found' });
+            }
+
+            const user = memberships[0];
+
+            if (user.id === req.user.id) {
+                return res.status(400).json({ error: 'Already signed in to this organization' });
+            }
+
+            // Same throttling, lockout and password checks as /auth/login
+            const { freeAttempts } = getLockoutPolicy(user.tenant_settings);
+            const retryAfter = await getRetryAfter(user.email, req.ip, freeAttempts);
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    error: 'Too many failed login attempts. Please try again later',
+                    retryAfter
+                });
+            }
+
+            if (user.locked_until && new Date(user.locked_until) > new Date()) {
+                return res.status(423).json({
+                    error: 'Account is temporarily locked due to too many failed login attempts'
+                });
+            }
+
+            if (!(await bcrypt.compare(req.body.password, user.password_hash))) {
+                await recordAttempt(user.email, req, { userId: user.id, tenantId: user.tenant_id });
+
+                if (await registerFailure(user, req)) {
+                    return res.status(423).json({
+                        error: 'Account is temporarily locked due to too many failed login attempts'
+                    });
+                }
+
+                return res.status(401).json({ error: 'Invalid credentials' });
+            }
+
+            if (user.tenant_status !== 'active') {
+                return rejectInactiveTenant(user, res);
+            }
+
+            await recordAttempt(user.email, req, { success: true, userId: user.id, tenantId: user.tenant_id });
+            await clearFailures(user.id);
+
+            await finishLogin(user, req, res, false);
+
+        } catch (error) {
+            console.error('Switch tenant error:', error);
+            res.status(500).json({ error: 'Failed to switch organization' });
+        }
+    }
+);
+
+// POST /auth/refresh-token - Rotate refresh token and issue new access token
 router.post('/refresh-token', async (req, res) => {
     try {
         const { refreshToken } = req.body;
@@ -286,25 +622,49 @@ router.post('/refresh-token', async (req, res) => {
         // Verify refresh token
         const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
 
-        // Check if session exists and is active
+        // Look up the session family this token belongs to
         const [sessions] = await db.query(
-            `SELECT * FROM user_sessions 
-             WHERE refresh_token = ? AND is_active = TRUE AND expires_at > NOW()`,
-            [refreshToken]
+            `SELECT *, CASE WHEN expires_at > NOW() THEN FALSE ELSE TRUE END as is_expired
+             FROM user_sessions
+             WHERE family_id = ? AND user_id = ?`,
+            [decoded.fid, decoded.userId]
         );
 
         if (sessions.length === 0) {
             return res.status(401).json({ error: 'Invalid or expired refresh token' });
         }
 
-        // Generate new access token
-        const accessToken = jwt.sign(
-            { userId: decoded.userId, tenantId: decoded.tenantId },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
+        const session = sessions[0];
+
+        // A validly signed token that is no longer current has been used before
+        if (session.refresh_token !== refreshToken) {
+            await revokeSessionFamily(session, decoded, req);
+            return res.status(401).json({ error: 'Refresh token reuse detected, session revoked' });
+        }
+
+        if (!session.is_active || session.is_expired) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const user = { id: decoded.userId, tenantId: decoded.tenantId };
+        const newRefreshToken = signRefreshToken(user, session.family_id, new Date(session.expires_at));
+
+        // Swap only if nobody rotated this token in the meantime
+        const [rotated] = await db.query(
+            `UPDATE user_sessions
+             SET refresh_token = ?, ip_address = ?, last_used = NOW()
+             WHERE id = ? AND refresh_token = ? AND is_active = TRUE`,
+            [newRefreshToken, req.ip, session.id, refreshToken]
         );
 
-        res.json({ accessToken });
+        if (rotated.affectedRows === 0) {
+            await revokeSessionFamily(session, decoded, req);
+            return res.status(401).json({ error: 'Refresh token reuse detected, session revoked' });
+        }
+
+        const accessToken = signAccessToken(user, session.id);
+
+        res.json({ accessToken, refreshToken: newRefreshToken });
 
     } catch (error) {
         if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
@@ -315,62 +675,602 @@ router.post('/refresh-token', async (req, res) => {
     }
 });
 
+// Revoke a session family after a retired refresh token was presented
+async function revokeSessionFamily(session, decoded, req) {
+    await db.query(
+        'UPDATE user_sessions SET is_active = FALSE WHERE id = ?',
+        [session.id]
+    );
+    invalidateSession(session.id);
+
+    await recordAudit({
+        tenantId: decoded.tenantId,
+        userId: decoded.userId,
+        action: 'refresh_token_reuse',
+        entityType: 'session',
+        entityId: session.id,
+        newValues: { familyId: session.family_id, revoked: true },
+        req
+    });
+}
+
 // POST /auth/forgot-password - Send password reset email
-router.post('/forgot-password', [body('email').isEmail()], async (req, res) => {
-    try {
-        const { email } = req.body;
+router.post('/forgot-password',
+    [
+        body('email').isEmail().normalizeEmail(),
+        body('tenant').optional().trim().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const { email, tenant } = req.body;
 
-        const [users] = await db.query(
-            'SELECT id, first_name FROM users WHERE email = ? AND status = "active"',
-            [email]
-        );
+            const users = await findMemberships(email, tenant);
 
-        // Always return success to prevent email enumeration
-        if (users.length === 0) {
-            return res.json({ message: 'If the email exists, a reset link has been sent' });
+            // Always return success to prevent email enumeration
+            if (users.length === 0) {
+                return res.json({ message: 'If the email exists, a reset link has been sent' });
+            }
+
+            const expiresAt = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+            // One reset link per membership, since each has its own password
+            const links = [];
+            for (const user of users) {
+                const resetToken = crypto.randomBytes(32).toString('hex');
+                const hashedToken = await bcrypt.hash(resetToken, 10);
+
+                // Store reset token
+                await db.query(
+                    `INSERT INTO password_resets (user_id, token_hash, ip_address, expires_at)
+                     VALUES (?, ?, ?, ?)`,
+                    [user.id, hashedToken, req.ip, expiresAt]
+                );
+
+                links.push({
+                    tenantName: user.tenant_name,
+                    url: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}` +
+                        `&email=${encodeURIComponent(email)}`
+                });
+            }
+
+            // Send email
+            const linkHtml = links.length === 1
+                ? `<a href="${links[0].url}">Reset Password</a>`
+                : `<ul>${links.map(link =>
+                    `<li><a href="${link.url}">Reset password for ${link.tenantName}</a></li>`
+                ).join('')}</ul>`;
+
+            await sendEmail({
+                to: email,
+                subject: 'Password Reset Request',
+                html: `
+                    <h2>Hello ${users[0].first_name},</h2>
+                    <p>You requested a password reset. Click the link below to reset your password:</p>
+                    ${linkHtml}
+                    <p>This link expires in 1 hour.</p>
+                    <p>If you didn't request this, please ignore this email.</p>
+                `
+            });
+
+            res.json({ message: 'If the email exists, a reset link has been sent' });
+
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            res.status(500).json({ error: 'Failed to process request' });
         }
+    }
+);
 
-        const user = users[0];
-        const resetToken = crypto.randomBytes(32).toString('hex');
-        const hashedToken = await bcrypt.hash(resetToken, 10);
-        const expiresAt = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-
-        // Store reset token (you might want a separate table for this)
-        await db.query(
-            `INSERT INTO user_sessions (user_id, refresh_token, expires_at, device_info) 
-             VALUES (?, ?, ?, 'password-reset')`,
-            [user.id, hashedToken, expiresAt]
+// POST /auth/reset-password - Reset password using emailed token
+router.post('/reset-password',
+    [
+        body('email').isEmail().normalizeEmail(),
+        body('token').notEmpty(),
+        body('password').isString().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { email, token, password } = req.body;
+
+            // Outstanding reset requests for this email
+            const [resets] = await db.query(
+                `SELECT pr.id, pr.user_id, pr.token_hash, u.tenant_id, u.first_name, u.email, t.settings as tenant_settings
+                 FROM password_resets pr
+                 JOIN users u ON pr.user_id = u.id
+                 JOIN tenants t ON u.tenant_id = t.id
+                 WHERE u.email = ? AND u.status = 'active'
+                   AND pr.used_at IS NULL AND pr.expires_at > NOW()
+                 ORDER BY pr.created_at DESC`,
+                [email]
+            );
+
+            let reset = null;
+            for (const row of resets) {
+                if (await bcrypt.compare(token, row.token_hash)) {
+                    reset = row;
+                    break;
+                }
+            }
+
+            if (!reset) {
+                return res.status(400).json({ error: 'Invalid or expired reset token' });
+            }
+
+            const failures = await validatePassword(
+                password,
+                getPasswordPolicy(reset.tenant_settings),
+                reset.user_id
+            );
+            if (failures.length > 0) {
+                return rejectPassword(res, failures);
+            }
+
+            const passwordHash = await bcrypt.hash(password, 10);
+
+            const connection = await db.getConnection();
+            await connection.beginTransaction();
+
+            try {
+                // Mark token as used (guards against concurrent reuse)
+                const [claimed] = await connection.query(
+                    'UPDATE password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+                    [reset.id]
+                );
+
+                if (claimed.affectedRows === 0) {
+                    await connection.rollback();
+                    connection.release();
+                    return res.status(400).json({ error: 'Invalid or expired reset token' });
+                }
+
+                await connection.query(
+                    'UPDATE users SET password_hash = ?, password_changed_at = NOW() WHERE id = ?',
+                    [passwordHash, reset.user_id]
+                );
+                await recordPasswordHistory(connection, reset.user_id, passwordHash);
+
+                // Retire any other outstanding reset links
+                await connection.query(
+                    'UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+                    [reset.user_id]
+                );
+
+                // Log out everywhere
+                await connection.query(
+                    'UPDATE user_sessions SET is_active = FALSE WHERE user_id = ? AND is_active = TRUE',
+                    [reset.user_id]
+                );
+
+                await recordAudit({
+                    tenantId: reset.tenant_id,
+                    userId: reset.user_id,
+                    action: 'reset_password',
+                    entityType: 'user',
+                    entityId: reset.user_id,
+                    req
+                }, connection);
+
+                await connection.commit();
+                connection.release();
+            } catch (error) {
+                await connection.rollback();
+                connection.release();
+                throw error;
+            }
+
+            invalidateUserSessions(reset.user_id);
+
+            await sendEmail({
+                to: reset.email,
+                subject: 'Your password has been changed',
+                html: `
+                    <h2>Hello ${reset.first_name},</h2>
+                    <p>The password for your account was just reset and all active sessions were signed out.</p>
+                    <p>If you didn't do this, please contact your administrator immediately.</p>
+                `
+            });
+
+            res.json({ message: 'Password reset successfully' });
+
+        } catch (error) {
+            console.error('Reset password error:', error);
+            res.status(500).json({ error: 'Failed to reset password' });
+        }
+    }
+);
+
+// POST /auth/verify-email - Confirm an email address (or a pending email change)
+router.post('/verify-email',
+    [body('token').notEmpty()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const verification = await findVerification(req.body.token);
+
+            // The link is only good for the user's current address or the
+            // change still pending; anything else was superseded
+            const isChange = verification && verification.verify_email === verification.pending_email;
+            if (!verification || (!isChange && verification.verify_email !== verification.email)) {
+                return res.status(400).json({ error: 'Invalid or expired verification token' });
+            }
+
+            if (isChange) {
+                const [taken] = await db.query(
+                    'SELECT id FROM users WHERE email = ? AND tenant_id = ? AND id != ?',
+                    [verification.pending_email, verification.tenant_id, verification.user_id]
+                );
+
+                if (taken.length > 0) {
+                    return res.status(400).json({ error: 'Email already in use' });
+                }
+            }
+
+            const connection = await db.getConnection();
+            await connection.beginTransaction();
+
+            try {
+                // Claim the token (guards against concurrent reuse)
+                const [claimed] = await connection.query(
+                    'UPDATE email_verifications SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+                    [verification.id]
+                );
+
+                if (claimed.affectedRows === 0) {
+                    await connection.rollback();
+                    connection.release();
+                    return res.status(400).json({ error: 'Invalid or expired verification token' });
+                }
+
+                if (isChange) {
+                    await connection.query(
+                        `UPDATE users SET email = pending_email, pending_email = NULL, email_verified = TRUE
+                         WHERE id = ?`,
+                        [verification.user_id]
+                    );
+
+                    await recordAudit({
+                        tenantId: verification.tenant_id,
+                        userId: verification.user_id,
+                        action: 'change_email',
+                        entityType: 'user',
+                        entityId: verification.user_id,
+                        oldValues: { email: verification.email },
+                        newValues: { email: verification.pending_email },
+                        req
+                    }, connection);
+                } else {
+                    await connection.query(
+                        'UPDATE users SET email_verified = TRUE WHERE id = ?',
+                        [verification.user_id]
+                    );
+                }
+
+                await connection.commit();
+                connection.release();
+            } catch (error) {
+                await connection.rollback();
+                connection.release();
+                throw error;
+            }
+
+            if (isChange) {
+                await invalidateUsers(verification.user_id);
+
+                await sendEmail({
+                    to: verification.email,
+                    subject: 'Your email address has been changed',
+                    html: `
+                        <h2>Hello ${verification.first_name},</h2>
+                        <p>The email address for your account was changed to ${verification.pending_email}.
+                           This address will no longer be used to sign in.</p>
+                        <p>If you didn't do this, please contact your administrator immediately.</p>
+                    `
+                });
+            }
+
+            res.json({
+                message: isChange ? 'Email address changed successfully' : 'Email verified successfully',
+                email: isChange ? verification.pending_email : verification.email
+            });
+
+        } catch (error) {
+            console.error('Verify email error:', error);
+            res.status(500).json({ error: 'Failed to verify email' });
+        }
+    }
+);
+
+// POST /auth/resend-verification - Resend verification links for an address
+router.post('/resend-verification',
+    [body('email').isEmail().normalizeEmail()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { email } = req.body;
+
+            // Unverified accounts using the address, and changes pending to it
+            const [users] = await db.query(
+                `SELECT id, email, pending_email, first_name FROM users
+                 WHERE status = 'active' AND is_service_account = FALSE
+                   AND ((email = ? AND email_verified = FALSE) OR pending_email = ?)`,
+                [email, email]
+            );
+
+            for (const user of users) {
+                await sendVerificationEmail(user, email, req.ip);
+            }
+
+            // Same answer either way to prevent email enumeration
+            res.json({ message: 'If the email needs verification, a new link has been sent' });
+
+        } catch (error) {
+            console.error('Resend verification error:', error);
+            res.status(500).json({ error: 'Failed to process request' });
+        }
+    }
+);
+
+// Look up a pending invitation by token, expiring it if past its deadline
+async function findPendingInvitation(token) {
+    const [invites] = await db.query(
+        `SELECT ui.*, t.name as tenant_name, t.logo_url as tenant_logo_url, t.status as tenant_status,
+                t.settings as tenant_settings,
+                r.name as role_name,
+                u.first_name as invited_by_first_name, u.last_name as invited_by_last_name,
+                CASE WHEN ui.expires_at > NOW() THEN FALSE ELSE TRUE END as is_expired
+         FROM user_invitations ui
+         JOIN tenants t ON ui.tenant_id = t.id
+         JOIN roles r ON ui.role_id = r.id
+         JOIN users u ON ui.invited_by = u.id
+         WHERE ui.token = ?`,
+        [token]
+    );
+
+    if (invites.length === 0) {
+        return { status: 404, error: 'Invitation not found' };
+    }
+
+    const invite = invites[0];
+
+    if (invite.status === 'accepted') {
+        return { status: 400, error: 'Invitation has already been used' };
+    }
+
+    if (invite.status === 'expired' || invite.is_expired) {
+        if (invite.status === 'pending') {
+            await db.query(
+                'UPDATE user_invitations SET status = "expired" WHERE id = ?',
+                [invite.id]
+            );
+        }
+        return { status: 400, error: 'Invitation has expired' };
+    }
+
+    if (invite.tenant_status !== 'active') {
+        return { status: 403, error: tenantStatusError(invite.tenant_status) };
+    }
+
+    return { invite };
+}
+
+// GET /auth/invitations/:token - Preview invitation details
+router.get('/invitations/:token', async (req, res) => {
+    try {
+        const { invite, status, error } = await findPendingInvitation(req.params.token);
+
+        if (!invite) {
+            return res.status(status).json({ error });
+        }
+
+        const [roles] = await db.query(
+            'SELECT id, name FROM roles WHERE id IN (?) AND tenant_id = ? ORDER BY name',
+            [invitationRoleIds(invite), invite.tenant_id]
         );
 
-        // Send email
-        const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}&email=${email}`;
-        
-        await sendEmail({
-            to: email,
-            subject: 'Password Reset Request',
-            html: `
-                <h2>Hello ${user.first_name},</h2>
-                <p>You requested a password reset. Click the link below to reset your password:</p>
-                <a href="${resetUrl}">Reset Password</a>
-                <p>This link expires in 1 hour.</p>
-                <p>If you didn't request this, please ignore this email.</p>
-            `
+        res.json({
+            email: invite.email,
+            firstName: invite.first_name,
+            lastName: invite.last_name,
+            tenant: {
+                id: invite.tenant_id,
+                name: invite.tenant_name,
+                logoUrl: invite.tenant_logo_url
+            },
+            invitedBy: {
+                firstName: invite.invited_by_first_name,
+                lastName: invite.invited_by_last_name
+            },
+            role: {
+                id: invite.role_id,
+                name: invite.role_name
+            },
+            roles,
+            expiresAt: invite.expires_at
         });
 
-        res.json({ message: 'If the email exists, a reset link has been sent' });
-
     } catch (error) {
-        console.error('Forgot password error:', error);
-        res.status(500).json({ error: 'Failed to process request' });
+        console.error('Get invitation error:', error);
+        res.status(500).json({ error: 'Failed to fetch invitation' });
     }
 });
 
+// POST /auth/accept-invite - Accept invitation and create account
+router.post('/accept-invite',
+    [
+        body('token').notEmpty(),
+        body('password').isString().notEmpty(),
+        body('firstName').trim().notEmpty(),
+        body('lastName').trim().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { token, password, firstName, lastName, rememberMe } = req.body;
+
+            const { invite, status, error } = await findPendingInvitation(token);
+
+            if (!invite) {
+                return res.status(status).json({ error });
+            }
+
+            // Check if user already exists in this tenant
+            const [existing] = await db.query(
+                'SELECT id FROM users WHERE email = ? AND tenant_id = ?',
+                [invite.email, invite.tenant_id]
+            );
+
+            if (existing.length > 0) {
+                return res.status(400).json({
+                    error: 'User with this email already exists in this organization'
+                });
+            }
+
+            const failures = await validatePassword(password, getPasswordPolicy(invite.tenant_settings));
+            if (failures.length > 0) {
+                return rejectPassword(res, failures);
+            }
+
+            const passwordHash = await bcrypt.hash(password, 10);
+
+            const connection = await db.getConnection();
+            await connection.beginTransaction();
+
+            let userId;
+
+            try {
+                // Claim the invitation first so a concurrent request cannot reuse it
+                const [claimed] = await connection.query(
+                    `UPDATE user_invitations SET status = 'accepted'
+                     WHERE id = ? AND status = 'pending'`,
+                    [invite.id]
+                );
+
+                if (claimed.affectedRows === 0) {
+                    await connection.rollback();
+                    connection.release();
+                    return res.status(400).json({ error: 'Invitation has already been used' });
+                }
+
+                // Create user (email is verified by the invitation link)
+                const [userResult] = await connection.query(
+                    `INSERT INTO users (tenant_id, email, password_hash, password_changed_at, first_name, last_name, status, email_verified)
+                     VALUES (?, ?, ?, NOW(), ?, ?, 'active', TRUE)`,
+                    [invite.tenant_id, invite.email, passwordHash, firstName, lastName]
+                );
+
+                userId = userResult.insertId;
+
+                await recordPasswordHistory(connection, userId, passwordHash);
+
+                // Roles deleted since the invitation was sent are skipped
+                const roleIds = invitationRoleIds(invite);
+                await connection.query(
+                    `INSERT INTO user_roles (user_id, role_id)
+                     SELECT ?, id FROM roles WHERE id IN (?) AND tenant_id = ?`,
+                    [userId, roleIds, invite.tenant_id]
+                );
+
+                // Projects chosen at invitation time (bulk import), if still active
+                const projectIds = typeof invite.project_ids === 'string'
+                    ? JSON.parse(invite.project_ids)
+                    : invite.project_ids;
+                if (projectIds && projectIds.length > 0) {
+                    await connection.query(
+                        `INSERT IGNORE INTO project_members (project_id, user_id, role)
+                         SELECT id, ?, ? FROM projects
+                         WHERE id IN (?) AND tenant_id = ? AND status = 'active'`,
+                        [userId, resolveSettings(invite.tenant_settings).projects.defaultRole, projectIds, invite.tenant_id]
+                    );
+                }
+
+                // Notify the inviter
+                await connection.query(
+                    `INSERT INTO notifications (tenant_id, user_id, type, title, message, data)
+                     VALUES (?, ?, 'invite_accepted', 'Invitation Accepted', ?, ?)`,
+                    [
+                        invite.tenant_id,
+                        invite.invited_by,
+                        `${firstName} ${lastName} has joined ${invite.tenant_name}`,
+                        JSON.stringify({ userId, invitationId: invite.id })
+                    ]
+                );
+
+                await recordAudit({
+                    tenantId: invite.tenant_id,
+                    userId,
+                    action: 'accept_invite',
+                    entityType: 'user',
+                    entityId: userId,
+                    newValues: { email: invite.email, firstName, lastName, roleIds, invitationId: invite.id, projectIds },
+                    req
+                }, connection);
+
+                await connection.commit();
+                connection.release();
+            } catch (error) {
+                await connection.rollback();
+                connection.release();
+                throw error;
+            }
+
+            // Generate tokens
+            const { accessToken, refreshToken } = await issueTokens(
+                { id: userId, tenantId: invite.tenant_id },
+                req,
+                { rememberMe }
+            );
+
+            await db.query(
+                'UPDATE users SET last_login = NOW() WHERE id = ?',
+                [userId]
+            );
+
+            res.status(201).json({
+                message: 'Invitation accepted',
+                user: {
+                    id: userId,
+                    email: invite.email,
+                    firstName,
+                    lastName,
+                    tenantId: invite.tenant_id,
+                    tenantName: invite.tenant_name,
+                    avatar: null
+                },
+                accessToken,
+                refreshToken
+            });
+
+        } catch (error) {
+            console.error('Accept invite error:', error);
+            res.status(500).json({ error: 'Failed to accept invitation' });
+        }
+    }
+);
+
 // GET /auth/me - Get current user profile
 router.get('/me', verifyToken, async (req, res) => {
     try {
         const [users] = await db.query(
             `SELECT u.id, u.email, u.first_name, u.last_name, u.avatar_url, u.phone,
-                    u.preferences, u.last_login, t.name as tenant_name, t.plan
+                    u.preferences, u.last_login, u.mfa_enabled, u.email_verified, u.pending_email,
+                    t.name as tenant_name, t.plan
              FROM users u
              JOIN tenants t ON u.tenant_id = t.id
              WHERE u.id = ?`,
@@ -398,16 +1298,21 @@ router.get('/me', verifyToken, async (req, res) => {
             firstName: user.first_name,
             lastName: user.last_name,
             avatar: user.avatar_url,
+            avatars: avatarUrls(user.avatar_url),
             phone: user.phone,
             preferences: user.preferences,
             lastLogin: user.last_login,
+            mfaEnabled: !!user.mfa_enabled,
+            emailVerified: !!user.email_verified,
+            pendingEmail: user.pending_email,
             tenant: {
                 id: req.user.tenantId,
                 name: user.tenant_name,
                 plan: user.plan
             },
             roles: roles,
-            permissions: req.user.permissions
+            permissions: req.user.permissions,
+            impersonator: req.user.impersonator
         });
 
     } catch (error) {
@@ -416,20 +1321,211 @@ router.get('/me', verifyToken, async (req, res) => {
     }
 });
 
+// PATCH /auth/me - Update own name, phone and preferences
+router.patch('/me',
+    verifyToken,
+    [
+        body('firstName').optional().trim().notEmpty().isLength({ max: 100 }),
+        body('lastName').optional().trim().notEmpty().isLength({ max: 100 }),
+        body('phone').optional({ values: 'null' }).trim().isLength({ max: 20 }),
+        body('preferences').optional().isObject()
+    ],
+    audit('user', 'update_profile', { load: loadProfile, entityId: (req) => req.user.id }),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { firstName, lastName, phone } = req.body;
+
+            const updates = {};
+            if (firstName !== undefined) updates.first_name = firstName;
+            if (lastName !== undefined) updates.last_name = lastName;
+            if (phone !== undefined) updates.phone = phone || null;
+
+            let preferences = null;
+            if (req.body.preferences !== undefined) {
+                const result = validatePreferences(req.body.preferences);
+                if (result.errors.length > 0) {
+                    return res.status(400).json({ error: 'Invalid preferences', errors: result.errors });
+                }
+
+                if (result.preferences.defaultProjectId) {
+                    const [projects] = await db.query(
+                        `SELECT id FROM projects WHERE id = ? AND tenant_id = ? AND status = 'active'`,
+                        [result.preferences.defaultProjectId, req.user.tenantId]
+                    );
+                    if (projects.length === 0) {
+                        return res.status(400).json({
+                            error: 'Invalid preferences',
+                            errors: [{ path: 'preferences.defaultProjectId', message: 'Project not found' }]
+                        });
+                    }
+                }
+
+                preferences = result.preferences;
+            }
+
+            if (Object.keys(updates).length === 0 && !preferences) {
+                return res.status(400).json({ error: 'No fields to update' });
+            }
+
+            const fields = Object.keys(updates).map(k => `${k} = ?`);
+            const values = Object.values(updates);
+            if (preferences) {
+                // Merged into the stored preferences; null removes one
+                fields.push('preferences = JSON_MERGE_PATCH(COALESCE(preferences, JSON_OBJECT()), ?)');
+                values.push(JSON.stringify(preferences));
+            }
+
+            await db.query(
+                `UPDATE users SET ${fields.join(', ')} WHERE id = ?`,
+                [...values, req.user.id]
+            );
+            await invalidateUsers(req.user.id);
+
+            const profile = await loadProfile(req.user.id);
+
+            res.json({
+                message: 'Profile updated successfully',
+                firstName: profile.first_name,
+                lastName: profile.last_name,
+                phone: profile.phone,
+                preferences: profile.preferences
+            });
+
+        } catch (error) {
+            console.error('Update profile error:', error);
+            res.status(500).json({ error: 'Failed to update profile' });
+        }
+    }
+);
+
+// GET /auth/me/preferences/schema - Typed preferences PATCH /auth/me accepts
+router.get('/me/preferences/schema', verifyToken, (req, res) => {
+    res.json({ fields: PREFERENCE_FIELDS });
+});
+
+// POST /auth/me/avatar - Upload own profile picture
+router.post('/me/avatar',
+    verifyToken,
+    avatarUpload.single('avatar'),
+    audit('user', 'update_avatar', {
+        load: loadProfile,
+        entityId: (req) => req.user.id,
+        details: (req) => ({ originalName: req.file?.originalname })
+    }),
+    async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ error: 'No file uploaded' });
+            }
+
+            const previous = await loadProfile(req.user.id);
+
+            const result = await saveAvatar(req.user.id, req.file.buffer);
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+
+            try {
+                await db.query('UPDATE users SET avatar_url = ? WHERE id = ?', [result.avatarUrl, req.user.id]);
+            } catch (error) {
+                await removeAvatar(result.avatarUrl);
+                throw error;
+            }
+            await removeAvatar(previous?.avatar_url);
+
+            res.json({
+                message: 'Avatar uploaded successfully',
+                avatar: result.avatarUrl,
+                avatars: avatarUrls(result.avatarUrl)
+            });
+
+        } catch (error) {
+            console.error('Upload avatar error:', error);
+            res.status(500).json({ error: 'Failed to upload avatar' });
+        }
+    }
+);
+
+// DELETE /auth/me/avatar - Remove own profile picture
+router.delete('/me/avatar',
+    verifyToken,
+    audit('user', 'remove_avatar', { load: loadProfile, entityId: (req) => req.user.id }),
+    async (req, res) => {
+        try {
+            const profile = await loadProfile(req.user.id);
+
+            await db.query('UPDATE users SET avatar_url = NULL WHERE id = ?', [req.user.id]);
+            await removeAvatar(profile?.avatar_url);
+
+            res.json({ message: 'Avatar removed successfully' });
+
+        } catch (error) {
+            console.error('Remove avatar error:', error);
+            res.status(500).json({ error: 'Failed to remove avatar' });
+        }
+    }
+);
+
+// Set a new password that has passed the policy checks, and audit the change
+async function savePassword(userId, password, { tenantId, action, req }) {
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        await connection.query(
+            'UPDATE users SET password_hash = ?, password_changed_at = NOW() WHERE id = ?',
+            [passwordHash, userId]
+        );
+        await recordPasswordHistory(connection, userId, passwordHash);
+
+        await recordAudit({
+            tenantId,
+            userId,
+            action,
+            entityType: 'user',
+            entityId: userId,
+            req
+        }, connection);
+
+        await connection.commit();
+        connection.release();
+    } catch (error) {
+        await connection.rollback();
+        connection.release();
+        throw error;
+    }
+}
+
 // POST /auth/change-password - Change password
 router.post('/change-password', 
     verifyToken,
+    denyImpersonation,
     [
         body('currentPassword').notEmpty(),
-        body('newPassword').isLength({ min: 8 })
+        body('newPassword').isString().notEmpty()
     ],
     async (req, res) => {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
             const { currentPassword, newPassword } = req.body;
 
             // Get current password hash
             const [users] = await db.query(
-                'SELECT password_hash FROM users WHERE id = ?',
+                `SELECT u.password_hash, t.settings as tenant_settings
+                 FROM users u
+                 JOIN tenants t ON u.tenant_id = t.id
+                 WHERE u.id = ?`,
                 [req.user.id]
             );
 
@@ -443,14 +1539,20 @@ router.post('/change-password',
                 return res.status(401).json({ error: 'Current password is incorrect' });
             }
 
-            // Hash new password
-            const newPasswordHash = await bcrypt.hash(newPassword, 10);
-
-            // Update password
-            await db.query(
-                'UPDATE users SET password_hash = ? WHERE id = ?',
-                [newPasswordHash, req.user.id]
+            const failures = await validatePassword(
+                newPassword,
+                getPasswordPolicy(users[0].tenant_settings),
+                req.user.id
             );
+            if (failures.length > 0) {
+                return rejectPassword(res, failures);
+            }
+
+            await savePassword(req.user.id, newPassword, {
+                tenantId: req.user.tenantId,
+                action: 'change_password',
+                req
+            });
 
             res.json({ message: 'Password changed successfully' });
 
@@ -461,16 +1563,105 @@ router.post('/change-password',
     }
 );
 
+// POST /auth/change-expired-password - Replace an expired password and finish logging in
+router.post('/change-expired-password',
+    [
+        body('passwordToken').notEmpty(),
+        body('newPassword').isString().notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { passwordToken, newPassword } = req.body;
+
+            const decoded = verifyMfaToken(passwordToken, ['password_change']);
+            if (!decoded) {
+                return res.status(401).json({ error: 'Invalid or expired password token' });
+            }
+
+            const [users] = await db.query(
+                `SELECT u.*, t.name as tenant_name, t.status as tenant_status, t.settings as tenant_settings
+                 FROM users u
+                 JOIN tenants t ON u.tenant_id = t.id
+                 WHERE u.id = ? AND u.status = 'active'`,
+                [decoded.userId]
+            );
+
+            if (users.length === 0 || users[0].tenant_status !== 'active') {
+                return res.status(401).json({ error: 'Invalid or expired password token' });
+            }
+
+            const user = users[0];
+
+            const failures = await validatePassword(
+                newPassword,
+                getPasswordPolicy(user.tenant_settings),
+                user.id
+            );
+            if (failures.length > 0) {
+                return rejectPassword(res, failures);
+            }
+
+            await savePassword(user.id, newPassword, {
+                tenantId: user.tenant_id,
+                action: 'change_expired_password',
+                req
+            });
+
+            const session = await completeLogin(user, req, { rememberMe: decoded.rememberMe });
+
+            res.json({
+                message: 'Password changed successfully',
+                ...session
+            });
+
+        } catch (error) {
+            console.error('Change expired password error:', error);
+            res.status(500).json({ error: 'Failed to change password' });
+        }
+    }
+);
+
+// GET /auth/password-policy - Password rules for an organization (slug or id)
+router.get('/password-policy', async (req, res) => {
+    try {
+        let settings = null;
+
+        if (req.query.tenant) {
+            const [tenants] = await db.query(
+                'SELECT settings FROM tenants WHERE slug = ? OR id = ?',
+                [req.query.tenant, req.query.tenant]
+            );
+
+            if (tenants.length === 0) {
+                return res.status(404).json({ error: 'Organization not found' });
+            }
+            settings = tenants[0].settings;
+        }
+
+        res.json(getPasswordPolicy(settings));
+
+    } catch (error) {
+        console.error('Get password policy error:', error);
+        res.status(500).json({ error: 'Failed to fetch password policy' });
+    }
+});
+
 // GET /auth/sessions - Get active sessions
 router.get('/sessions', verifyToken, async (req, res) => {
     try {
         const [sessions] = await db.query(
             `SELECT id, device_info, ip_address, created_at, last_used, 
-                    CASE WHEN expires_at > NOW() THEN TRUE ELSE FALSE END as is_valid
+                    CASE WHEN expires_at > NOW() THEN TRUE ELSE FALSE END as is_valid,
+                    CASE WHEN id = ? THEN TRUE ELSE FALSE END as is_current
              FROM user_sessions
              WHERE user_id = ? AND is_active = TRUE
              ORDER BY last_used DESC`,
-            [req.user.id]
+            [req.user.sessionId, req.user.id]
         );
 
         res.json(sessions);
@@ -481,15 +1672,55 @@ router.get('/sessions', verifyToken, async (req, res) => {
     }
 });
 
+// POST /auth/sessions/revoke-others - Log out all other devices
+router.post('/sessions/revoke-others', verifyToken, denyImpersonation, async (req, res) => {
+    try {
+        if (!req.user.sessionId) {
+            return res.status(400).json({ error: 'Not signed in with a session' });
+        }
+
+        const [result] = await db.query(
+            'UPDATE user_sessions SET is_active = FALSE WHERE user_id = ? AND id != ? AND is_active = TRUE',
+            [req.user.id, req.user.sessionId]
+        );
+        invalidateUserSessions(req.user.id);
+
+        await auditRequest(req, {
+            action: 'revoke_other_sessions',
+            entityType: 'session',
+            entityId: req.user.sessionId,
+            newValues: { terminated: result.affectedRows }
+        });
+
+        res.json({
+            message: 'Other sessions terminated',
+            terminated: result.affectedRows
+        });
+
+    } catch (error) {
+        console.error('Revoke other sessions error:', error);
+        res.status(500).json({ error: 'Failed to terminate sessions' });
+    }
+});
+
 // DELETE /auth/sessions/:id - Logout specific session
-router.delete('/sessions/:id', verifyToken, async (req, res) => {
+router.delete('/sessions/:id', verifyToken, denyImpersonation, async (req, res) => {
     try {
         const { id } = req.params;
 
-        await db.query(
+        const [result] = await db.query(
             'UPDATE user_sessions SET is_active = FALSE WHERE id = ? AND user_id = ?',
             [id, req.user.id]
         );
+        invalidateSession(id);
+
+        if (result.affectedRows > 0) {
+            await auditRequest(req, {
+                action: 'revoke_session',
+                entityType: 'session',
+                entityId: parseInt(id)
+            });
+        }
 
         res.json({ message: 'Session terminated' });
 
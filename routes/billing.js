@@ -3,9 +3,20 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { verifyToken, checkPermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 router.use(verifyToken);
 
+// Audit loader: the tenant's plan
+const loadPlan = async (id, req) => {
+    const [tenants] = await db.query(
+        'SELECT plan, plan_limits FROM tenants WHERE id = ?',
+        [req.user.tenantId]
+    );
+    return tenants[0] || null;
+};
+const currentTenant = (req) => req.user.tenantId;
+
 // GET /billing/plans - Get available plans
 router.get('/plans', async (req, res) => {
     try {
@@ -121,6 +132,11 @@ router.get('/usage', async (req, res) => {
 // POST /billing/subscribe - Subscribe to a plan
 router.post('/subscribe',
     checkPermission('billing.manage'),
+    audit('billing', 'subscribe', {
+        load: loadPlan,
+        entityId: currentTenant,
+        details: (req) => ({ billingCycle: req.body.billingCycle || 'monthly' })
+    }),
     async (req, res) => {
         try {
             const { planId, billingCycle = 'monthly' } = req.body;
@@ -188,6 +204,7 @@ router.get('/invoices', checkPermission('billing.view'), async (req, res) => {
 router.post(
   '/downgrade',
   checkPermission('billing.manage'),
+  audit('billing', 'downgrade', { load: loadPlan, entityId: currentTenant }),
   async (req, res) => {
     try {
       const planId = 'free';
@@ -0,0 +1,370 @@
+// routes/mfa.js - Two-Factor Authentication (TOTP) Routes
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { verifyToken, denyImpersonation } = require('../middleware/auth');
+const { completeLogin, signMfaToken, verifyMfaToken } = require('../utils/tokenService');
+const {
+    generateSecret,
+    buildOtpAuthUrl,
+    verifyTotp,
+    generateRecoveryCodes,
+    useRecoveryCode,
+    isMfaRequired
+} = require('../utils/mfa');
+const { tenantStatusError, canReopenTenant } = require('../utils/tenantLifecycle');
+const {
+    getLockoutPolicy,
+    getRetryAfter,
+    recordAttempt,
+    countFailuresSince,
+    registerFailure,
+    clearFailures
+} = require('../utils/loginAttempts');
+const { recordAudit } = require('../utils/auditLog');
+
+// Enrollment accepts a regular access token, or the mfa_setup token
+// returned by /auth/login when the tenant forces 2FA on a user without it
+const verifyEnrollmentToken = (req, res, next) => {
+    if (req.body.mfaToken) {
+        const decoded = verifyMfaToken(req.body.mfaToken, ['mfa_setup']);
+        if (!decoded) {
+            return res.status(401).json({ error: 'Invalid or expired MFA token' });
+        }
+        req.mfaSetup = decoded;
+        return next();
+    }
+    return verifyToken(req, res, () => denyImpersonation(req, res, next));
+};
+
+const enrollingUserId = (req) => (req.mfaSetup ? req.mfaSetup.userId : req.user.id);
+
+// Fetch user with the fields needed for 2FA checks and login
+async function getMfaUser(userId) {
+    const [users] = await db.query(
+        `SELECT u.*, t.name as tenant_name, t.status as tenant_status, t.settings as tenant_settings,
+                t.purge_after as tenant_purge_after
+         FROM users u
+         JOIN tenants t ON u.tenant_id = t.id
+         WHERE u.id = ? AND u.status = 'active'`,
+        [userId]
+    );
+    return users[0] || null;
+}
+
+// Check a TOTP code and remember its time step so it cannot be replayed
+async function checkTotp(user, code) {
+    const step = verifyTotp(user.mfa_secret, code, user.mfa_last_step);
+    if (step === null) {
+        return false;
+    }
+    await db.query('UPDATE users SET mfa_last_step = ? WHERE id = ?', [step, user.id]);
+    return true;
+}
+
+// POST /auth/mfa/enroll - Generate a new TOTP secret
+router.post('/enroll', verifyEnrollmentToken, async (req, res) => {
+    try {
+        const user = await getMfaUser(enrollingUserId(req));
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.mfa_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateSecret();
+
+        await db.query(
+            'UPDATE users SET mfa_secret = ?, mfa_last_step = NULL WHERE id = ?',
+            [secret, user.id]
+        );
+
+        res.json({
+            secret,
+            otpauthUrl: buildOtpAuthUrl(secret, user.email)
+        });
+
+    } catch (error) {
+        console.error('MFA enroll error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor enrollment' });
+    }
+});
+
+// POST /auth/mfa/verify - Confirm enrollment with a code and enable 2FA
+router.post('/verify',
+    verifyEnrollmentToken,
+    [body('code').trim().notEmpty()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const user = await getMfaUser(enrollingUserId(req));
+
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            if (user.mfa_enabled) {
+                return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+            }
+
+            if (!user.mfa_secret) {
+                return res.status(400).json({ error: 'Start enrollment before verifying' });
+            }
+
+            if (!(await checkTotp(user, req.body.code))) {
+                return res.status(400).json({ error: 'Invalid verification code' });
+            }
+
+            await db.query('UPDATE users SET mfa_enabled = TRUE WHERE id = ?', [user.id]);
+            const recoveryCodes = await generateRecoveryCodes(db, user.id);
+
+            await recordAudit({
+                tenantId: user.tenant_id,
+                userId: user.id,
+                action: 'enable_mfa',
+                entityType: 'user',
+                entityId: user.id,
+                req
+            });
+
+            // Forced enrollment during login finishes the login
+            if (req.mfaSetup) {
+                const session = await completeLogin(user, req, {
+                    rememberMe: req.mfaSetup.rememberMe,
+                    enforcePasswordAge: true
+                });
+                return res.json({
+                    message: 'Two-factor authentication enabled',
+                    recoveryCodes,
+                    ...session
+                });
+            }
+
+            res.json({
+                message: 'Two-factor authentication enabled',
+                recoveryCodes
+            });
+
+        } catch (error) {
+            console.error('MFA verify error:', error);
+            res.status(500).json({ error: 'Failed to verify two-factor code' });
+        }
+    }
+);
+
+// POST /auth/mfa/challenge - Complete login with a TOTP or recovery code
+router.post('/challenge',
+    [body('mfaToken').notEmpty()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { mfaToken, code, recoveryCode } = req.body;
+
+            const decoded = verifyMfaToken(mfaToken, ['mfa']);
+            if (!decoded) {
+                return res.status(401).json({ error: 'Invalid or expired MFA token' });
+            }
+
+            const user = await getMfaUser(decoded.userId);
+
+            if (!user || !user.mfa_enabled) {
+                return res.status(401).json({ error: 'Invalid or expired MFA token' });
+            }
+
+            // Wrong codes count like wrong passwords: throttled per email + IP,
+            // and they lock the account at the tenant's threshold
+            const policy = getLockoutPolicy(user.tenant_settings);
+            const retryAfter = await getRetryAfter(user.email, req.ip, policy.freeAttempts);
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    error: 'Too many failed login attempts. Please try again later',
+                    retryAfter
+                });
+            }
+
+            if (user.locked_until && new Date(user.locked_until) > new Date()) {
+                return res.status(423).json({
+                    error: 'Account is temporarily locked due to too many failed login attempts'
+                });
+            }
+
+            // A token that has used up its attempts stays spent even after
+            // the lock expires; the password has to be entered again
+            if (await countFailuresSince(user.id, new Date(decoded.iat * 1000)) >= policy.maxAttempts) {
+                return res.status(401).json({ error: 'Invalid or expired MFA token' });
+            }
+
+            let verified = false;
+            if (code) {
+                verified = await checkTotp(user, code);
+            } else if (recoveryCode) {
+                verified = await useRecoveryCode(user.id, recoveryCode);
+            }
+
+            if (!verified) {
+                await recordAttempt(user.email, req, { userId: user.id, tenantId: user.tenant_id });
+
+                if (await registerFailure(user, req)) {
+                    return res.status(423).json({
+                        error: 'Account is temporarily locked due to too many failed login attempts'
+                    });
+                }
+
+                return res.status(401).json({ error: 'Invalid verification code' });
+            }
+
+            await clearFailures(user.id);
+
+            // The code is checked first so an admin of a closed organization
+            // gets its reopen token only after 2FA (see rejectInactiveTenant in auth.js)
+            if (user.tenant_status !== 'active') {
+                const body = { error: tenantStatusError(user.tenant_status) };
+                if (user.tenant_status === 'deleted') {
+                    body.purgeAfter = user.tenant_purge_after;
+                    if (await canReopenTenant(user)) {
+                        body.reopenToken = signMfaToken({ id: user.id, tenantId: user.tenant_id }, 'tenant_reopen');
+                    }
+                }
+                return res.status(403).json(body);
+            }
+
+            const session = await completeLogin(user, req, {
+                rememberMe: decoded.rememberMe,
+                enforcePasswordAge: true
+            });
+
+            res.json({
+                message: 'Login successful',
+                ...session
+            });
+
+        } catch (error) {
+            console.error('MFA challenge error:', error);
+            res.status(500).json({ error: 'Two-factor login failed' });
+        }
+    }
+);
+
+// POST /auth/mfa/recovery-codes - Regenerate recovery codes
+router.post('/recovery-codes',
+    verifyToken,
+    denyImpersonation,
+    [body('code').trim().notEmpty()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const user = await getMfaUser(req.user.id);
+
+            if (!user || !user.mfa_enabled) {
+                return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+            }
+
+            if (!(await checkTotp(user, req.body.code))) {
+                return res.status(400).json({ error: 'Invalid verification code' });
+            }
+
+            const recoveryCodes = await generateRecoveryCodes(db, user.id);
+
+            await recordAudit({
+                tenantId: user.tenant_id,
+                userId: user.id,
+                action: 'regenerate_recovery_codes',
+                entityType: 'user',
+                entityId: user.id,
+                req
+            });
+
+            res.json({ recoveryCodes });
+
+        } catch (error) {
+            console.error('MFA recovery codes error:', error);
+            res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+        }
+    }
+);
+
+// POST /auth/mfa/disable - Turn off 2FA (requires password and a code)
+router.post('/disable',
+    verifyToken,
+    denyImpersonation,
+    [body('password').notEmpty()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { password, code, recoveryCode } = req.body;
+
+            const user = await getMfaUser(req.user.id);
+
+            if (!user || !user.mfa_enabled) {
+                return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+            }
+
+            if (await isMfaRequired(user.id, user.tenant_settings)) {
+                return res.status(403).json({
+                    error: 'Your organization requires two-factor authentication'
+                });
+            }
+
+            const validPassword = await bcrypt.compare(password, user.password_hash);
+            if (!validPassword) {
+                return res.status(401).json({ error: 'Password is incorrect' });
+            }
+
+            let verified = false;
+            if (code) {
+                verified = await checkTotp(user, code);
+            } else if (recoveryCode) {
+                verified = await useRecoveryCode(user.id, recoveryCode);
+            }
+
+            if (!verified) {
+                return res.status(400).json({ error: 'Invalid verification code' });
+            }
+
+            await db.query(
+                'UPDATE users SET mfa_enabled = FALSE, mfa_secret = NULL, mfa_last_step = NULL WHERE id = ?',
+                [user.id]
+            );
+            await db.query('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [user.id]);
+
+            await recordAudit({
+                tenantId: user.tenant_id,
+                userId: user.id,
+                action: 'disable_mfa',
+                entityType: 'user',
+                entityId: user.id,
+                req
+            });
+
+            res.json({ message: 'Two-factor authentication disabled' });
+
+        } catch (error) {
+            console.error('MFA disable error:', error);
+            res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+        }
+    }
+);
+
+module.exports = router;
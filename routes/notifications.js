@@ -3,9 +3,17 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const { verifyToken } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { withoutProfilePreferences } = require('../utils/userPreferences');
 
 router.use(verifyToken);
 
+// Audit loader: the caller's own preferences
+const loadPreferences = async (id, req) => {
+    const [users] = await db.query('SELECT preferences FROM users WHERE id = ?', [req.user.id]);
+    return users[0] || null;
+};
+
 // GET /notifications - Get user notifications
 router.get('/', async (req, res) => {
     try {
@@ -76,21 +84,29 @@ router.post('/read', async (req, res) => {
 });
 
 // POST /notifications/preferences - Update notification preferences
-router.post('/preferences', async (req, res) => {
-    try {
-        const { preferences } = req.body;
-
-        await db.query(
-            'UPDATE users SET preferences = ? WHERE id = ?',
-            [JSON.stringify(preferences), req.user.id]
-        );
-
-        res.json({ message: 'Preferences updated' });
-
-    } catch (error) {
-        console.error('Update preferences error:', error);
-        res.status(500).json({ error: 'Failed to update preferences' });
+router.post('/preferences',
+    audit('user', 'update_preferences', { load: loadPreferences, entityId: (req) => req.user.id }),
+    async (req, res) => {
+        try {
+            const { preferences } = req.body;
+
+            if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+                return res.status(400).json({ error: 'Invalid preferences' });
+            }
+
+            // Merged, so the profile preferences (PATCH /auth/me) stored alongside are kept
+            await db.query(
+                'UPDATE users SET preferences = JSON_MERGE_PATCH(COALESCE(preferences, JSON_OBJECT()), ?) WHERE id = ?',
+                [JSON.stringify(withoutProfilePreferences(preferences)), req.user.id]
+            );
+
+            res.json({ message: 'Preferences updated' });
+
+        } catch (error) {
+            console.error('Update preferences error:', error);
+            res.status(500).json({ error: 'Failed to update preferences' });
+        }
     }
-});
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,521 @@
+// routes/platform.js - Platform operator console (all tenants)
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { signOperatorToken, verifyOperator } = require('../middleware/platformAuth');
+const { getRetryAfter, recordAttempt } = require('../utils/loginAttempts');
+const { invalidateTenant } = require('../utils/identityCache');
+const { logPlatformEvent } = require('../utils/platformLog');
+const { getCacheStats } = require('../utils/cache');
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : (value || {}));
+
+// Operator logins share the attempt log with tenant users, under their own key
+const attemptKey = (email) => `platform:${email}`;
+
+// Record an operator action in the platform audit log
+const logOperatorAction = (req, action, tenant, details) => logPlatformEvent({
+    action,
+    tenant,
+    actorType: 'operator',
+    actorId: req.operator.id,
+    actorEmail: req.operator.email,
+    details,
+    ip: req.ip
+});
+
+// Per-tenant usage, matching GET /billing/usage
+const USAGE_COLUMNS = `
+    (SELECT COUNT(*) FROM users u WHERE u.tenant_id = t.id AND u.status = 'active') as users_count,
+    (SELECT COUNT(*) FROM projects p WHERE p.tenant_id = t.id AND p.status = 'active') as projects_count,
+    (SELECT COALESCE(SUM(ta.file_size), 0) FROM task_attachments ta
+     JOIN tasks tk ON ta.task_id = tk.id
+     WHERE tk.tenant_id = t.id) as storage_bytes,
+    (SELECT MAX(u.last_login) FROM users u WHERE u.tenant_id = t.id) as last_activity`;
+
+const formatTenant = (tenant) => ({
+    id: tenant.id,
+    name: tenant.name,
+    slug: tenant.slug,
+    plan: tenant.plan,
+    status: tenant.status,
+    createdAt: tenant.created_at,
+    closedAt: tenant.closed_at,
+    purgeAfter: tenant.purge_after,
+    limits: parseJson(tenant.plan_limits),
+    usage: {
+        users: tenant.users_count,
+        projects: tenant.projects_count,
+        storage_gb: (tenant.storage_bytes / (1024 * 1024 * 1024)).toFixed(2)
+    },
+    lastActivity: tenant.last_activity
+});
+
+async function findTenant(id) {
+    const [tenants] = await db.query(
+        `SELECT t.*, ${USAGE_COLUMNS} FROM tenants t WHERE t.id = ?`,
+        [id]
+    );
+    return tenants[0] || null;
+}
+
+// POST /platform/auth/login - Operator login
+router.post('/auth/login',
+    [
+        body('email').trim().isEmail().toLowerCase(),
+        body('password').notEmpty()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            if (!process.env.PLATFORM_JWT_SECRET) {
+                return res.status(503).json({ error: 'Platform console is not configured' });
+            }
+
+            const { email, password } = req.body;
+
+            const retryAfter = await getRetryAfter(attemptKey(email), req.ip);
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    error: 'Too many failed login attempts. Please try again later',
+                    retryAfter
+                });
+            }
+
+            const [operators] = await db.query(
+                `SELECT * FROM platform_operators WHERE email = ? AND status = 'active'`,
+                [email]
+            );
+
+            const operator = operators[0];
+            if (!operator || !(await bcrypt.compare(password, operator.password_hash))) {
+                await recordAttempt(attemptKey(email), req);
+                return res.status(401).json({ error: 'Invalid credentials' });
+            }
+
+            await recordAttempt(attemptKey(email), req, { success: true });
+            await db.query('UPDATE platform_operators SET last_login = NOW() WHERE id = ?', [operator.id]);
+
+            await logPlatformEvent({
+                action: 'operator_login',
+                actorType: 'operator',
+                actorId: operator.id,
+                actorEmail: operator.email,
+                ip: req.ip
+            });
+
+            res.json({
+                message: 'Login successful',
+                operator: { id: operator.id, email: operator.email, name: operator.name },
+                accessToken: signOperatorToken(operator)
+            });
+
+        } catch (error) {
+            console.error('Operator login error:', error);
+            res.status(500).json({ error: 'Login failed' });
+        }
+    }
+);
+
+// Everything below requires an operator
+router.use(verifyOperator);
+
+// GET /platform/tenants - List and search tenants with usage
+router.get('/tenants', async (req, res) => {
+    try {
+        const { search, status, plan, limit = 50, offset = 0 } = req.query;
+
+        let where = 'WHERE 1 = 1';
+        const params = [];
+
+        if (search) {
+            where += ' AND (t.name LIKE ? OR t.slug LIKE ? OR t.id = ?)';
+            params.push(`%${search}%`, `%${search}%`, search);
+        }
+        if (status) {
+            where += ' AND t.status = ?';
+            params.push(status);
+        }
+        if (plan) {
+            where += ' AND t.plan = ?';
+            params.push(plan);
+        }
+
+        const [tenants] = await db.query(
+            `SELECT t.*, ${USAGE_COLUMNS}
+             FROM tenants t
+             ${where}
+             ORDER BY t.created_at DESC
+             LIMIT ? OFFSET ?`,
+            [...params, parseInt(limit), parseInt(offset)]
+        );
+
+        const [count] = await db.query(`SELECT COUNT(*) as total FROM tenants t ${where}`, params);
+
+        res.json({
+            tenants: tenants.map(formatTenant),
+            total: count[0].total
+        });
+
+    } catch (error) {
+        console.error('Platform list tenants error:', error);
+        res.status(500).json({ error: 'Failed to fetch tenants' });
+    }
+});
+
+// GET /platform/tenants/:id - Tenant detail with admins
+router.get('/tenants/:id', async (req, res) => {
+    try {
+        const tenant = await findTenant(req.params.id);
+
+        if (!tenant) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+
+        const [admins] = await db.query(
+            `SELECT DISTINCT u.id, u.email, u.first_name, u.last_name, u.last_login
+             FROM users u
+             JOIN user_roles ur ON u.id = ur.user_id
+             JOIN roles r ON ur.role_id = r.id
+             WHERE u.tenant_id = ? AND r.name = 'Admin' AND r.is_system_role = TRUE`,
+            [tenant.id]
+        );
+
+        res.json({ ...formatTenant(tenant), admins });
+
+    } catch (error) {
+        console.error('Platform get tenant error:', error);
+        res.status(500).json({ error: 'Failed to fetch tenant' });
+    }
+});
+
+// POST /platform/tenants/:id/suspend - Suspend a tenant (verifyToken blocks its users)
+router.post('/tenants/:id/suspend',
+    [body('reason').trim().notEmpty()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const tenant = await findTenant(req.params.id);
+
+            if (!tenant) {
+                return res.status(404).json({ error: 'Tenant not found' });
+            }
+
+            if (tenant.status !== 'active') {
+                return res.status(400).json({ error: `Tenant is ${tenant.status}` });
+            }
+
+            await db.query(
+                `UPDATE tenants SET status = 'suspended' WHERE id = ? AND status = 'active'`,
+                [tenant.id]
+            );
+            await invalidateTenant(tenant.id);
+
+            await logOperatorAction(req, 'tenant_suspended', tenant, { reason: req.body.reason });
+
+            res.json({ message: 'Tenant suspended' });
+
+        } catch (error) {
+            console.error('Suspend tenant error:', error);
+            res.status(500).json({ error: 'Failed to suspend tenant' });
+        }
+    }
+);
+
+// POST /platform/tenants/:id/unsuspend - Lift a suspension
+router.post('/tenants/:id/unsuspend', async (req, res) => {
+    try {
+        const tenant = await findTenant(req.params.id);
+
+        if (!tenant) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+
+        if (tenant.status !== 'suspended') {
+            return res.status(400).json({ error: 'Tenant is not suspended' });
+        }
+
+        await db.query(
+            `UPDATE tenants SET status = 'active' WHERE id = ? AND status = 'suspended'`,
+            [tenant.id]
+        );
+        await invalidateTenant(tenant.id);
+
+        await logOperatorAction(req, 'tenant_unsuspended', tenant, { reason: req.body.reason || null });
+
+        res.json({ message: 'Tenant reactivated' });
+
+    } catch (error) {
+        console.error('Unsuspend tenant error:', error);
+        res.status(500).json({ error: 'Failed to unsuspend tenant' });
+    }
+});
+
+// PUT /platform/tenants/:id/plan-limits - Override plan limits (-1 = unlimited)
+router.put('/tenants/:id/plan-limits',
+    [
+        body('users').optional().isInt({ min: -1 }).toInt(),
+        body('projects').optional().isInt({ min: -1 }).toInt(),
+        body('storage_gb').optional().isInt({ min: -1 }).toInt(),
+        body('reason').optional().trim()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const tenant = await findTenant(req.params.id);
+
+            if (!tenant) {
+                return res.status(404).json({ error: 'Tenant not found' });
+            }
+
+            const oldLimits = parseJson(tenant.plan_limits);
+            const overrides = {};
+            for (const key of ['users', 'projects', 'storage_gb']) {
+                if (req.body[key] !== undefined) {
+                    overrides[key] = req.body[key];
+                }
+            }
+
+            if (Object.keys(overrides).length === 0) {
+                return res.status(400).json({ error: 'No limits to update' });
+            }
+
+            const limits = { ...oldLimits, ...overrides };
+
+            await db.query(
+                'UPDATE tenants SET plan_limits = ? WHERE id = ?',
+                [JSON.stringify(limits), tenant.id]
+            );
+
+            await logOperatorAction(req, 'plan_limits_changed', tenant, {
+                old: oldLimits,
+                new: limits,
+                reason: req.body.reason || null
+            });
+
+            res.json({ message: 'Plan limits updated', limits });
+
+        } catch (error) {
+            console.error('Update plan limits error:', error);
+            res.status(500).json({ error: 'Failed to update plan limits' });
+        }
+    }
+);
+
+// GET /platform/metrics - Signup and activity metrics
+router.get('/metrics', async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+        const [tenantsByStatus] = await db.query(
+            'SELECT status, COUNT(*) as count FROM tenants GROUP BY status'
+        );
+
+        const [tenantsByPlan] = await db.query(
+            `SELECT plan, COUNT(*) as count FROM tenants WHERE status != 'deleted' GROUP BY plan`
+        );
+
+        const [signups] = await db.query(
+            `SELECT DATE(created_at) as date, COUNT(*) as count
+             FROM tenants
+             WHERE created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+             GROUP BY DATE(created_at)
+             ORDER BY date`,
+            [days]
+        );
+
+        const [newUsers] = await db.query(
+            `SELECT DATE(created_at) as date, COUNT(*) as count
+             FROM users
+             WHERE created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY) AND is_service_account = FALSE
+             GROUP BY DATE(created_at)
+             ORDER BY date`,
+            [days]
+        );
+
+        const [logins] = await db.query(
+            `SELECT DATE(created_at) as date, COUNT(*) as count, COUNT(DISTINCT user_id) as users
+             FROM login_attempts
+             WHERE created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY) AND success = TRUE AND user_id IS NOT NULL
+             GROUP BY DATE(created_at)
+             ORDER BY date`,
+            [days]
+        );
+
+        const [active] = await db.query(
+            `SELECT
+                SUM(last_login >= DATE_SUB(NOW(), INTERVAL 1 DAY)) as daily,
+                SUM(last_login >= DATE_SUB(NOW(), INTERVAL 7 DAY)) as weekly,
+                SUM(last_login >= DATE_SUB(NOW(), INTERVAL 30 DAY)) as monthly,
+                COUNT(*) as total
+             FROM users
+             WHERE status = 'active' AND is_service_account = FALSE`
+        );
+
+        res.json({
+            days,
+            tenants: {
+                byStatus: tenantsByStatus,
+                byPlan: tenantsByPlan,
+                signups
+            },
+            users: {
+                total: active[0].total,
+                active: {
+                    daily: Number(active[0].daily) || 0,
+                    weekly: Number(active[0].weekly) || 0,
+                    monthly: Number(active[0].monthly) || 0
+                },
+                newUsers,
+                logins
+            },
+            caches: getCacheStats()
+        });
+
+    } catch (error) {
+        console.error('Platform metrics error:', error);
+        res.status(500).json({ error: 'Failed to fetch metrics' });
+    }
+});
+
+// GET /platform/audit-logs - Platform audit log
+router.get('/audit-logs', async (req, res) => {
+    try {
+        const { tenantId, action, actorType, limit = 100, offset = 0 } = req.query;
+
+        let query = 'SELECT * FROM platform_audit_logs WHERE 1 = 1';
+        const params = [];
+
+        if (tenantId) {
+            query += ' AND tenant_id = ?';
+            params.push(tenantId);
+        }
+        if (action) {
+            query += ' AND action = ?';
+            params.push(action);
+        }
+        if (actorType) {
+            query += ' AND actor_type = ?';
+            params.push(actorType);
+        }
+
+        query += ' ORDER BY id DESC LIMIT ? OFFSET ?';
+        params.push(parseInt(limit), parseInt(offset));
+
+        const [logs] = await db.query(query, params);
+
+        res.json(logs);
+
+    } catch (error) {
+        console.error('Platform audit logs error:', error);
+        res.status(500).json({ error: 'Failed to fetch audit logs' });
+    }
+});
+
+// GET /platform/operators - List operators
+router.get('/operators', async (req, res) => {
+    try {
+        const [operators] = await db.query(
+            'SELECT id, email, name, status, last_login, created_at FROM platform_operators ORDER BY created_at'
+        );
+
+        res.json(operators);
+
+    } catch (error) {
+        console.error('List operators error:', error);
+        res.status(500).json({ error: 'Failed to fetch operators' });
+    }
+});
+
+// POST /platform/operators - Create an operator account
+router.post('/operators',
+    [
+        body('email').trim().isEmail().toLowerCase(),
+        body('name').trim().notEmpty(),
+        body('password').isLength({ min: 12 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { email, name, password } = req.body;
+
+            const [existing] = await db.query('SELECT id FROM platform_operators WHERE email = ?', [email]);
+            if (existing.length > 0) {
+                return res.status(400).json({ error: 'Operator already exists' });
+            }
+
+            const passwordHash = await bcrypt.hash(password, 10);
+
+            const [result] = await db.query(
+                'INSERT INTO platform_operators (email, name, password_hash) VALUES (?, ?, ?)',
+                [email, name, passwordHash]
+            );
+
+            await logOperatorAction(req, 'operator_created', null, { operatorId: result.insertId, email });
+
+            res.status(201).json({ message: 'Operator created', id: result.insertId });
+
+        } catch (error) {
+            console.error('Create operator error:', error);
+            res.status(500).json({ error: 'Failed to create operator' });
+        }
+    }
+);
+
+// PUT /platform/operators/:id/status - Enable or disable an operator
+router.put('/operators/:id/status',
+    [body('status').isIn(['active', 'disabled'])],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { id } = req.params;
+            const { status } = req.body;
+
+            if (parseInt(id) === req.operator.id) {
+                return res.status(400).json({ error: 'Cannot change your own status' });
+            }
+
+            const [result] = await db.query(
+                'UPDATE platform_operators SET status = ? WHERE id = ?',
+                [status, id]
+            );
+
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ error: 'Operator not found' });
+            }
+
+            await logOperatorAction(req, 'operator_status_changed', null, { operatorId: parseInt(id), status });
+
+            res.json({ message: 'Operator status updated' });
+
+        } catch (error) {
+            console.error('Update operator status error:', error);
+            res.status(500).json({ error: 'Failed to update operator' });
+        }
+    }
+);
+
+module.exports = router;
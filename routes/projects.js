@@ -4,10 +4,33 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { verifyToken, checkPermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { getTenantSettings } = require('../utils/tenantSettings');
 
 // All routes require authentication
 router.use(verifyToken);
 
+// Audit loaders
+const loadProject = async (id, req) => {
+    const [projects] = await db.query(
+        'SELECT * FROM projects WHERE id = ? AND tenant_id = ?',
+        [id, req.user.tenantId]
+    );
+    return projects[0] || null;
+};
+
+const memberUserId = (req) => parseInt(req.body.userId || req.params.userId);
+
+const loadMember = async (id, req) => {
+    const [members] = await db.query(
+        `SELECT pm.role FROM project_members pm
+         JOIN projects p ON pm.project_id = p.id
+         WHERE pm.project_id = ? AND pm.user_id = ? AND p.tenant_id = ?`,
+        [id, memberUserId(req), req.user.tenantId]
+    );
+    return members[0] || null;
+};
+
 // POST /projects - Create new project
 router.post('/',
     checkPermission('projects.create'),
@@ -15,6 +38,7 @@ router.post('/',
         body('name').trim().notEmpty(),
         body('description').optional().trim()
     ],
+    audit('project', 'create', { load: loadProject }),
     async (req, res) => {
         try {
             const errors = validationResult(req);
@@ -36,13 +60,7 @@ router.post('/',
                 [result.insertId, req.user.id]
             );
 
-            // Create audit log
-            await db.query(
-                `INSERT INTO audit_logs (tenant_id, user_id, action, entity_type, entity_id, new_values, ip_address) 
-                 VALUES (?, ?, 'create', 'project', ?, ?, ?)`,
-                [req.user.tenantId, req.user.id, result.insertId, JSON.stringify({ name }), req.ip]
-            );
-
+            res.locals.auditEntityId = result.insertId;
             res.status(201).json({
                 message: 'Project created successfully',
                 projectId: result.insertId
@@ -133,6 +151,7 @@ router.get('/:id', checkPermission('projects.view'), async (req, res) => {
 // PUT /projects/:id - Update project
 router.put('/:id',
     checkPermission('projects.edit'),
+    audit('project', 'update', { load: loadProject }),
     async (req, res) => {
         try {
             const { id } = req.params;
@@ -162,13 +181,6 @@ router.put('/:id',
                 [name, description, code, startDate, endDate, budget, color, status, id]
             );
 
-            // Audit log
-            await db.query(
-                `INSERT INTO audit_logs (tenant_id, user_id, action, entity_type, entity_id, old_values, new_values, ip_address) 
-                 VALUES (?, ?, 'update', 'project', ?, ?, ?, ?)`,
-                [req.user.tenantId, req.user.id, id, JSON.stringify(existing[0]), JSON.stringify(req.body), req.ip]
-            );
-
             res.json({ message: 'Project updated successfully' });
 
         } catch (error) {
@@ -181,6 +193,7 @@ router.put('/:id',
 // POST /projects/:id/archive - Archive project
 router.post('/:id/archive',
     checkPermission('projects.edit'),
+    audit('project', 'archive', { load: loadProject }),
     async (req, res) => {
         try {
             const { id } = req.params;
@@ -203,10 +216,12 @@ router.post('/:id/archive',
 router.post('/:id/members',
     checkPermission('projects.edit'),
     [body('userId').isInt(), body('role').optional()],
+    audit('project', 'add_member', { load: loadMember, details: (req) => ({ userId: memberUserId(req) }) }),
     async (req, res) => {
         try {
             const { id } = req.params;
-            const { userId, role = 'member' } = req.body;
+            const { userId } = req.body;
+            const role = req.body.role || (await getTenantSettings(req.user.tenantId)).projects.defaultRole;
 
             // Check if user exists in tenant
             const [users] = await db.query(
@@ -245,6 +260,7 @@ router.post('/:id/members',
 // DELETE /projects/:id/members/:userId - Remove member from project
 router.delete('/:id/members/:userId',
     checkPermission('projects.edit'),
+    audit('project', 'remove_member', { load: loadMember, details: (req) => ({ userId: memberUserId(req) }) }),
     async (req, res) => {
         try {
             const { id, userId } = req.params;
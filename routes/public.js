@@ -0,0 +1,47 @@
+// routes/public.js - Unauthenticated lookups (branded login pages)
+const express = require('express');
+const router = express.Router();
+const { findTenantBySlug } = require('../utils/tenantSlugs');
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : (value || {}));
+
+// GET /public/tenants/:slug - Branding and login methods for a tenant's login page
+router.get('/tenants/:slug', async (req, res) => {
+    try {
+        const slug = req.params.slug.toLowerCase();
+        const found = await findTenantBySlug(slug, 'id, name, slug, logo_url, status, settings');
+
+        if (!found || found.tenant.status !== 'active') {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        const { tenant, redirected } = found;
+
+        // Old slugs keep working but point at the current one
+        if (redirected) {
+            return res.redirect(301, `${req.baseUrl}/tenants/${encodeURIComponent(tenant.slug)}`);
+        }
+
+        const settings = parseJson(tenant.settings);
+        const sso = settings.sso || {};
+
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json({
+            name: tenant.name,
+            slug: tenant.slug,
+            logoUrl: tenant.logo_url,
+            loginMethods: {
+                password: true,
+                sso: !!sso.enabled,
+                ssoStartUrl: sso.enabled ? `/api/auth/sso/${encodeURIComponent(tenant.slug)}/start` : null,
+                mfaRequired: settings.security?.mfa || 'off'
+            }
+        });
+
+    } catch (error) {
+        console.error('Public tenant lookup error:', error);
+        res.status(500).json({ error: 'Failed to fetch organization' });
+    }
+});
+
+module.exports = router;
@@ -4,9 +4,30 @@ const router = express.Router();
 const { body } = require('express-validator');
 const db = require('../config/database');
 const { verifyToken, checkPermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { invalidateRole } = require('../utils/identityCache');
 
 router.use(verifyToken);
 
+// Audit loader: the role and the names of its permissions
+const loadRole = async (id, req) => {
+    const [roles] = await db.query(
+        'SELECT id, name, description, is_system_role FROM roles WHERE id = ? AND tenant_id = ?',
+        [id, req.user.tenantId]
+    );
+    if (roles.length === 0) {
+        return null;
+    }
+    const [permissions] = await db.query(
+        `SELECT p.name FROM role_permissions rp
+         JOIN permissions p ON rp.permission_id = p.id
+         WHERE rp.role_id = ?
+         ORDER BY p.name`,
+        [id]
+    );
+    return { ...roles[0], permissions: permissions.map(p => p.name) };
+};
+
 // GET /roles - Get all roles
 router.get('/', checkPermission('users.view'), async (req, res) => {
     try {
@@ -64,6 +85,7 @@ router.post('/',
         body('name').trim().notEmpty(),
         body('permissionIds').isArray()
     ],
+    audit('role', 'create', { load: loadRole }),
     async (req, res) => {
         try {
             const { name, description, permissionIds } = req.body;
@@ -84,6 +106,7 @@ router.post('/',
                 );
             }
 
+            res.locals.auditEntityId = roleId;
             res.status(201).json({ 
                 message: 'Role created successfully',
                 roleId 
@@ -100,6 +123,7 @@ router.post('/',
 router.put('/:id',
     checkPermission('users.edit'),
     [body('permissionIds').isArray()],
+    audit('role', 'update', { load: loadRole }),
     async (req, res) => {
         try {
             const { id } = req.params;
@@ -136,6 +160,7 @@ router.put('/:id',
                         [id, permId]
                     );
                 }
+                await invalidateRole(id);
             }
 
             res.json({ message: 'Role updated successfully' });
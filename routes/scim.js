@@ -0,0 +1,749 @@
+// routes/scim.js - SCIM 2.0 provisioning for identity providers (Users and Groups)
+//
+// Authenticated with a bearer API token, normally one issued to a service
+// account whose role grants users.view/create/edit/delete. Users map onto
+// the tenant's (human) users, Groups onto roles and their members onto user_roles.
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { verifyToken, checkPermission, denyImpersonation } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { invalidateUserSessions } = require('../utils/sessionCache');
+const { invalidateUsers, invalidateRole } = require('../utils/identityCache');
+const { getTenantSettings } = require('../utils/tenantSettings');
+const { removeAvatar } = require('../utils/avatars');
+const { withAdminGuard } = require('../utils/userRoles');
+const { getOffboardingPreview, hasHistory } = require('../utils/offboarding');
+const {
+    SCHEMAS,
+    scimError,
+    getPaging,
+    listResponse,
+    formatUser,
+    formatGroup,
+    parseFilter,
+    readUserResource,
+    readMemberIds,
+    patchUser,
+    patchGroup
+} = require('../utils/scim');
+
+// Providers send application/scim+json, which the app-wide parser skips
+router.use(express.json({ type: ['application/json', 'application/scim+json'] }));
+
+// Every response is SCIM JSON; plain { error } bodies (including those from
+// verifyToken and checkPermission) become SCIM error bodies
+router.use((req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        res.type('application/scim+json');
+        if (res.statusCode >= 400 && body && body.error && !body.schemas) {
+            return json(scimError(res.statusCode, typeof body.error === 'string' ? body.error : 'Request failed'));
+        }
+        return json(body);
+    };
+    next();
+});
+
+router.use(verifyToken, denyImpersonation);
+
+const baseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+const sendError = (res, status, detail, scimType) => res.status(status).json(scimError(status, detail, scimType));
+
+// Filterable attributes (lower-cased SCIM paths) and their columns
+const USER_FILTERS = {
+    id: 'u.id',
+    username: 'u.email',
+    'emails.value': 'u.email',
+    emails: 'u.email',
+    externalid: 'u.external_id',
+    'name.givenname': 'u.first_name',
+    'name.familyname': 'u.last_name',
+    active: (op, value) => {
+        if (op !== 'eq' && op !== 'ne') {
+            return null;
+        }
+        const active = op === 'eq' ? value === true : value !== true;
+        return { sql: active ? "u.status = 'active'" : "u.status <> 'active'", params: [] };
+    }
+};
+
+const GROUP_FILTERS = {
+    id: 'r.id',
+    displayname: 'r.name',
+    externalid: 'r.external_id'
+};
+
+// ============= Users =============
+
+const USER_COLUMNS = `u.id, u.email, u.first_name, u.last_name, u.phone, u.avatar_url, u.status,
+                      u.external_id, u.created_at, u.updated_at`;
+
+async function findScimUser(id, tenantId) {
+    const [users] = await db.query(
+        `SELECT ${USER_COLUMNS} FROM users u
+         WHERE u.id = ? AND u.tenant_id = ? AND u.is_service_account = FALSE AND u.status <> 'offboarded'`,
+        [id, tenantId]
+    );
+    return users[0] || null;
+}
+
+// Roles per user id
+async function loadUserRoles(userIds) {
+    const byUser = new Map(userIds.map(id => [id, []]));
+    if (userIds.length === 0) {
+        return byUser;
+    }
+    const [rows] = await db.query(
+        `SELECT ur.user_id, r.id, r.name FROM user_roles ur
+         JOIN roles r ON ur.role_id = r.id
+         WHERE ur.user_id IN (?)
+         ORDER BY r.name`,
+        [userIds]
+    );
+    for (const row of rows) {
+        byUser.get(row.user_id).push({ id: row.id, name: row.name });
+    }
+    return byUser;
+}
+
+async function sendUser(req, res, userId, status = 200) {
+    const user = await findScimUser(userId, req.user.tenantId);
+    const roles = await loadUserRoles([user.id]);
+    res.status(status).json(formatUser(user, roles.get(user.id), baseUrl(req)));
+}
+
+// Audit loader (same shape as the users routes use)
+const loadUser = async (id, req) => {
+    const user = await findScimUser(id, req.user.tenantId);
+    return user && { ...user, roles: (await loadUserRoles([user.id])).get(user.id).map(r => r.name) };
+};
+
+// Whether the plan's user limit leaves room for one more active user
+async function hasFreeSeat(tenantId) {
+    const [tenants] = await db.query('SELECT plan_limits FROM tenants WHERE id = ?', [tenantId]);
+    const limits = typeof tenants[0].plan_limits === 'string'
+        ? JSON.parse(tenants[0].plan_limits)
+        : (tenants[0].plan_limits || {});
+
+    if (!(limits.users > 0)) {
+        return true;
+    }
+
+    const [count] = await db.query(
+        `SELECT COUNT(*) as total FROM users
+         WHERE tenant_id = ? AND status = 'active' AND is_service_account = FALSE`,
+        [tenantId]
+    );
+    return count[0].total < limits.users;
+}
+
+// Check and store a user's fields (user is null for a new one), then
+// respond with the saved user or a SCIM error
+async function saveUser(req, res, user, fields) {
+    const email = typeof fields.userName === 'string' ? fields.userName.trim().toLowerCase() : '';
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 255) {
+        return sendError(res, 400, 'userName must be an email address', 'invalidValue');
+    }
+    if (!fields.givenName || !fields.familyName) {
+        return sendError(res, 400, 'name.givenName and name.familyName are required', 'invalidValue');
+    }
+
+    const [existing] = await db.query(
+        'SELECT id FROM users WHERE email = ? AND tenant_id = ? AND id <> ?',
+        [email, req.user.tenantId, user ? user.id : 0]
+    );
+    if (existing.length > 0) {
+        return sendError(res, 409, 'A user with this userName already exists', 'uniqueness');
+    }
+
+    const status = fields.active ? 'active' : 'inactive';
+    if (status === 'active' && (!user || user.status !== 'active') && !(await hasFreeSeat(req.user.tenantId))) {
+        return sendError(res, 403, "Your organization has reached its plan's user limit");
+    }
+
+    const values = [
+        email,
+        String(fields.givenName).slice(0, 100),
+        String(fields.familyName).slice(0, 100),
+        fields.phone ? String(fields.phone).slice(0, 20) : null,
+        fields.externalId ? String(fields.externalId).slice(0, 255) : null,
+        status
+    ];
+
+    if (!user) {
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            // Provisioned users sign in through SSO or set a password with a reset
+            const [result] = await connection.query(
+                `INSERT INTO users (tenant_id, email, first_name, last_name, phone, external_id, status, password_hash, email_verified)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, '!', TRUE)`,
+                [req.user.tenantId, ...values]
+            );
+
+            const settings = await getTenantSettings(req.user.tenantId);
+            await connection.query(
+                `INSERT INTO user_roles (user_id, role_id)
+                 SELECT ?, id FROM roles WHERE tenant_id = ? AND name = ?`,
+                [result.insertId, req.user.tenantId, settings.sso.defaultRole]
+            );
+
+            await connection.commit();
+            connection.release();
+
+            res.locals.auditEntityId = result.insertId;
+        } catch (error) {
+            await connection.rollback();
+            connection.release();
+            throw error;
+        }
+
+        return sendUser(req, res, res.locals.auditEntityId, 201);
+    }
+
+    const result = await withAdminGuard(req.user.tenantId, async (connection) => {
+        await connection.query(
+            `UPDATE users SET email = ?, first_name = ?, last_name = ?, phone = ?, external_id = ?, status = ?
+             WHERE id = ? AND tenant_id = ?`,
+            [...values, user.id, req.user.tenantId]
+        );
+    });
+    if (result.error) {
+        return sendError(res, result.status, result.error);
+    }
+    await invalidateUsers(user.id);
+
+    // Deactivation ends every session, as PUT /users/:id/status does
+    if (status === 'inactive' && user.status === 'active') {
+        await db.query('UPDATE user_sessions SET is_active = FALSE WHERE user_id = ?', [user.id]);
+        invalidateUserSessions(user.id);
+    }
+
+    return sendUser(req, res, user.id);
+}
+
+const currentFields = (user) => ({
+    userName: user.email,
+    givenName: user.first_name,
+    familyName: user.last_name,
+    active: user.status === 'active',
+    externalId: user.external_id,
+    phone: user.phone
+});
+
+// GET /scim/v2/Users - List or filter users
+router.get('/Users', checkPermission('users.view'), async (req, res) => {
+    try {
+        const { startIndex, count } = getPaging(req.query);
+        let where = "u.tenant_id = ? AND u.is_service_account = FALSE AND u.status <> 'offboarded'";
+        const params = [req.user.tenantId];
+
+        if (req.query.filter) {
+            const filter = parseFilter(req.query.filter, USER_FILTERS);
+            if (filter.error) {
+                return sendError(res, 400, filter.error, 'invalidFilter');
+            }
+            where += ` AND ${filter.sql}`;
+            params.push(...filter.params);
+        }
+
+        const [[{ total }]] = await db.query(`SELECT COUNT(*) as total FROM users u WHERE ${where}`, params);
+        const [users] = await db.query(
+            `SELECT ${USER_COLUMNS} FROM users u WHERE ${where} ORDER BY u.id LIMIT ? OFFSET ?`,
+            [...params, count, startIndex - 1]
+        );
+        const roles = await loadUserRoles(users.map(u => u.id));
+
+        res.json(listResponse(
+            users.map(user => formatUser(user, roles.get(user.id), baseUrl(req))),
+            total,
+            startIndex
+        ));
+
+    } catch (error) {
+        console.error('SCIM list users error:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// GET /scim/v2/Users/:id
+router.get('/Users/:id', checkPermission('users.view'), async (req, res) => {
+    try {
+        if (!(await findScimUser(req.params.id, req.user.tenantId))) {
+            return sendError(res, 404, 'User not found');
+        }
+        await sendUser(req, res, req.params.id);
+
+    } catch (error) {
+        console.error('SCIM get user error:', error);
+        res.status(500).json({ error: 'Failed to fetch user' });
+    }
+});
+
+// POST /scim/v2/Users - Provision a user with the SSO default role
+router.post('/Users',
+    checkPermission('users.create'),
+    audit('user', 'scim_create', { load: loadUser }),
+    async (req, res) => {
+        try {
+            await saveUser(req, res, null, readUserResource(req.body || {}));
+
+        } catch (error) {
+            console.error('SCIM create user error:', error);
+            res.status(500).json({ error: 'Failed to create user' });
+        }
+    }
+);
+
+// PUT /scim/v2/Users/:id - Replace a user's attributes
+router.put('/Users/:id',
+    checkPermission('users.edit'),
+    audit('user', 'scim_update', { load: loadUser }),
+    async (req, res) => {
+        try {
+            const user = await findScimUser(req.params.id, req.user.tenantId);
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+
+            await saveUser(req, res, user, readUserResource(req.body || {}));
+
+        } catch (error) {
+            console.error('SCIM replace user error:', error);
+            res.status(500).json({ error: 'Failed to update user' });
+        }
+    }
+);
+
+// PATCH /scim/v2/Users/:id - PatchOp (e.g. { op: 'replace', path: 'active', value: false })
+router.patch('/Users/:id',
+    checkPermission('users.edit'),
+    audit('user', 'scim_update', { load: loadUser }),
+    async (req, res) => {
+        try {
+            const user = await findScimUser(req.params.id, req.user.tenantId);
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+
+            const operations = req.body && req.body.Operations;
+            if (!Array.isArray(operations)) {
+                return sendError(res, 400, 'Operations must be an array', 'invalidSyntax');
+            }
+
+            const { fields, error, scimType } = patchUser(currentFields(user), operations);
+            if (error) {
+                return sendError(res, 400, error, scimType);
+            }
+
+            await saveUser(req, res, user, fields);
+
+        } catch (error) {
+            console.error('SCIM patch user error:', error);
+            res.status(500).json({ error: 'Failed to update user' });
+        }
+    }
+);
+
+// DELETE /scim/v2/Users/:id - Remove a user, as DELETE /users/:id does
+router.delete('/Users/:id',
+    checkPermission('users.delete'),
+    audit('user', 'scim_delete', { load: loadUser }),
+    async (req, res) => {
+        try {
+            const user = await findScimUser(req.params.id, req.user.tenantId);
+            if (!user) {
+                return sendError(res, 404, 'User not found');
+            }
+
+            // Work would be lost or block the delete; an admin offboards such users
+            if (hasHistory(await getOffboardingPreview(user.id))) {
+                return sendError(res, 409, 'User still owns records; deactivate the user instead (active: false)');
+            }
+
+            const result = await withAdminGuard(req.user.tenantId, async (connection) => {
+                await connection.query('DELETE FROM users WHERE id = ? AND tenant_id = ?', [user.id, req.user.tenantId]);
+            });
+            if (result.error) {
+                return sendError(res, result.status, result.error);
+            }
+            await invalidateUsers(user.id);
+            invalidateUserSessions(user.id);
+            await removeAvatar(user.avatar_url);
+
+            res.status(204).end();
+
+        } catch (error) {
+            console.error('SCIM delete user error:', error);
+            res.status(500).json({ error: 'Failed to delete user' });
+        }
+    }
+);
+
+// ============= Groups =============
+
+async function findGroup(id, tenantId) {
+    const [roles] = await db.query(
+        'SELECT id, name, external_id, is_system_role, created_at FROM roles r WHERE r.id = ? AND r.tenant_id = ?',
+        [id, tenantId]
+    );
+    return roles[0] || null;
+}
+
+async function loadMembers(roleId) {
+    const [members] = await db.query(
+        `SELECT u.id, u.first_name, u.last_name FROM user_roles ur
+         JOIN users u ON ur.user_id = u.id
+         WHERE ur.role_id = ? AND u.is_service_account = FALSE
+         ORDER BY u.id`,
+        [roleId]
+    );
+    return members;
+}
+
+const loadGroup = async (id, req) => {
+    const role = await findGroup(id, req.user.tenantId);
+    return role && { ...role, members: (await loadMembers(role.id)).map(m => m.id) };
+};
+
+const wantsMembers = (req) => !String(req.query.excludedAttributes || '').toLowerCase().split(',').includes('members');
+
+async function sendGroup(req, res, roleId, status = 200) {
+    const role = await findGroup(roleId, req.user.tenantId);
+    const members = wantsMembers(req) ? await loadMembers(role.id) : null;
+    res.status(status).json(formatGroup(role, members, baseUrl(req)));
+}
+
+// Ids among userIds that are the tenant's human users
+async function tenantUserIds(tenantId, userIds) {
+    if (userIds.length === 0) {
+        return [];
+    }
+    const [users] = await db.query(
+        `SELECT id FROM users WHERE id IN (?) AND tenant_id = ? AND is_service_account = FALSE AND status <> 'offboarded'`,
+        [userIds, tenantId]
+    );
+    return users.map(user => user.id);
+}
+
+// Apply name and membership changes to a role. Returns an error response or null.
+async function saveGroup(req, res, role, changes) {
+    const { displayName, externalId, addMembers = [], removeMembers = [], replaceMembers = null, removeAllMembers = false } = changes;
+
+    const missing = [...addMembers, ...(replaceMembers || [])];
+    const known = await tenantUserIds(req.user.tenantId, missing);
+    const unknown = missing.filter(id => !known.includes(id));
+    if (unknown.length > 0) {
+        return sendError(res, 400, `Unknown members: ${[...new Set(unknown)].join(', ')}`, 'invalidValue');
+    }
+
+    if (displayName !== undefined && displayName !== role.name) {
+        if (typeof displayName !== 'string' || !displayName.trim() || displayName.length > 100) {
+            return sendError(res, 400, 'displayName must be 1-100 characters', 'invalidValue');
+        }
+        if (role.is_system_role) {
+            return sendError(res, 400, 'System roles cannot be renamed', 'mutability');
+        }
+        const [taken] = await db.query(
+            'SELECT id FROM roles WHERE tenant_id = ? AND name = ? AND id <> ?',
+            [req.user.tenantId, displayName.trim(), role.id]
+        );
+        if (taken.length > 0) {
+            return sendError(res, 409, 'A group with this displayName already exists', 'uniqueness');
+        }
+    }
+
+    const before = (await loadMembers(role.id)).map(member => member.id);
+
+    // A tenant's last admin cannot be removed from the Admin group
+    const result = await withAdminGuard(req.user.tenantId, async (connection) => {
+        if (displayName !== undefined || externalId !== undefined) {
+            await connection.query(
+                'UPDATE roles SET name = ?, external_id = ? WHERE id = ?',
+                [
+                    displayName !== undefined ? displayName.trim() : role.name,
+                    externalId !== undefined ? (externalId ? String(externalId).slice(0, 255) : null) : role.external_id,
+                    role.id
+                ]
+            );
+        }
+
+        // Service accounts are not SCIM members; their roles are left alone
+        const toRemove = replaceMembers || removeAllMembers ? before : removeMembers;
+        if (toRemove.length > 0) {
+            await connection.query('DELETE FROM user_roles WHERE role_id = ? AND user_id IN (?)', [role.id, toRemove]);
+        }
+
+        const toAdd = replaceMembers || addMembers;
+        if (toAdd.length > 0) {
+            await connection.query(
+                'INSERT IGNORE INTO user_roles (user_id, role_id) VALUES ?',
+                [[...new Set(toAdd)].map(userId => [userId, role.id])]
+            );
+        }
+    });
+    if (result.error) {
+        return sendError(res, result.status, result.error);
+    }
+
+    const after = (await loadMembers(role.id)).map(member => member.id);
+    const changed = [...before.filter(id => !after.includes(id)), ...after.filter(id => !before.includes(id))];
+    if (changed.length > 0) {
+        await invalidateUsers(...changed);
+    }
+
+    return null;
+}
+
+// GET /scim/v2/Groups - List or filter groups (roles)
+router.get('/Groups', checkPermission('users.view'), async (req, res) => {
+    try {
+        const { startIndex, count } = getPaging(req.query);
+        let where = 'r.tenant_id = ?';
+        const params = [req.user.tenantId];
+
+        if (req.query.filter) {
+            const filter = parseFilter(req.query.filter, GROUP_FILTERS);
+            if (filter.error) {
+                return sendError(res, 400, filter.error, 'invalidFilter');
+            }
+            where += ` AND ${filter.sql}`;
+            params.push(...filter.params);
+        }
+
+        const [[{ total }]] = await db.query(`SELECT COUNT(*) as total FROM roles r WHERE ${where}`, params);
+        const [roles] = await db.query(
+            `SELECT r.id, r.name, r.external_id, r.created_at FROM roles r
+             WHERE ${where} ORDER BY r.id LIMIT ? OFFSET ?`,
+            [...params, count, startIndex - 1]
+        );
+
+        const resources = [];
+        for (const role of roles) {
+            const members = wantsMembers(req) ? await loadMembers(role.id) : null;
+            resources.push(formatGroup(role, members, baseUrl(req)));
+        }
+
+        res.json(listResponse(resources, total, startIndex));
+
+    } catch (error) {
+        console.error('SCIM list groups error:', error);
+        res.status(500).json({ error: 'Failed to fetch groups' });
+    }
+});
+
+// GET /scim/v2/Groups/:id
+router.get('/Groups/:id', checkPermission('users.view'), async (req, res) => {
+    try {
+        if (!(await findGroup(req.params.id, req.user.tenantId))) {
+            return sendError(res, 404, 'Group not found');
+        }
+        await sendGroup(req, res, req.params.id);
+
+    } catch (error) {
+        console.error('SCIM get group error:', error);
+        res.status(500).json({ error: 'Failed to fetch group' });
+    }
+});
+
+// POST /scim/v2/Groups - Create a custom role (without permissions) and its members
+router.post('/Groups',
+    checkPermission('users.edit'),
+    audit('role', 'scim_create', { load: loadGroup }),
+    async (req, res) => {
+        try {
+            const { displayName, externalId, members } = req.body || {};
+
+            if (typeof displayName !== 'string' || !displayName.trim() || displayName.length > 100) {
+                return sendError(res, 400, 'displayName must be 1-100 characters', 'invalidValue');
+            }
+
+            const memberIds = readMemberIds(members || []);
+            const known = await tenantUserIds(req.user.tenantId, memberIds);
+            const unknown = memberIds.filter(id => !known.includes(id));
+            if (unknown.length > 0) {
+                return sendError(res, 400, `Unknown members: ${unknown.join(', ')}`, 'invalidValue');
+            }
+
+            const [taken] = await db.query(
+                'SELECT id FROM roles WHERE tenant_id = ? AND name = ?',
+                [req.user.tenantId, displayName.trim()]
+            );
+            if (taken.length > 0) {
+                return sendError(res, 409, 'A group with this displayName already exists', 'uniqueness');
+            }
+
+            // The role and its members are created together, so a failure
+            // leaves no empty group behind for the identity provider to trip over
+            const connection = await db.getConnection();
+            await connection.beginTransaction();
+
+            try {
+                const [result] = await connection.query(
+                    `INSERT INTO roles (tenant_id, name, description, is_system_role, external_id)
+                     VALUES (?, ?, 'Provisioned by SCIM', FALSE, ?)`,
+                    [req.user.tenantId, displayName.trim(), externalId ? String(externalId).slice(0, 255) : null]
+                );
+
+                if (memberIds.length > 0) {
+                    await connection.query(
+                        'INSERT IGNORE INTO user_roles (user_id, role_id) VALUES ?',
+                        [[...new Set(memberIds)].map(userId => [userId, result.insertId])]
+                    );
+                }
+
+                await connection.commit();
+                connection.release();
+
+                res.locals.auditEntityId = result.insertId;
+            } catch (error) {
+                await connection.rollback();
+                connection.release();
+                throw error;
+            }
+
+            if (memberIds.length > 0) {
+                await invalidateUsers(...new Set(memberIds));
+            }
+
+            await sendGroup(req, res, res.locals.auditEntityId, 201);
+
+        } catch (error) {
+            console.error('SCIM create group error:', error);
+            res.status(500).json({ error: 'Failed to create group' });
+        }
+    }
+);
+
+// PUT /scim/v2/Groups/:id - Replace name and members
+router.put('/Groups/:id',
+    checkPermission('users.edit'),
+    audit('role', 'scim_update', { load: loadGroup }),
+    async (req, res) => {
+        try {
+            const role = await findGroup(req.params.id, req.user.tenantId);
+            if (!role) {
+                return sendError(res, 404, 'Group not found');
+            }
+
+            const { displayName, externalId, members } = req.body || {};
+
+            const failed = await saveGroup(req, res, role, {
+                replaceMembers: readMemberIds(members || []),
+                displayName: displayName ?? role.name,
+                externalId: externalId ?? null
+            });
+            if (!failed) {
+                await sendGroup(req, res, role.id);
+            }
+
+        } catch (error) {
+            console.error('SCIM replace group error:', error);
+            res.status(500).json({ error: 'Failed to update group' });
+        }
+    }
+);
+
+// PATCH /scim/v2/Groups/:id - PatchOp on displayName and members
+router.patch('/Groups/:id',
+    checkPermission('users.edit'),
+    audit('role', 'scim_update', { load: loadGroup }),
+    async (req, res) => {
+        try {
+            const role = await findGroup(req.params.id, req.user.tenantId);
+            if (!role) {
+                return sendError(res, 404, 'Group not found');
+            }
+
+            const operations = req.body && req.body.Operations;
+            if (!Array.isArray(operations)) {
+                return sendError(res, 400, 'Operations must be an array', 'invalidSyntax');
+            }
+
+            const { changes, error, scimType } = patchGroup(operations);
+            if (error) {
+                return sendError(res, 400, error, scimType);
+            }
+
+            const failed = await saveGroup(req, res, role, changes);
+            if (!failed) {
+                await sendGroup(req, res, role.id);
+            }
+
+        } catch (error) {
+            console.error('SCIM patch group error:', error);
+            res.status(500).json({ error: 'Failed to update group' });
+        }
+    }
+);
+
+// DELETE /scim/v2/Groups/:id - Delete a custom role (system roles are kept)
+router.delete('/Groups/:id',
+    checkPermission('users.edit'),
+    audit('role', 'scim_delete', { load: loadGroup }),
+    async (req, res) => {
+        try {
+            const role = await findGroup(req.params.id, req.user.tenantId);
+            if (!role) {
+                return sendError(res, 404, 'Group not found');
+            }
+            if (role.is_system_role) {
+                return sendError(res, 400, 'System roles cannot be deleted', 'mutability');
+            }
+
+            await invalidateRole(role.id);
+            await db.query('DELETE FROM roles WHERE id = ? AND tenant_id = ?', [role.id, req.user.tenantId]);
+
+            res.status(204).end();
+
+        } catch (error) {
+            console.error('SCIM delete group error:', error);
+            res.status(500).json({ error: 'Failed to delete group' });
+        }
+    }
+);
+
+// ============= Discovery =============
+
+// GET /scim/v2/ServiceProviderConfig
+router.get('/ServiceProviderConfig', (req, res) => {
+    res.json({
+        schemas: [SCHEMAS.serviceProviderConfig],
+        patch: { supported: true },
+        bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+        filter: { supported: true, maxResults: 200 },
+        changePassword: { supported: false },
+        sort: { supported: false },
+        etag: { supported: false },
+        authenticationSchemes: [{
+            type: 'oauthbearertoken',
+            name: 'API token',
+            description: 'Bearer API token of a service account',
+            primary: true
+        }]
+    });
+});
+
+// GET /scim/v2/ResourceTypes
+router.get('/ResourceTypes', (req, res) => {
+    const resourceTypes = [
+        { id: 'User', name: 'User', endpoint: '/Users', schema: SCHEMAS.user },
+        { id: 'Group', name: 'Group', endpoint: '/Groups', schema: SCHEMAS.group }
+    ].map(type => ({
+        schemas: [SCHEMAS.resourceType],
+        ...type,
+        meta: { resourceType: 'ResourceType', location: `${baseUrl(req)}/ResourceTypes/${type.id}` }
+    }));
+
+    res.json(listResponse(resourceTypes, resourceTypes.length, 1));
+});
+
+router.use((req, res) => {
+    sendError(res, 404, 'Resource not found');
+});
+
+module.exports = router;
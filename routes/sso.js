@@ -0,0 +1,273 @@
+// routes/sso.js - OpenID Connect Single Sign-On Routes
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const { completeLogin, signMfaToken } = require('../utils/tokenService');
+const { isMfaRequired } = require('../utils/mfa');
+const { clearFailures } = require('../utils/loginAttempts');
+const { findTenantBySlug } = require('../utils/tenantSlugs');
+const { tenantStatusError } = require('../utils/tenantLifecycle');
+const { recordAudit } = require('../utils/auditLog');
+const {
+    randomValue,
+    discover,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+} = require('../utils/oidc');
+
+const STATE_TTL_MINUTES = 10;
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : (value || {}));
+
+// Load a tenant and its SSO configuration (tenants.settings.sso) by slug,
+// accepting slugs the tenant has since changed
+async function getSsoTenant(slug) {
+    const found = await findTenantBySlug(slug, 'id, name, slug, status, settings, plan_limits');
+
+    if (!found) {
+        return null;
+    }
+
+    const { tenant } = found;
+    tenant.sso = parseJson(tenant.settings).sso || {};
+    return tenant;
+}
+
+const callbackUrl = (slug) => {
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${apiUrl}/api/auth/sso/${encodeURIComponent(slug)}/callback`;
+};
+
+// Browser flow: errors go back to the tenant's login page
+const redirectWithError = (res, slug, message) => res.redirect(
+    `${process.env.FRONTEND_URL}/login?tenant=${encodeURIComponent(slug)}` +
+    `&ssoError=${encodeURIComponent(message)}`
+);
+
+// Fetch a member of the tenant by email, with the fields completeLogin needs
+async function findTenantUser(tenantId, email) {
+    const [users] = await db.query(
+        `SELECT u.*, t.name as tenant_name, t.settings as tenant_settings
+         FROM users u
+         JOIN tenants t ON u.tenant_id = t.id
+         WHERE u.email = ? AND u.tenant_id = ?`,
+        [email, tenantId]
+    );
+    return users[0] || null;
+}
+
+// Just-in-time provisioning of an SSO user with the tenant's default role
+async function provisionSsoUser(tenant, claims, email) {
+    const limits = parseJson(tenant.plan_limits);
+
+    if (limits.users > 0) {
+        const [count] = await db.query(
+            `SELECT COUNT(*) as total FROM users
+             WHERE tenant_id = ? AND status = 'active' AND is_service_account = FALSE`,
+            [tenant.id]
+        );
+        if (count[0].total >= limits.users) {
+            return { error: 'Your organization has reached its user limit' };
+        }
+    }
+
+    const [roles] = await db.query(
+        'SELECT id FROM roles WHERE tenant_id = ? AND name = ?',
+        [tenant.id, tenant.sso.defaultRole || 'Member']
+    );
+
+    if (roles.length === 0) {
+        return { error: 'Single sign-on default role is not configured' };
+    }
+
+    const firstName = claims.given_name || (claims.name || '').split(' ')[0] || email.split('@')[0];
+    const lastName = claims.family_name || (claims.name || '').split(' ').slice(1).join(' ');
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        // SSO users get an unusable password; they can set one through a password reset
+        const [result] = await connection.query(
+            `INSERT INTO users (tenant_id, email, password_hash, first_name, last_name, status, email_verified)
+             VALUES (?, ?, '!', ?, ?, 'active', TRUE)`,
+            [tenant.id, email, firstName, lastName]
+        );
+
+        await connection.query(
+            'INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)',
+            [result.insertId, roles[0].id]
+        );
+
+        await connection.commit();
+        connection.release();
+    } catch (error) {
+        await connection.rollback();
+        connection.release();
+        throw error;
+    }
+
+    return { user: await findTenantUser(tenant.id, email) };
+}
+
+// GET /auth/sso/:tenantSlug/start - Redirect to the tenant's identity provider
+router.get('/:tenantSlug/start', async (req, res) => {
+    try {
+        const tenant = await getSsoTenant(req.params.tenantSlug);
+
+        if (!tenant || !tenant.sso.enabled) {
+            return res.status(404).json({ error: 'Single sign-on is not configured for this organization' });
+        }
+
+        if (tenant.status !== 'active') {
+            return res.status(403).json({ error: tenantStatusError(tenant.status) });
+        }
+
+        const config = await discover(tenant.sso.issuer);
+
+        const state = randomValue();
+        const nonce = randomValue();
+        const codeVerifier = randomValue(48);
+        const expiresAt = new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000);
+
+        await db.query('DELETE FROM sso_states WHERE expires_at < NOW()');
+        await db.query(
+            `INSERT INTO sso_states (state, tenant_id, nonce, code_verifier, expires_at)
+             VALUES (?, ?, ?, ?, ?)`,
+            [state, tenant.id, nonce, codeVerifier, expiresAt]
+        );
+
+        res.redirect(buildAuthorizationUrl(config, {
+            clientId: tenant.sso.clientId,
+            redirectUri: callbackUrl(tenant.slug),
+            state,
+            nonce,
+            codeVerifier
+        }));
+
+    } catch (error) {
+        console.error('SSO start error:', error);
+        res.status(502).json({ error: 'Failed to start single sign-on' });
+    }
+});
+
+// GET /auth/sso/:tenantSlug/callback - Handle the provider's authorization response
+router.get('/:tenantSlug/callback', async (req, res) => {
+    const { tenantSlug } = req.params;
+
+    try {
+        const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+
+        if (providerError) {
+            return redirectWithError(res, tenantSlug, providerErrorDescription || providerError);
+        }
+
+        if (!code || !state) {
+            return redirectWithError(res, tenantSlug, 'Invalid single sign-on response');
+        }
+
+        // States are single use
+        const [states] = await db.query(
+            'SELECT * FROM sso_states WHERE state = ? AND expires_at > NOW()',
+            [state]
+        );
+        await db.query('DELETE FROM sso_states WHERE state = ?', [state]);
+
+        const tenant = await getSsoTenant(tenantSlug);
+
+        if (states.length === 0 || !tenant || states[0].tenant_id !== tenant.id || !tenant.sso.enabled) {
+            return redirectWithError(res, tenantSlug, 'Single sign-on session expired, please try again');
+        }
+
+        if (tenant.status !== 'active') {
+            return redirectWithError(res, tenantSlug, tenantStatusError(tenant.status));
+        }
+
+        const config = await discover(tenant.sso.issuer);
+
+        const tokens = await exchangeCode(config, {
+            code,
+            redirectUri: callbackUrl(tenant.slug),
+            codeVerifier: states[0].code_verifier,
+            clientId: tenant.sso.clientId,
+            clientSecret: tenant.sso.clientSecret
+        });
+
+        const claims = await verifyIdToken(config, tokens.id_token, {
+            clientId: tenant.sso.clientId,
+            nonce: states[0].nonce
+        });
+
+        const email = (claims.email || '').toLowerCase();
+        // A missing email_verified claim is not a verified email: accounts are
+        // matched by email, so an unverified address could take one over
+        if (!email || claims.email_verified !== true) {
+            return redirectWithError(res, tenantSlug, 'Identity provider did not return a verified email');
+        }
+
+        const allowedDomains = (tenant.sso.allowedDomains || []).map(d => d.toLowerCase());
+        const domain = email.split('@')[1];
+        if (allowedDomains.length > 0 && !allowedDomains.includes(domain)) {
+            return redirectWithError(res, tenantSlug, 'Your email domain is not allowed for this organization');
+        }
+
+        let user = await findTenantUser(tenant.id, email);
+        let provisioned = false;
+
+        if (!user) {
+            const result = await provisionSsoUser(tenant, claims, email);
+            if (!result.user) {
+                return redirectWithError(res, tenantSlug, result.error);
+            }
+            user = result.user;
+            provisioned = true;
+        } else if (user.status !== 'active' || user.is_service_account) {
+            return redirectWithError(res, tenantSlug, 'Your account is not active');
+        }
+
+        // The identity provider stands in for the password only: the account
+        // lock and the 2FA checks of a password login still apply
+        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+            return redirectWithError(res, tenantSlug, 'Account is temporarily locked due to too many failed login attempts');
+        }
+
+        await recordAudit({
+            tenantId: tenant.id,
+            userId: user.id,
+            action: 'sso_login',
+            entityType: 'user',
+            entityId: user.id,
+            newValues: { issuer: claims.iss, subject: claims.sub, provisioned },
+            req
+        });
+
+        // Tokens travel in the fragment so they never reach server logs
+        let fragment;
+        if (user.mfa_enabled) {
+            fragment = new URLSearchParams({
+                mfaRequired: 'true',
+                mfaToken: signMfaToken({ id: user.id, tenantId: user.tenant_id }, 'mfa')
+            });
+        } else if (await isMfaRequired(user.id, user.tenant_settings)) {
+            fragment = new URLSearchParams({
+                mfaSetupRequired: 'true',
+                mfaToken: signMfaToken({ id: user.id, tenantId: user.tenant_id }, 'mfa_setup')
+            });
+        } else {
+            await clearFailures(user.id);
+            const session = await completeLogin(user, req);
+            fragment = new URLSearchParams({
+                accessToken: session.accessToken,
+                refreshToken: session.refreshToken
+            });
+        }
+        res.redirect(`${process.env.FRONTEND_URL}/sso/callback#${fragment}`);
+
+    } catch (error) {
+        console.error('SSO callback error:', error);
+        redirectWithError(res, tenantSlug, 'Single sign-on failed');
+    }
+});
+
+module.exports = router;
@@ -6,9 +6,46 @@ const path = require('path');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { verifyToken, checkPermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { auditRows } = require('../utils/auditLog');
+const { getTenantSettings } = require('../utils/tenantSettings');
 
 router.use(verifyToken);
 
+// Audit loaders
+const loadTask = async (id, req) => {
+    const [tasks] = await db.query(
+        'SELECT * FROM tasks WHERE id = ? AND tenant_id = ?',
+        [id, req.user.tenantId]
+    );
+    return tasks[0] || null;
+};
+
+const loadAssignees = async (id, req) => {
+    const [assignments] = await db.query(
+        `SELECT ta.user_id FROM task_assignments ta
+         JOIN tasks t ON ta.task_id = t.id
+         WHERE ta.task_id = ? AND t.tenant_id = ?
+         ORDER BY ta.user_id`,
+        [id, req.user.tenantId]
+    );
+    return { assignees: assignments.map(a => a.user_id) };
+};
+
+// Loader for rows that belong to a task (comments, attachments)
+const loadTaskChild = (table) => async (id, req) => {
+    const [rows] = await db.query(
+        `SELECT c.* FROM ${table} c
+         JOIN tasks t ON c.task_id = t.id
+         WHERE c.id = ? AND t.tenant_id = ?`,
+        [id, req.user.tenantId]
+    );
+    return rows[0] || null;
+};
+
+// Child rows are created by the handler, so there is no id before it runs
+const createdId = (req, res) => res.locals.auditEntityId;
+
 // File upload configuration
 const storage = multer.diskStorage({
     destination: (req, file, cb) => cb(null, 'uploads/'),
@@ -26,18 +63,22 @@ router.post('/',
         body('projectId').isInt(),
         body('title').trim().notEmpty()
     ],
+    audit('task', 'create', { load: loadTask }),
     async (req, res) => {
         try {
-            const { projectId, title, description, status, priority, type, estimatedHours, dueDate, startDate } = req.body;
+            const { projectId, title, description, priority, type, estimatedHours, dueDate, startDate } = req.body;
+            // New tasks start in the tenant's first configured status
+            const status = req.body.status || (await getTenantSettings(req.user.tenantId)).tasks.defaultStatuses[0];
 
             const [result] = await db.query(
                 `INSERT INTO tasks (tenant_id, project_id, title, description, status, priority, type, 
                                    estimated_hours, due_date, start_date, created_by) 
                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [req.user.tenantId, projectId, title, description, status || 'todo', priority || 'medium', 
+                [req.user.tenantId, projectId, title, description, status, priority || 'medium', 
                  type || 'task', estimatedHours, dueDate, startDate, req.user.id]
             );
 
+            res.locals.auditEntityId = result.insertId;
             res.status(201).json({ message: 'Task created', taskId: result.insertId });
         } catch (error) {
             console.error('Create task error:', error);
@@ -154,7 +195,7 @@ router.get('/:id', checkPermission('tasks.view'), async (req, res) => {
 });
 
 // PUT /tasks/:id - Update task
-router.put('/:id', checkPermission('tasks.edit'), async (req, res) => {
+router.put('/:id', checkPermission('tasks.edit'), audit('task', 'update', { load: loadTask }), async (req, res) => {
     try {
         const { id } = req.params;
         const updates = req.body;
@@ -180,6 +221,7 @@ router.put('/:id', checkPermission('tasks.edit'), async (req, res) => {
 router.post('/:id/assign',
     checkPermission('tasks.edit'),
     [body('userIds').isArray()],
+    audit('task', 'assign', { load: loadAssignees }),
     async (req, res) => {
         try {
             const { id } = req.params;
@@ -215,6 +257,7 @@ router.post('/:id/assign',
 router.post('/:id/comments',
     checkPermission('tasks.view'),
     [body('comment').trim().notEmpty()],
+    audit('task_comment', 'create', { load: loadTaskChild('task_comments'), entityId: createdId }),
     async (req, res) => {
         try {
             const { id } = req.params;
@@ -226,6 +269,7 @@ router.post('/:id/comments',
                 [id, req.user.id, comment, JSON.stringify(mentionedUsers || [])]
             );
 
+            res.locals.auditEntityId = result.insertId;
             res.status(201).json({ message: 'Comment added', commentId: result.insertId });
         } catch (error) {
             console.error('Add comment error:', error);
@@ -238,6 +282,7 @@ router.post('/:id/comments',
 router.post('/:id/attachments',
     checkPermission('tasks.view'),
     upload.single('file'),
+    audit('task_attachment', 'create', { load: loadTaskChild('task_attachments'), entityId: createdId }),
     async (req, res) => {
         try {
             const { id } = req.params;
@@ -247,12 +292,13 @@ router.post('/:id/attachments',
                 return res.status(400).json({ error: 'No file uploaded' });
             }
 
-            await db.query(
+            const [result] = await db.query(
                 `INSERT INTO task_attachments (task_id, user_id, filename, original_name, file_path, file_size, mime_type) 
                  VALUES (?, ?, ?, ?, ?, ?, ?)`,
                 [id, req.user.id, file.filename, file.originalname, file.path, file.size, file.mimetype]
             );
 
+            res.locals.auditEntityId = result.insertId;
             res.status(201).json({ message: 'File uploaded successfully', filename: file.filename });
         } catch (error) {
             console.error('Upload file error:', error);
@@ -265,6 +311,12 @@ router.post('/:id/attachments',
 router.post('/:id/dependencies',
     checkPermission('tasks.edit'),
     [body('dependsOnTaskId').isInt()],
+    audit('task', 'add_dependency', {
+        details: (req) => ({
+            dependsOnTaskId: req.body.dependsOnTaskId,
+            dependencyType: req.body.dependencyType || 'finish_to_start'
+        })
+    }),
     async (req, res) => {
         try {
             const { id } = req.params;
@@ -287,22 +339,38 @@ router.post('/:id/dependencies',
 // POST /tasks/bulk-update - Bulk update tasks
 router.post('/bulk-update',
     checkPermission('tasks.edit'),
-    [body('taskIds').isArray(), body('updates').isObject()],
+    [body('taskIds').isArray({ min: 1 }), body('taskIds.*').isInt(), body('updates').isObject()],
     async (req, res) => {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
             const { taskIds, updates } = req.body;
 
+            const loadTasks = async () => {
+                const [rows] = await db.query(
+                    'SELECT * FROM tasks WHERE id IN (?) AND tenant_id = ?',
+                    [taskIds, req.user.tenantId]
+                );
+                return rows;
+            };
+            const before = await loadTasks();
+
             const fields = Object.keys(updates)
                 .map(key => `${key} = ?`)
                 .join(', ');
-            const values = [...Object.values(updates), req.user.tenantId];
+            const values = [...Object.values(updates), taskIds, req.user.tenantId];
 
             await db.query(
                 `UPDATE tasks SET ${fields} 
-                 WHERE id IN (${taskIds.join(',')}) AND tenant_id = ?`,
+                 WHERE id IN (?) AND tenant_id = ?`,
                 values
             );
 
+            await auditRows(req, { action: 'bulk_update', entityType: 'task', before, after: await loadTasks() });
+
             res.json({ message: 'Tasks updated successfully' });
         } catch (error) {
             console.error('Bulk update error:', error);
@@ -312,7 +380,7 @@ router.post('/bulk-update',
 );
 
 // DELETE /tasks/:id - Delete task
-router.delete('/:id', checkPermission('tasks.delete'), async (req, res) => {
+router.delete('/:id', checkPermission('tasks.delete'), audit('task', 'delete', { load: loadTask }), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -4,7 +4,50 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const db = require('../config/database');
-const { verifyToken, checkPermission } = require('../middleware/auth');
+const bcrypt = require('bcryptjs');
+const { verifyToken, checkPermission, denyImpersonation } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { auditRequest, verifyAuditChain } = require('../utils/auditLog');
+const { formatCsvValue } = require('../utils/csv');
+const { body, query, validationResult } = require('express-validator');
+const { invalidateTenant } = require('../utils/identityCache');
+const { checkSlugFormat } = require('../utils/tenantSlugs');
+const {
+    startExport,
+    downloadPath,
+    findDownload,
+    purgeExpiredExports
+} = require('../utils/tenantExport');
+const { isTenantAdmin, closeTenant, GRACE_DAYS } = require('../utils/tenantLifecycle');
+const {
+    SETTINGS_VERSION,
+    SETTINGS_SCHEMA,
+    isValidTimezone,
+    validateSettings,
+    mergeSettings,
+    migrateSettings,
+    getDefaultSettings,
+    resolveSettings
+} = require('../utils/tenantSettings');
+
+// GET /tenants/export/:id/download - Download an export archive.
+// Authorized by the signed, expiring link rather than a bearer token, so it
+// is registered before verifyToken.
+router.get('/export/:id/download', async (req, res) => {
+    try {
+        const download = await findDownload(req.params.id, req.query.token);
+
+        if (!download) {
+            return res.status(404).json({ error: 'Export not found or link expired' });
+        }
+
+        res.download(download.file_path, `organization-export-${download.id}.tar.gz`);
+
+    } catch (error) {
+        console.error('Download export error:', error);
+        res.status(500).json({ error: 'Failed to download export' });
+    }
+});
 
 router.use(verifyToken);
 
@@ -28,6 +71,43 @@ const logoUpload = multer({
     }
 });
 
+// Settings as dotted keys ('security.lockout.maxAttempts'), so audit
+// entries show the individual settings that changed
+function flattenSettings(settings, prefix = 'settings') {
+    const flat = {};
+    for (const [key, value] of Object.entries(settings)) {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(flat, flattenSettings(value, `${prefix}.${key}`));
+        } else {
+            flat[`${prefix}.${key}`] = value;
+        }
+    }
+    return flat;
+}
+
+// Audit loader: the caller's own tenant
+const loadTenant = async (id, req) => {
+    const [tenants] = await db.query(
+        'SELECT name, timezone, logo_url, settings FROM tenants WHERE id = ?',
+        [req.user.tenantId]
+    );
+    if (tenants.length === 0) {
+        return null;
+    }
+    const { settings, ...tenant } = tenants[0];
+    return { ...tenant, ...flattenSettings(migrateSettings(settings)) };
+};
+const currentTenant = (req) => req.user.tenantId;
+
+// Never send the SSO client secret back to the browser
+function redactSettings(settings) {
+    if (!settings.sso) {
+        return settings;
+    }
+    const { clientSecret, ...sso } = settings.sso;
+    return { ...settings, sso: { ...sso, clientSecretSet: !!clientSecret } };
+}
+
 // GET /tenants/current - Get current tenant details
 router.get('/current', async (req, res) => {
     try {
@@ -40,7 +120,10 @@ router.get('/current', async (req, res) => {
             return res.status(404).json({ error: 'Organization not found' });
         }
 
-        res.json(tenants[0]);
+        res.json({
+            ...tenants[0],
+            settings: redactSettings(resolveSettings(tenants[0].settings))
+        });
 
     } catch (error) {
         console.error('Get tenant error:', error);
@@ -48,31 +131,380 @@ router.get('/current', async (req, res) => {
     }
 });
 
-// PUT /tenants - Update organization settings
+// GET /tenants/settings/schema - Settings schema, defaults and time zones for the settings form
+router.get('/settings/schema', checkPermission('settings.view'), (req, res) => {
+    res.json({
+        version: SETTINGS_VERSION,
+        fields: SETTINGS_SCHEMA,
+        defaults: getDefaultSettings(),
+        timezones: Intl.supportedValuesOf('timeZone')
+    });
+});
+
+// Shared by PUT (settings replaced) and PATCH (settings merged)
+async function updateTenant(req, res, { partial }) {
+    const { name, timezone, settings } = req.body;
+
+    const updates = {};
+    const errors = [];
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > 255) {
+            errors.push({ path: 'name', message: 'Must be 1-255 characters' });
+        } else {
+            updates.name = name.trim();
+        }
+    }
+
+    if (timezone !== undefined) {
+        if (!isValidTimezone(timezone)) {
+            errors.push({ path: 'timezone', message: 'Must be an IANA time zone such as Europe/Berlin' });
+        } else {
+            updates.timezone = timezone;
+        }
+    }
+
+    let newSettings = null;
+
+    if (settings !== undefined) {
+        const [current] = await db.query('SELECT settings FROM tenants WHERE id = ?', [req.user.tenantId]);
+        const stored = migrateSettings(current[0]?.settings);
+
+        // Settings come back from GET /current redacted
+        const input = settings && settings.sso && typeof settings.sso === 'object'
+            ? { ...settings, sso: { ...settings.sso } }
+            : settings;
+        delete input?.sso?.clientSecretSet;
+
+        let candidate;
+
+        if (partial) {
+            const patch = validateSettings(input, { partial: true });
+            errors.push(...patch.errors);
+            if (patch.errors.length === 0) {
+                candidate = mergeSettings(stored, patch.settings);
+            }
+        } else {
+            // Keep the stored SSO client secret when the form leaves it blank
+            if (input?.sso && typeof input.sso === 'object' && !input.sso.clientSecret && stored.sso?.clientSecret) {
+                input.sso.clientSecret = stored.sso.clientSecret;
+            }
+            candidate = input;
+        }
+
+        if (candidate !== undefined) {
+            const result = validateSettings(candidate);
+            errors.push(...result.errors);
+            newSettings = { ...result.settings, version: SETTINGS_VERSION };
+            updates.settings = JSON.stringify(newSettings);
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid organization settings', errors });
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    const fields = Object.keys(updates).map(k => `${k} = ?`).join(', ');
+    const values = [...Object.values(updates), req.user.tenantId];
+
+    await db.query(
+        `UPDATE tenants SET ${fields} WHERE id = ?`,
+        values
+    );
+
+    // Cached identities carry the tenant name
+    if (updates.name) {
+        await invalidateTenant(req.user.tenantId);
+    }
+
+    res.json({
+        message: 'Organization updated successfully',
+        ...(newSettings && { settings: redactSettings(resolveSettings(newSettings)) })
+    });
+}
+
+// PUT /tenants - Update organization details, replacing settings
 router.put('/',
     checkPermission('settings.manage'),
+    audit('tenant', 'update', { load: loadTenant, entityId: currentTenant }),
+    async (req, res) => {
+        try {
+            await updateTenant(req, res, { partial: false });
+        } catch (error) {
+            console.error('Update tenant error:', error);
+            res.status(500).json({ error: 'Failed to update organization' });
+        }
+    }
+);
+
+// PATCH /tenants - Update organization details, merging settings (null resets a setting)
+router.patch('/',
+    checkPermission('settings.manage'),
+    audit('tenant', 'update', { load: loadTenant, entityId: currentTenant }),
     async (req, res) => {
         try {
-            const { name, timezone, settings } = req.body;
+            await updateTenant(req, res, { partial: true });
+        } catch (error) {
+            console.error('Patch tenant error:', error);
+            res.status(500).json({ error: 'Failed to update organization' });
+        }
+    }
+);
 
-            const updates = {};
-            if (name) updates.name = name;
-            if (timezone) updates.timezone = timezone;
-            if (settings) updates.settings = JSON.stringify(settings);
+// PUT /tenants/slug - Change the organization's URL slug (the old one keeps redirecting)
+router.put('/slug',
+    checkPermission('settings.manage'),
+    [body('slug').isString().trim().toLowerCase()],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
 
-            const fields = Object.keys(updates).map(k => `${k} = ?`).join(', ');
-            const values = [...Object.values(updates), req.user.tenantId];
+            const { slug } = req.body;
 
-            await db.query(
-                `UPDATE tenants SET ${fields} WHERE id = ?`,
-                values
+            const formatError = checkSlugFormat(slug);
+            if (formatError) {
+                return res.status(400).json({ error: formatError });
+            }
+
+            const [current] = await db.query('SELECT slug FROM tenants WHERE id = ?', [req.user.tenantId]);
+            const oldSlug = current[0].slug;
+
+            if (slug === oldSlug) {
+                return res.json({ message: 'Slug unchanged', slug });
+            }
+
+            // Taken by another tenant, now or as one of its old slugs
+            const [taken] = await db.query(
+                `SELECT id FROM tenants WHERE slug = ? AND id != ?
+                 UNION
+                 SELECT tenant_id FROM tenant_slug_redirects WHERE slug = ? AND tenant_id != ?`,
+                [slug, req.user.tenantId, slug, req.user.tenantId]
             );
 
-            res.json({ message: 'Organization updated successfully' });
+            if (taken.length > 0) {
+                return res.status(409).json({ error: 'This slug is already taken' });
+            }
+
+            const connection = await db.getConnection();
+            await connection.beginTransaction();
+
+            try {
+                // Reclaiming one of our own old slugs retires its redirect
+                await connection.query(
+                    'DELETE FROM tenant_slug_redirects WHERE slug = ? AND tenant_id = ?',
+                    [slug, req.user.tenantId]
+                );
+
+                await connection.query(
+                    'INSERT INTO tenant_slug_redirects (tenant_id, slug) VALUES (?, ?)',
+                    [req.user.tenantId, oldSlug]
+                );
+
+                await connection.query(
+                    'UPDATE tenants SET slug = ? WHERE id = ?',
+                    [slug, req.user.tenantId]
+                );
+
+                await auditRequest(req, {
+                    action: 'change_slug',
+                    entityType: 'tenant',
+                    entityId: req.user.tenantId,
+                    oldValues: { slug: oldSlug },
+                    newValues: { slug }
+                }, connection);
+
+                await connection.commit();
+                connection.release();
+            } catch (error) {
+                await connection.rollback();
+                connection.release();
+                if (error.code === 'ER_DUP_ENTRY') {
+                    return res.status(409).json({ error: 'This slug is already taken' });
+                }
+                throw error;
+            }
+
+            res.json({ message: 'Slug updated successfully', slug, previousSlug: oldSlug });
 
         } catch (error) {
-            console.error('Update tenant error:', error);
-            res.status(500).json({ error: 'Failed to update organization' });
+            console.error('Update slug error:', error);
+            res.status(500).json({ error: 'Failed to update slug' });
+        }
+    }
+);
+
+const formatExport = (row) => ({
+    id: row.id,
+    status: row.status,
+    progress: row.progress,
+    currentStep: row.current_step,
+    error: row.error,
+    fileSize: row.file_size,
+    requestedBy: row.requested_by,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    expiresAt: row.expires_at,
+    downloadUrl: row.status === 'completed' && new Date(row.expires_at) > new Date()
+        ? downloadPath(row.id, row.expires_at)
+        : null
+});
+
+// POST /tenants/export - Start a full data export
+router.post('/export',
+    checkPermission('settings.manage'),
+    async (req, res) => {
+        try {
+            await purgeExpiredExports();
+
+            // One export at a time; jobs older than an hour were interrupted by a restart
+            const [running] = await db.query(
+                `SELECT id FROM tenant_exports
+                 WHERE tenant_id = ? AND status IN ('pending', 'running')
+                   AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)`,
+                [req.user.tenantId]
+            );
+
+            if (running.length > 0) {
+                return res.status(409).json({
+                    error: 'An export is already in progress',
+                    exportId: running[0].id
+                });
+            }
+
+            const [result] = await db.query(
+                'INSERT INTO tenant_exports (tenant_id, requested_by) VALUES (?, ?)',
+                [req.user.tenantId, req.user.id]
+            );
+
+            await auditRequest(req, {
+                action: 'export',
+                entityType: 'tenant',
+                entityId: req.user.tenantId,
+                newValues: { exportId: result.insertId }
+            });
+
+            startExport({ id: result.insertId, tenantId: req.user.tenantId, requestedBy: req.user.id });
+
+            res.status(202).json({
+                message: 'Export started',
+                exportId: result.insertId
+            });
+
+        } catch (error) {
+            console.error('Start export error:', error);
+            res.status(500).json({ error: 'Failed to start export' });
+        }
+    }
+);
+
+// GET /tenants/export - Recent exports
+router.get('/export',
+    checkPermission('settings.manage'),
+    async (req, res) => {
+        try {
+            const [exports] = await db.query(
+                `SELECT * FROM tenant_exports WHERE tenant_id = ?
+                 ORDER BY created_at DESC LIMIT 20`,
+                [req.user.tenantId]
+            );
+
+            res.json(exports.map(formatExport));
+
+        } catch (error) {
+            console.error('List exports error:', error);
+            res.status(500).json({ error: 'Failed to fetch exports' });
+        }
+    }
+);
+
+// GET /tenants/export/:id - Export status and progress
+router.get('/export/:id',
+    checkPermission('settings.manage'),
+    async (req, res) => {
+        try {
+            const [exports] = await db.query(
+                'SELECT * FROM tenant_exports WHERE id = ? AND tenant_id = ?',
+                [req.params.id, req.user.tenantId]
+            );
+
+            if (exports.length === 0) {
+                return res.status(404).json({ error: 'Export not found' });
+            }
+
+            res.json(formatExport(exports[0]));
+
+        } catch (error) {
+            console.error('Get export error:', error);
+            res.status(500).json({ error: 'Failed to fetch export' });
+        }
+    }
+);
+
+// POST /tenants/close - Close the organization. Data is purged after the grace period.
+router.post('/close',
+    checkPermission('settings.manage'),
+    denyImpersonation,
+    [
+        body('password').notEmpty(),
+        body('confirmSlug').notEmpty(),
+        body('reason').optional().trim().isLength({ max: 1000 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            if (req.user.apiTokenId || !(await isTenantAdmin(req.user.id))) {
+                return res.status(403).json({ error: 'Only an admin can close the organization' });
+            }
+
+            const { password, confirmSlug, reason } = req.body;
+
+            const [rows] = await db.query(
+                `SELECT u.password_hash, t.id, t.name, t.slug
+                 FROM users u
+                 JOIN tenants t ON u.tenant_id = t.id
+                 WHERE u.id = ?`,
+                [req.user.id]
+            );
+            const { password_hash: passwordHash, ...tenant } = rows[0];
+
+            if (!(await bcrypt.compare(password, passwordHash))) {
+                return res.status(401).json({ error: 'Password is incorrect' });
+            }
+
+            if (confirmSlug !== tenant.slug) {
+                return res.status(400).json({ error: 'Confirmation does not match the organization slug' });
+            }
+
+            const purgeAfter = await closeTenant(tenant, req.user, { reason, ip: req.ip });
+            await invalidateTenant(tenant.id);
+
+            await auditRequest(req, {
+                action: 'close',
+                entityType: 'tenant',
+                entityId: tenant.id,
+                oldValues: { status: 'active' },
+                newValues: { status: 'deleted', reason: reason || null, purgeAfter }
+            });
+
+            res.json({
+                message: `Organization closed. It can be reactivated by an admin for ${GRACE_DAYS} days`,
+                purgeAfter
+            });
+
+        } catch (error) {
+            console.error('Close tenant error:', error);
+            res.status(500).json({ error: 'Failed to close organization' });
         }
     }
 );
@@ -81,6 +513,12 @@ router.put('/',
 router.post('/logo',
     checkPermission('settings.manage'),
     logoUpload.single('logo'),
+    audit('tenant', 'update_logo', {
+        load: loadTenant,
+        entityId: currentTenant,
+        // The stored path is the same for every upload of the same file type
+        details: (req) => ({ originalName: req.file?.originalname })
+    }),
     async (req, res) => {
         try {
             if (!req.file) {
@@ -106,44 +544,234 @@ router.post('/logo',
     }
 );
 
+const AUDIT_EXPORT_COLUMNS = [
+    'id', 'created_at', 'user_id', 'user_email', 'user_name', 'action', 'entity_type', 'entity_id',
+    'old_values', 'new_values', 'ip_address', 'user_agent', 'prev_hash', 'hash'
+];
+const AUDIT_EXPORT_BATCH_SIZE = 1000;
+
+const auditLogFilterRules = [
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('userId').optional().isInt({ min: 1 }),
+    query('entityId').optional().isInt({ min: 1 })
+];
+
+// Query for the list and export endpoints. A date-only endDate includes that whole day.
+function buildAuditLogQuery(tenantId, { action, entityType, entityId, userId, startDate, endDate }) {
+    let sql = `
+        SELECT al.*,
+               CONCAT(u.first_name, ' ', u.last_name) as user_name,
+               u.email as user_email
+        FROM audit_logs al
+        LEFT JOIN users u ON al.user_id = u.id
+        WHERE al.tenant_id = ?
+    `;
+
+    const params = [tenantId];
+
+    if (action) {
+        sql += ' AND al.action = ?';
+        params.push(action);
+    }
+
+    if (entityType) {
+        sql += ' AND al.entity_type = ?';
+        params.push(entityType);
+    }
+
+    if (entityId) {
+        sql += ' AND al.entity_id = ?';
+        params.push(parseInt(entityId));
+    }
+
+    if (userId) {
+        sql += ' AND al.user_id = ?';
+        params.push(parseInt(userId));
+    }
+
+    if (startDate) {
+        sql += ' AND al.created_at >= ?';
+        params.push(new Date(startDate));
+    }
+
+    if (endDate) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+            sql += ' AND al.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+        } else {
+            sql += ' AND al.created_at <= ?';
+        }
+        params.push(new Date(endDate));
+    }
+
+    return { sql, params };
+}
+
 // GET /tenants/audit-logs - Get audit logs
 router.get('/audit-logs',
     checkPermission('settings.view'),
+    auditLogFilterRules,
     async (req, res) => {
         try {
-            const { limit = 100, offset = 0, action, entityType } = req.query;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
 
-            let query = `
-                SELECT al.*, 
-                       CONCAT(u.first_name, ' ', u.last_name) as user_name,
-                       u.email as user_email
-                FROM audit_logs al
-                LEFT JOIN users u ON al.user_id = u.id
-                WHERE al.tenant_id = ?
-            `;
+            const { limit = 100, offset = 0 } = req.query;
+            const { sql, params } = buildAuditLogQuery(req.user.tenantId, req.query);
 
-            const params = [req.user.tenantId];
+            const [logs] = await db.query(
+                sql + ' ORDER BY al.created_at DESC, al.id DESC LIMIT ? OFFSET ?',
+                [...params, parseInt(limit), parseInt(offset)]
+            );
 
-            if (action) {
-                query += ' AND al.action = ?';
-                params.push(action);
+            res.json(logs);
+
+        } catch (error) {
+            console.error('Get audit logs error:', error);
+            res.status(500).json({ error: 'Failed to fetch audit logs' });
+        }
+    }
+);
+
+// GET /tenants/audit-logs/export - Download entries (same filters as the list)
+// as CSV or NDJSON, oldest first
+router.get('/audit-logs/export',
+    checkPermission('settings.manage'),
+    [
+        ...auditLogFilterRules,
+        query('format').optional().isIn(['csv', 'ndjson'])
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
             }
 
-            if (entityType) {
-                query += ' AND al.entity_type = ?';
-                params.push(entityType);
+            const format = req.query.format || 'csv';
+            const { action, entityType, entityId, userId, startDate, endDate } = req.query;
+            const { sql, params } = buildAuditLogQuery(req.user.tenantId, req.query);
+
+            await auditRequest(req, {
+                action: 'export',
+                entityType: 'audit_log',
+                newValues: { format, filters: { action, entityType, entityId, userId, startDate, endDate } }
+            });
+
+            const date = new Date().toISOString().split('T')[0];
+            res.attachment(`audit-log-${date}.${format}`);
+            res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+
+            if (format === 'csv') {
+                res.write(AUDIT_EXPORT_COLUMNS.join(',') + '\r\n');
             }
 
-            query += ' ORDER BY al.created_at DESC LIMIT ? OFFSET ?';
-            params.push(parseInt(limit), parseInt(offset));
+            let lastId = 0;
+            for (;;) {
+                const [rows] = await db.query(
+                    sql + ` AND al.id > ? ORDER BY al.id LIMIT ${AUDIT_EXPORT_BATCH_SIZE}`,
+                    [...params, lastId]
+                );
+                if (rows.length === 0) {
+                    break;
+                }
 
-            const [logs] = await db.query(query, params);
+                const lines = rows.map(row => (format === 'csv'
+                    ? AUDIT_EXPORT_COLUMNS.map(column => formatCsvValue(row[column])).join(',') + '\r\n'
+                    : JSON.stringify(Object.fromEntries(AUDIT_EXPORT_COLUMNS.map(column => [column, row[column]]))) + '\n'));
+                res.write(lines.join(''));
+                lastId = rows[rows.length - 1].id;
+            }
 
-            res.json(logs);
+            res.end();
 
         } catch (error) {
-            console.error('Get audit logs error:', error);
-            res.status(500).json({ error: 'Failed to fetch audit logs' });
+            console.error('Export audit logs error:', error);
+            // Once streaming has started the status is sent; cut the download short instead
+            if (res.headersSent) {
+                return res.destroy(error);
+            }
+            res.status(500).json({ error: 'Failed to export audit logs' });
+        }
+    }
+);
+
+// GET /tenants/audit-logs/verify - Check the hash chain for edited or deleted entries
+router.get('/audit-logs/verify',
+    checkPermission('settings.view'),
+    async (req, res) => {
+        try {
+            const result = await verifyAuditChain(req.user.tenantId);
+            res.json({ ...result, verifiedAt: new Date() });
+
+        } catch (error) {
+            console.error('Verify audit logs error:', error);
+            res.status(500).json({ error: 'Failed to verify audit logs' });
+        }
+    }
+);
+
+const formatAuditArchive = (row) => ({
+    id: row.id,
+    firstId: row.first_id,
+    lastId: row.last_id,
+    entries: row.entry_count,
+    from: row.first_created_at,
+    to: row.last_created_at,
+    firstPrevHash: row.first_prev_hash,
+    lastHash: row.last_hash,
+    fileSize: row.file_size,
+    checksum: row.checksum,
+    createdAt: row.created_at
+});
+
+// GET /tenants/audit-logs/archives - Entries moved out by the retention period
+router.get('/audit-logs/archives',
+    checkPermission('settings.manage'),
+    async (req, res) => {
+        try {
+            const [archives] = await db.query(
+                'SELECT * FROM audit_log_archives WHERE tenant_id = ? ORDER BY first_id DESC',
+                [req.user.tenantId]
+            );
+
+            res.json(archives.map(formatAuditArchive));
+
+        } catch (error) {
+            console.error('List audit archives error:', error);
+            res.status(500).json({ error: 'Failed to fetch audit log archives' });
+        }
+    }
+);
+
+// GET /tenants/audit-logs/archives/:id/download - Download an archive (.ndjson.gz)
+router.get('/audit-logs/archives/:id/download',
+    checkPermission('settings.manage'),
+    async (req, res) => {
+        try {
+            const [archives] = await db.query(
+                'SELECT id, first_id, last_id, file_path FROM audit_log_archives WHERE id = ? AND tenant_id = ?',
+                [req.params.id, req.user.tenantId]
+            );
+
+            if (archives.length === 0) {
+                return res.status(404).json({ error: 'Archive not found' });
+            }
+
+            const archive = archives[0];
+            await auditRequest(req, {
+                action: 'download',
+                entityType: 'audit_log',
+                entityId: archive.id
+            });
+
+            res.download(archive.file_path, `audit-log-${archive.first_id}-${archive.last_id}.ndjson.gz`);
+
+        } catch (error) {
+            console.error('Download audit archive error:', error);
+            res.status(500).json({ error: 'Failed to download audit log archive' });
         }
     }
 );
@@ -4,13 +4,36 @@ const router = express.Router();
 const { body } = require('express-validator');
 const db = require('../config/database');
 const { verifyToken, checkPermission } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
+const { auditRequest, auditRows } = require('../utils/auditLog');
 
 router.use(verifyToken);
 
+// Audit loaders
+const loadEntry = async (id, req) => {
+    const [entries] = await db.query(
+        'SELECT * FROM time_entries WHERE id = ? AND tenant_id = ?',
+        [id, req.user.tenantId]
+    );
+    return entries[0] || null;
+};
+
+const loadEntries = async (ids, req) => {
+    if (ids.length === 0) {
+        return [];
+    }
+    const [entries] = await db.query(
+        'SELECT * FROM time_entries WHERE id IN (?) AND tenant_id = ?',
+        [ids, req.user.tenantId]
+    );
+    return entries;
+};
+
 // POST /time/start - Start timer for a task
 router.post('/start',
     checkPermission('time.create'),
     [body('taskId').isInt()],
+    audit('time_entry', 'start', { load: loadEntry }),
     async (req, res) => {
         try {
             const { taskId, description } = req.body;
@@ -41,6 +64,7 @@ router.post('/start',
                 [req.user.tenantId, req.user.id, taskId, tasks[0].project_id, description]
             );
 
+            res.locals.auditEntityId = result.insertId;
             res.status(201).json({ 
                 message: 'Timer started',
                 entryId: result.insertId
@@ -86,6 +110,14 @@ router.post('/stop', checkPermission('time.create'), async (req, res) => {
             [durationMinutes / 60, entry.id]
         );
 
+        await auditRequest(req, {
+            action: 'stop',
+            entityType: 'time_entry',
+            entityId: entry.id,
+            oldValues: { end_time: null, duration_minutes: null },
+            newValues: { end_time: endTime, duration_minutes: durationMinutes }
+        });
+
         res.json({ 
             message: 'Timer stopped',
             duration: durationMinutes
@@ -105,6 +137,7 @@ router.post('/manual',
         body('startTime').isISO8601(),
         body('endTime').isISO8601()
     ],
+    audit('time_entry', 'create', { load: loadEntry }),
     async (req, res) => {
         try {
             const { taskId, startTime, endTime, description, isBillable } = req.body;
@@ -142,6 +175,7 @@ router.post('/manual',
                 [durationMinutes / 60, taskId]
             );
 
+            res.locals.auditEntityId = result.insertId;
             res.status(201).json({ 
                 message: 'Time entry added',
                 entryId: result.insertId
@@ -219,6 +253,7 @@ router.post('/submit',
     async (req, res) => {
         try {
             const { entryIds } = req.body;
+            const before = await loadEntries(entryIds, req);
 
             await db.query(
                 `UPDATE time_entries SET status = 'submitted' 
@@ -226,6 +261,13 @@ router.post('/submit',
                 [req.user.id]
             );
 
+            await auditRows(req, {
+                action: 'submit',
+                entityType: 'time_entry',
+                before,
+                after: await loadEntries(entryIds, req)
+            });
+
             res.json({ message: 'Timesheet submitted for approval' });
 
         } catch (error) {
@@ -242,6 +284,7 @@ router.post('/approve',
     async (req, res) => {
         try {
             const { entryIds } = req.body;
+            const before = await loadEntries(entryIds, req);
 
             await db.query(
                 `UPDATE time_entries 
@@ -250,6 +293,13 @@ router.post('/approve',
                 [req.user.id, req.user.tenantId]
             );
 
+            await auditRows(req, {
+                action: 'approve',
+                entityType: 'time_entry',
+                before,
+                after: await loadEntries(entryIds, req)
+            });
+
             res.json({ message: 'Timesheet approved' });
 
         } catch (error) {
@@ -2,15 +2,82 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { verifyToken, checkPermission } = require('../middleware/auth');
-const { sendEmail } = require('../utils/emailService');
+const { audit } = require('../middleware/audit');
+const { auditRequest } = require('../utils/auditLog');
+const { invalidateUserSessions } = require('../utils/sessionCache');
+const { loadIdentity, invalidateUsers } = require('../utils/identityCache');
+const { signImpersonationToken } = require('../utils/tokenService');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const {
+    createInvitationToken,
+    inviteUrlFor,
+    invitationRoleIds,
+    sendInvitationEmail
+} = require('../utils/invitations');
+const { REPORT_COLUMNS, readImportCsv, importUsers } = require('../utils/userImport');
+const { toCsv } = require('../utils/csv');
+const {
+    withAdminGuard,
+    findTenantRoles,
+    changeUserRoles,
+    loadRolesWithPermissions
+} = require('../utils/userRoles');
+const {
+    getOffboardingPreview,
+    needsReassignment,
+    hasHistory,
+    offboardUser
+} = require('../utils/offboarding');
+const { removeAvatar } = require('../utils/avatars');
 const crypto = require('crypto');
 
 // All routes require authentication
 router.use(verifyToken);
 
+// CSV upload for bulk import, kept in memory
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (/\.csv$/i.test(file.originalname) || ['text/csv', 'text/plain', 'application/vnd.ms-excel'].includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only CSV files allowed'));
+        }
+    }
+});
+
+// Audit loaders (secrets in these rows are redacted when stored)
+const loadUser = async (id, req) => {
+    const [users] = await db.query(
+        'SELECT * FROM users WHERE id = ? AND tenant_id = ?',
+        [id, req.user.tenantId]
+    );
+    if (users.length === 0) {
+        return null;
+    }
+    const [roles] = await db.query(
+        `SELECT r.name FROM user_roles ur
+         JOIN roles r ON ur.role_id = r.id
+         WHERE ur.user_id = ?
+         ORDER BY r.name`,
+        [id]
+    );
+    return { ...users[0], roles: roles.map(r => r.name) };
+};
+
+const loadInvitation = async (id, req) => {
+    const [invites] = await db.query(
+        'SELECT * FROM user_invitations WHERE id = ? AND tenant_id = ?',
+        [id, req.user.tenantId]
+    );
+    return invites[0] || null;
+};
+
 // GET /users - List all users in tenant
 router.get('/', checkPermission('users.view'), async (req, res) => {
     try {
@@ -19,11 +86,8 @@ router.get('/', checkPermission('users.view'), async (req, res) => {
 
         let query = `
             SELECT u.id, u.email, u.first_name, u.last_name, u.avatar_url, 
-                   u.phone, u.status, u.last_login, u.created_at,
-                   GROUP_CONCAT(r.name SEPARATOR ', ') as roles
+                   u.phone, u.status, u.last_login, u.created_at, u.is_service_account
             FROM users u
-            LEFT JOIN user_roles ur ON u.id = ur.user_id
-            LEFT JOIN roles r ON ur.role_id = r.id
             WHERE u.tenant_id = ?
         `;
 
@@ -42,11 +106,16 @@ router.get('/', checkPermission('users.view'), async (req, res) => {
             params.push(searchTerm, searchTerm, searchTerm);
         }
 
-        query += ' GROUP BY u.id ORDER BY u.created_at DESC LIMIT ? OFFSET ?';
+        query += ' ORDER BY u.created_at DESC LIMIT ? OFFSET ?';
         params.push(parseInt(limit), parseInt(offset));
 
         const [users] = await db.query(query, params);
 
+        const roles = await loadRolesWithPermissions(users.map(user => user.id));
+        for (const user of users) {
+            user.roles = roles.get(user.id);
+        }
+
         // Get total count
         let countQuery = 'SELECT COUNT(*) as total FROM users WHERE tenant_id = ?';
         const countParams = [req.user.tenantId];
@@ -74,6 +143,84 @@ router.get('/', checkPermission('users.view'), async (req, res) => {
     }
 });
 
+// GET /users/service-accounts - List service accounts
+router.get('/service-accounts', checkPermission('users.view'), async (req, res) => {
+    try {
+        const [accounts] = await db.query(
+            `SELECT u.id, u.first_name as name, u.email, u.status, u.created_at,
+                    GROUP_CONCAT(r.name SEPARATOR ', ') as roles,
+                    (SELECT COUNT(*) FROM api_tokens tok
+                     WHERE tok.user_id = u.id AND tok.revoked_at IS NULL) as active_tokens
+             FROM users u
+             LEFT JOIN user_roles ur ON u.id = ur.user_id
+             LEFT JOIN roles r ON ur.role_id = r.id
+             WHERE u.tenant_id = ? AND u.is_service_account = TRUE
+             GROUP BY u.id
+             ORDER BY u.created_at DESC`,
+            [req.user.tenantId]
+        );
+
+        res.json(accounts);
+
+    } catch (error) {
+        console.error('List service accounts error:', error);
+        res.status(500).json({ error: 'Failed to fetch service accounts' });
+    }
+});
+
+// POST /users/service-accounts - Create a non-login service account
+router.post('/service-accounts',
+    checkPermission('users.create'),
+    [
+        body('name').trim().notEmpty(),
+        body('roleId').isInt()
+    ],
+    audit('user', 'create_service_account', { load: loadUser }),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const { name, roleId } = req.body;
+
+            const [roles] = await db.query(
+                'SELECT id FROM roles WHERE id = ? AND tenant_id = ?',
+                [roleId, req.user.tenantId]
+            );
+
+            if (roles.length === 0) {
+                return res.status(404).json({ error: 'Role not found' });
+            }
+
+            // Service accounts never log in: placeholder email and an unusable password hash
+            const email = `svc-${crypto.randomBytes(6).toString('hex')}@service-accounts.invalid`;
+
+            const [result] = await db.query(
+                `INSERT INTO users (tenant_id, email, password_hash, first_name, last_name, status, is_service_account)
+                 VALUES (?, ?, '!', ?, '', 'active', TRUE)`,
+                [req.user.tenantId, email, name]
+            );
+
+            await db.query(
+                'INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)',
+                [result.insertId, roleId]
+            );
+
+            res.locals.auditEntityId = result.insertId;
+            res.status(201).json({
+                message: 'Service account created successfully',
+                serviceAccountId: result.insertId
+            });
+
+        } catch (error) {
+            console.error('Create service account error:', error);
+            res.status(500).json({ error: 'Failed to create service account' });
+        }
+    }
+);
+
 // GET /users/:id - Get single user details
 router.get('/:id', checkPermission('users.view'), async (req, res) => {
     try {
@@ -81,7 +228,8 @@ router.get('/:id', checkPermission('users.view'), async (req, res) => {
 
         const [users] = await db.query(
             `SELECT u.id, u.email, u.first_name, u.last_name, u.avatar_url, 
-                    u.phone, u.status, u.last_login, u.created_at, u.preferences
+                    u.phone, u.status, u.last_login, u.created_at, u.preferences, u.locked_until,
+                    u.email_verified, u.pending_email
              FROM users u
              WHERE u.id = ? AND u.tenant_id = ?`,
             [id, req.user.tenantId]
@@ -93,16 +241,9 @@ router.get('/:id', checkPermission('users.view'), async (req, res) => {
 
         const user = users[0];
 
-        // Get user roles
-        const [roles] = await db.query(
-            `SELECT r.id, r.name, r.description
-             FROM roles r
-             JOIN user_roles ur ON r.id = ur.role_id
-             WHERE ur.user_id = ?`,
-            [id]
-        );
+        // Roles with what each grants, and the combined permissions
+        const roles = (await loadRolesWithPermissions([user.id])).get(user.id);
 
-        // Get user permissions
         const [permissions] = await db.query(
             `SELECT DISTINCT p.name, p.description, p.category
              FROM permissions p
@@ -129,10 +270,14 @@ router.post('/invite',
     checkPermission('users.create'),
     [
         body('email').isEmail().normalizeEmail(),
-        body('roleId').isInt(),
+        // roleIds grants several roles; roleId (one role) is still accepted
+        body('roleIds').optional().isArray({ min: 1, max: 20 }),
+        body('roleIds.*').isInt({ min: 1 }).toInt(),
+        body('roleId').if(body('roleIds').not().exists()).isInt({ min: 1 }).toInt(),
         body('firstName').trim().notEmpty(),
         body('lastName').trim().notEmpty()
     ],
+    audit('invitation', 'create', { load: loadInvitation, entityId: (req, res) => res.locals.auditEntityId }),
     async (req, res) => {
         try {
             const errors = validationResult(req);
@@ -140,7 +285,8 @@ router.post('/invite',
                 return res.status(400).json({ errors: errors.array() });
             }
 
-            const { email, roleId, firstName, lastName } = req.body;
+            const { email, firstName, lastName } = req.body;
+            const roleIds = [...new Set(req.body.roleIds || [req.body.roleId])];
 
             // Check if user already exists in this tenant
             const [existing] = await db.query(
@@ -154,66 +300,38 @@ router.post('/invite',
                 });
             }
 
-            // Check if role exists and belongs to tenant
-            const [roles] = await db.query(
-                'SELECT id FROM roles WHERE id = ? AND tenant_id = ?',
-                [roleId, req.user.tenantId]
-            );
+            // Check the roles exist and belong to tenant
+            const roles = await findTenantRoles(req.user.tenantId, roleIds);
 
-            if (roles.length === 0) {
+            if (roles.length !== roleIds.length) {
                 return res.status(404).json({ error: 'Role not found' });
             }
 
-            // Generate invitation token
-            const token = crypto.randomBytes(32).toString('hex');
-            const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+            const { token, expiresAt } = createInvitationToken();
 
             // Create invitation record
             const [result] = await db.query(
-                `INSERT INTO user_invitations (tenant_id, email, invited_by, token, role_id, expires_at, status) 
-                 VALUES (?, ?, ?, ?, ?, ?, 'pending')`,
-                [req.user.tenantId, email, req.user.id, token, roleId, expiresAt]
+                `INSERT INTO user_invitations (tenant_id, email, first_name, last_name, invited_by, token, role_id, role_ids, expires_at, status) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+                [req.user.tenantId, email, firstName, lastName, req.user.id, token, roleIds[0], JSON.stringify(roleIds), expiresAt]
             );
 
-            // Send invitation email
-            const inviteUrl = `${process.env.FRONTEND_URL}/accept-invite?token=${token}`;
-            
+            const inviteUrl = inviteUrlFor(token);
+
             try {
-                await sendEmail({
-                    to: email,
-                    subject: `You've been invited to join ${req.user.tenantName}`,
-                    html: `
-                        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                            <h2>Hello ${firstName}!</h2>
-                            <p>You have been invited by <strong>${req.user.firstName} ${req.user.lastName}</strong> to join <strong>${req.user.tenantName}</strong> on our Project Management System.</p>
-                            
-                            <p>Click the button below to accept the invitation and set up your account:</p>
-                            
-                            <div style="text-align: center; margin: 30px 0;">
-                                <a href="${inviteUrl}" 
-                                   style="display: inline-block; padding: 12px 30px; background: #3B82F6; color: white; text-decoration: none; border-radius: 5px; font-weight: bold;">
-                                    Accept Invitation
-                                </a>
-                            </div>
-                            
-                            <p style="color: #666; font-size: 14px;">
-                                This invitation expires in 7 days. If you didn't expect this invitation, you can safely ignore this email.
-                            </p>
-                            
-                            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
-                            
-                            <p style="color: #999; font-size: 12px;">
-                                If the button doesn't work, copy and paste this link into your browser:<br>
-                                <a href="${inviteUrl}">${inviteUrl}</a>
-                            </p>
-                        </div>
-                    `
+                await sendInvitationEmail({
+                    email,
+                    firstName,
+                    token,
+                    inviter: req.user,
+                    tenantName: req.user.tenantName
                 });
             } catch (emailError) {
                 console.error('Failed to send invitation email:', emailError);
                 // Continue even if email fails - user can be invited again
             }
 
+            res.locals.auditEntityId = result.insertId;
             res.status(201).json({ 
                 message: 'Invitation sent successfully',
                 invitationId: result.insertId,
@@ -231,6 +349,7 @@ router.post('/invite',
 router.post('/resend-invite',
     checkPermission('users.create'),
     [body('invitationId').isInt()],
+    audit('invitation', 'resend', { load: loadInvitation, entityId: (req) => req.body.invitationId }),
     async (req, res) => {
         try {
             const { invitationId } = req.body;
@@ -251,39 +370,23 @@ router.post('/resend-invite',
             const invite = invites[0];
 
             // Generate new token and extend expiry
-            const newToken = crypto.randomBytes(32).toString('hex');
-            const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+            const { token, expiresAt } = createInvitationToken();
 
             // Update invitation
             await db.query(
                 'UPDATE user_invitations SET token = ?, expires_at = ? WHERE id = ?',
-                [newToken, expiresAt, invitationId]
+                [token, expiresAt, invitationId]
             );
 
             // Resend email
-            const inviteUrl = `${process.env.FRONTEND_URL}/accept-invite?token=${newToken}`;
-            
             try {
-                await sendEmail({
-                    to: invite.email,
-                    subject: `Reminder: Join ${req.user.tenantName}`,
-                    html: `
-                        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                            <h2>Reminder</h2>
-                            <p>This is a reminder that you have been invited to join <strong>${req.user.tenantName}</strong>.</p>
-                            
-                            <div style="text-align: center; margin: 30px 0;">
-                                <a href="${inviteUrl}" 
-                                   style="display: inline-block; padding: 12px 30px; background: #3B82F6; color: white; text-decoration: none; border-radius: 5px; font-weight: bold;">
-                                    Accept Invitation
-                                </a>
-                            </div>
-                            
-                            <p style="color: #666; font-size: 14px;">
-                                This invitation expires in 7 days.
-                            </p>
-                        </div>
-                    `
+                await sendInvitationEmail({
+                    email: invite.email,
+                    firstName: invite.first_name,
+                    token,
+                    inviter: req.user,
+                    tenantName: req.user.tenantName,
+                    reminder: true
                 });
             } catch (emailError) {
                 console.error('Failed to resend invitation email:', emailError);
@@ -302,7 +405,7 @@ router.post('/resend-invite',
 router.get('/invitations/pending', checkPermission('users.view'), async (req, res) => {
     try {
         const [invitations] = await db.query(
-            `SELECT ui.id, ui.email, ui.status, ui.created_at, ui.expires_at,
+            `SELECT ui.id, ui.email, ui.status, ui.created_at, ui.expires_at, ui.role_id, ui.role_ids,
                     r.name as role_name,
                     u.first_name as invited_by_first_name,
                     u.last_name as invited_by_last_name
@@ -314,6 +417,16 @@ router.get('/invitations/pending', checkPermission('users.view'), async (req, re
             [req.user.tenantId]
         );
 
+        const [roles] = await db.query('SELECT id, name FROM roles WHERE tenant_id = ?', [req.user.tenantId]);
+        const roleNames = new Map(roles.map(role => [role.id, role.name]));
+
+        for (const invitation of invitations) {
+            invitation.roles = invitationRoleIds(invitation)
+                .filter(id => roleNames.has(id))
+                .map(id => ({ id, name: roleNames.get(id) }));
+            delete invitation.role_ids;
+        }
+
         res.json(invitations);
 
     } catch (error) {
@@ -322,55 +435,176 @@ router.get('/invitations/pending', checkPermission('users.view'), async (req, re
     }
 });
 
-// PUT /users/:id/role - Change user role
-router.put('/:id/role',
-    checkPermission('users.edit'),
-    [body('roleId').isInt()],
+// POST /users/import - Invite users in bulk from a CSV file ('file') with the
+// columns email, first_name, last_name, role and optionally projects (codes).
+// Only validates unless dryRun=false is sent.
+router.post('/import',
+    checkPermission('users.create'),
+    importUpload.single('file'),
     async (req, res) => {
         try {
-            const { id } = req.params;
-            const { roleId } = req.body;
+            if (!req.file) {
+                return res.status(400).json({ error: 'CSV file is required' });
+            }
 
-            // Don't allow changing your own role
-            if (parseInt(id) === req.user.id) {
-                return res.status(400).json({ error: 'Cannot change your own role' });
+            const { rows, error } = readImportCsv(req.file.buffer.toString('utf8'));
+            if (error) {
+                return res.status(400).json({ error });
             }
 
-            // Check if user exists in tenant
-            const [users] = await db.query(
-                'SELECT id FROM users WHERE id = ? AND tenant_id = ?',
-                [id, req.user.tenantId]
-            );
+            const dryRun = !['false', '0'].includes(String(req.body.dryRun ?? 'true').toLowerCase());
 
-            if (users.length === 0) {
-                return res.status(404).json({ error: 'User not found' });
+            const result = await importUsers({
+                user: req.user,
+                fileName: req.file.originalname,
+                rows,
+                dryRun
+            });
+
+            if (!dryRun) {
+                await auditRequest(req, {
+                    action: 'import',
+                    entityType: 'user_import',
+                    entityId: result.importId,
+                    newValues: { fileName: req.file.originalname, ...result.summary }
+                });
             }
 
-            // Check if role exists
-            const [roles] = await db.query(
-                'SELECT id FROM roles WHERE id = ? AND tenant_id = ?',
-                [roleId, req.user.tenantId]
-            );
+            res.status(dryRun ? 200 : 201).json({
+                message: dryRun
+                    ? 'Import validated; nothing was created'
+                    : `${result.summary.invited} invitation(s) created; emails are being sent`,
+                importId: result.importId,
+                dryRun,
+                summary: result.summary,
+                rows: result.rows,
+                reportUrl: `/api/users/import/${result.importId}/report`
+            });
 
-            if (roles.length === 0) {
-                return res.status(404).json({ error: 'Role not found' });
-            }
+        } catch (error) {
+            console.error('Import users error:', error);
+            res.status(500).json({ error: 'Failed to import users' });
+        }
+    }
+);
 
-            // Remove old roles and assign new role
-            await db.query('DELETE FROM user_roles WHERE user_id = ?', [id]);
-            await db.query(
-                'INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)',
-                [id, roleId]
-            );
+const loadImport = async (id, req) => {
+    const [imports] = await db.query(
+        'SELECT * FROM user_imports WHERE id = ? AND tenant_id = ?',
+        [id, req.user.tenantId]
+    );
+    return imports[0] || null;
+};
 
-            // Create audit log
-            await db.query(
-                `INSERT INTO audit_logs (tenant_id, user_id, action, entity_type, entity_id, new_values, ip_address) 
-                 VALUES (?, ?, 'update_role', 'user', ?, ?, ?)`,
-                [req.user.tenantId, req.user.id, id, JSON.stringify({ roleId }), req.ip]
-            );
+// GET /users/import/:id - Import status (invitation emails are sent in the background)
+router.get('/import/:id', checkPermission('users.create'), async (req, res) => {
+    try {
+        const job = await loadImport(req.params.id, req);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+
+        res.json({
+            id: job.id,
+            fileName: job.file_name,
+            dryRun: !!job.dry_run,
+            status: job.status,
+            totalRows: job.total_rows,
+            validRows: job.valid_rows,
+            errorRows: job.error_rows,
+            invited: job.invited_count,
+            emailsSent: job.emails_sent,
+            createdAt: job.created_at,
+            completedAt: job.completed_at,
+            reportUrl: `/api/users/import/${job.id}/report`
+        });
 
-            res.json({ message: 'User role updated successfully' });
+    } catch (error) {
+        console.error('Get import error:', error);
+        res.status(500).json({ error: 'Failed to fetch import' });
+    }
+});
+
+// GET /users/import/:id/report - Per-row report as CSV (default) or JSON (?format=json)
+router.get('/import/:id/report', checkPermission('users.create'), async (req, res) => {
+    try {
+        const job = await loadImport(req.params.id, req);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+
+        const report = typeof job.report === 'string' ? JSON.parse(job.report) : (job.report || { rows: [] });
+
+        if (req.query.format === 'json') {
+            res.attachment(`user-import-${job.id}-report.json`);
+            return res.json(report);
+        }
+
+        res.attachment(`user-import-${job.id}-report.csv`);
+        res.type('text/csv; charset=utf-8');
+        res.send(toCsv(report.rows, REPORT_COLUMNS));
+
+    } catch (error) {
+        console.error('Get import report error:', error);
+        res.status(500).json({ error: 'Failed to fetch import report' });
+    }
+});
+
+// Apply a role change to another user of the tenant, and respond with
+// their roles as they are now
+async function updateRoles(req, res, changes, message) {
+    const userId = parseInt(req.params.id);
+
+    // Don't allow changing your own roles
+    if (userId === req.user.id) {
+        return res.status(400).json({ error: 'Cannot change your own role' });
+    }
+
+    // Check if user exists in tenant
+    const [users] = await db.query(
+        `SELECT id FROM users WHERE id = ? AND tenant_id = ? AND status <> 'offboarded'`,
+        [userId, req.user.tenantId]
+    );
+
+    if (users.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Check if the roles exist
+    const roleIds = [...new Set([...(changes.add || []), ...(changes.remove || []), ...(changes.replace || [])])];
+    const roles = await findTenantRoles(req.user.tenantId, roleIds);
+
+    if (roles.length !== roleIds.length) {
+        return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const result = await changeUserRoles(req.user.tenantId, userId, changes);
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    await invalidateUsers(userId);
+
+    res.json({
+        message,
+        roles: (await loadRolesWithPermissions([userId])).get(userId)
+    });
+}
+
+// PUT /users/:id/role - Change user role (replaces all of the user's roles)
+router.put('/:id/role',
+    checkPermission('users.edit'),
+    [body('roleId').isInt({ min: 1 }).toInt()],
+    audit('user', 'update_role', { load: loadUser }),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            await updateRoles(req, res, { replace: [req.body.roleId] }, 'User role updated successfully');
 
         } catch (error) {
             console.error('Update role error:', error);
@@ -379,10 +613,76 @@ router.put('/:id/role',
     }
 );
 
+// PUT /users/:id/roles - Set the user's complete list of roles
+router.put('/:id/roles',
+    checkPermission('users.edit'),
+    [
+        body('roleIds').isArray({ min: 1, max: 20 }),
+        body('roleIds.*').isInt({ min: 1 }).toInt()
+    ],
+    audit('user', 'update_role', { load: loadUser }),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            await updateRoles(req, res, { replace: req.body.roleIds }, 'User roles updated successfully');
+
+        } catch (error) {
+            console.error('Update roles error:', error);
+            res.status(500).json({ error: 'Failed to update roles' });
+        }
+    }
+);
+
+// POST /users/:id/roles - Give the user another role
+router.post('/:id/roles',
+    checkPermission('users.edit'),
+    [body('roleId').isInt({ min: 1 }).toInt()],
+    audit('user', 'add_role', { load: loadUser }),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            await updateRoles(req, res, { add: [req.body.roleId] }, 'Role added successfully');
+
+        } catch (error) {
+            console.error('Add role error:', error);
+            res.status(500).json({ error: 'Failed to add role' });
+        }
+    }
+);
+
+// DELETE /users/:id/roles/:roleId - Take a role away from the user
+router.delete('/:id/roles/:roleId',
+    checkPermission('users.edit'),
+    audit('user', 'remove_role', { load: loadUser }),
+    async (req, res) => {
+        try {
+            const roleId = parseInt(req.params.roleId);
+            if (!(roleId > 0)) {
+                return res.status(404).json({ error: 'Role not found' });
+            }
+
+            await updateRoles(req, res, { remove: [roleId] }, 'Role removed successfully');
+
+        } catch (error) {
+            console.error('Remove role error:', error);
+            res.status(500).json({ error: 'Failed to remove role' });
+        }
+    }
+);
+
 // PUT /users/:id/status - Activate/deactivate user
 router.put('/:id/status',
     checkPermission('users.edit'),
     [body('status').isIn(['active', 'inactive'])],
+    audit('user', 'update_status', { load: loadUser }),
     async (req, res) => {
         try {
             const { id } = req.params;
@@ -395,7 +695,7 @@ router.put('/:id/status',
 
             // Check if user exists
             const [users] = await db.query(
-                'SELECT id FROM users WHERE id = ? AND tenant_id = ?',
+                'SELECT id, status FROM users WHERE id = ? AND tenant_id = ?',
                 [id, req.user.tenantId]
             );
 
@@ -403,11 +703,21 @@ router.put('/:id/status',
                 return res.status(404).json({ error: 'User not found' });
             }
 
+            if (users[0].status === 'offboarded') {
+                return res.status(400).json({ error: 'Offboarded users cannot be reactivated' });
+            }
+
             // Update status
-            await db.query(
-                'UPDATE users SET status = ? WHERE id = ? AND tenant_id = ?',
-                [status, id, req.user.tenantId]
-            );
+            const result = await withAdminGuard(req.user.tenantId, async (connection) => {
+                await connection.query(
+                    'UPDATE users SET status = ? WHERE id = ? AND tenant_id = ?',
+                    [status, id, req.user.tenantId]
+                );
+            });
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            await invalidateUsers(id);
 
             // If deactivating, invalidate all sessions
             if (status === 'inactive') {
@@ -415,15 +725,9 @@ router.put('/:id/status',
                     'UPDATE user_sessions SET is_active = FALSE WHERE user_id = ?',
                     [id]
                 );
+                invalidateUserSessions(id);
             }
 
-            // Create audit log
-            await db.query(
-                `INSERT INTO audit_logs (tenant_id, user_id, action, entity_type, entity_id, new_values, ip_address) 
-                 VALUES (?, ?, 'update_status', 'user', ?, ?, ?)`,
-                [req.user.tenantId, req.user.id, id, JSON.stringify({ status }), req.ip]
-            );
-
             res.json({ 
                 message: `User ${status === 'active' ? 'activated' : 'deactivated'} successfully` 
             });
@@ -435,6 +739,101 @@ router.put('/:id/status',
     }
 );
 
+// POST /users/:id/unlock - Unlock an account locked by failed logins
+router.post('/:id/unlock',
+    checkPermission('users.edit'),
+    audit('user', 'unlock_account', { load: loadUser }),
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const [users] = await db.query(
+                `SELECT id FROM users WHERE id = ? AND tenant_id = ? AND status <> 'offboarded'`,
+                [id, req.user.tenantId]
+            );
+
+            if (users.length === 0) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            await db.query(
+                'UPDATE users SET locked_until = NULL, failed_login_count = 0 WHERE id = ? AND tenant_id = ?',
+                [id, req.user.tenantId]
+            );
+
+            res.json({ message: 'User account unlocked successfully' });
+
+        } catch (error) {
+            console.error('Unlock user error:', error);
+            res.status(500).json({ error: 'Failed to unlock user' });
+        }
+    }
+);
+
+// POST /users/:id/impersonate - Act as another user for support
+router.post('/:id/impersonate',
+    checkPermission('users.impersonate'),
+    async (req, res) => {
+        try {
+            const targetId = parseInt(req.params.id, 10);
+
+            // Only from an interactive session, and no chaining
+            if (req.user.apiTokenId || req.user.impersonator) {
+                return res.status(403).json({ error: 'Impersonation must be started from your own session' });
+            }
+
+            if (targetId === req.user.id) {
+                return res.status(400).json({ error: 'Cannot impersonate yourself' });
+            }
+
+            const target = await loadIdentity(targetId);
+
+            if (!target || target.tenantId !== req.user.tenantId) {
+                return res.status(404).json({ error: 'User not found or inactive' });
+            }
+
+            if (target.isServiceAccount) {
+                return res.status(400).json({ error: 'Service accounts cannot be impersonated' });
+            }
+
+            // Impersonation must never escalate privileges
+            const extra = target.permissions.filter(p => !req.user.permissions.includes(p));
+            if (extra.length > 0) {
+                return res.status(403).json({
+                    error: 'Cannot impersonate a user with permissions you do not have',
+                    permissions: extra
+                });
+            }
+
+            const { token, expiresAt } = signImpersonationToken(target, req.user);
+
+            await auditRequest(req, {
+                action: 'impersonate',
+                entityType: 'user',
+                entityId: target.id,
+                newValues: { email: target.email, expiresAt }
+            });
+
+            res.json({
+                accessToken: token,
+                expiresAt,
+                user: {
+                    id: target.id,
+                    email: target.email,
+                    firstName: target.firstName,
+                    lastName: target.lastName,
+                    tenantId: target.tenantId,
+                    tenantName: target.tenantName
+                }
+            });
+
+        } catch (error) {
+            console.error('Impersonate user error:', error);
+            res.status(500).json({ error: 'Failed to impersonate user' });
+        }
+    }
+);
+
 // PUT /users/:id - Update user profile
 router.put('/:id',
     checkPermission('users.edit'),
@@ -444,6 +843,7 @@ router.put('/:id',
         body('phone').optional().trim(),
         body('email').optional().isEmail().normalizeEmail()
     ],
+    audit('user', 'update', { load: loadUser }),
     async (req, res) => {
         try {
             const { id } = req.params;
@@ -451,7 +851,7 @@ router.put('/:id',
 
             // Check if user exists
             const [users] = await db.query(
-                'SELECT id FROM users WHERE id = ? AND tenant_id = ?',
+                `SELECT id, email, first_name FROM users WHERE id = ? AND tenant_id = ? AND status <> 'offboarded'`,
                 [id, req.user.tenantId]
             );
 
@@ -459,8 +859,10 @@ router.put('/:id',
                 return res.status(404).json({ error: 'User not found' });
             }
 
+            const emailChanged = email && email !== users[0].email;
+
             // If email is being changed, check if it's already taken
-            if (email) {
+            if (emailChanged) {
                 const [existingEmail] = await db.query(
                     'SELECT id FROM users WHERE email = ? AND id != ? AND tenant_id = ?',
                     [email, id, req.user.tenantId]
@@ -476,7 +878,8 @@ router.put('/:id',
             if (firstName) updates.first_name = firstName;
             if (lastName) updates.last_name = lastName;
             if (phone !== undefined) updates.phone = phone;
-            if (email) updates.email = email;
+            // The new email only takes effect once confirmed from that inbox
+            if (emailChanged) updates.pending_email = email;
 
             if (Object.keys(updates).length === 0) {
                 return res.status(400).json({ error: 'No fields to update' });
@@ -489,6 +892,15 @@ router.put('/:id',
                 `UPDATE users SET ${fields} WHERE id = ? AND tenant_id = ?`,
                 values
             );
+            await invalidateUsers(id);
+
+            if (emailChanged) {
+                await sendVerificationEmail(users[0], email, req.ip);
+                return res.json({
+                    message: 'User updated. The new email address must be verified before it takes effect',
+                    pendingEmail: email
+                });
+            }
 
             res.json({ message: 'User updated successfully' });
 
@@ -499,42 +911,138 @@ router.put('/:id',
     }
 );
 
-// DELETE /users/:id - Remove user from tenant
-router.delete('/:id',
+// Another user of the tenant who has not been offboarded yet, or an error response
+async function findUserToOffboard(req, res) {
+    const { id } = req.params;
+
+    // Don't allow removing yourself
+    if (parseInt(id) === req.user.id) {
+        res.status(400).json({ error: 'Cannot delete your own account' });
+        return null;
+    }
+
+    const [users] = await db.query(
+        `SELECT id, email, first_name, last_name, avatar_url, status
+         FROM users WHERE id = ? AND tenant_id = ? AND status <> 'offboarded'`,
+        [id, req.user.tenantId]
+    );
+
+    if (users.length === 0) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+
+    return users[0];
+}
+
+// GET /users/:id/offboarding - What offboarding the user would reassign, keep and revoke
+router.get('/:id/offboarding', checkPermission('users.delete'), async (req, res) => {
+    try {
+        const user = await findUserToOffboard(req, res);
+        if (!user) {
+            return;
+        }
+
+        const preview = await getOffboardingPreview(user.id);
+
+        res.json({
+            user: {
+                id: user.id,
+                email: user.email,
+                firstName: user.first_name,
+                lastName: user.last_name
+            },
+            ...preview,
+            requiresReassignment: needsReassignment(preview),
+            // Users without any history can still be deleted outright
+            canDelete: !hasHistory(preview)
+        });
+
+    } catch (error) {
+        console.error('Offboarding preview error:', error);
+        res.status(500).json({ error: 'Failed to load offboarding preview' });
+    }
+});
+
+// POST /users/:id/offboard - Hand the user's work to reassignTo and anonymize the account
+router.post('/:id/offboard',
     checkPermission('users.delete'),
+    [body('reassignTo').optional({ values: 'null' }).isInt({ min: 1 }).toInt()],
     async (req, res) => {
         try {
-            const { id } = req.params;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
 
-            // Don't allow deleting yourself
-            if (parseInt(id) === req.user.id) {
-                return res.status(400).json({ error: 'Cannot delete your own account' });
+            const user = await findUserToOffboard(req, res);
+            if (!user) {
+                return;
             }
 
-            // Check if user exists
-            const [users] = await db.query(
-                'SELECT id, email, first_name, last_name FROM users WHERE id = ? AND tenant_id = ?',
-                [id, req.user.tenantId]
-            );
+            const { reassignTo = null } = req.body;
 
-            if (users.length === 0) {
-                return res.status(404).json({ error: 'User not found' });
+            if (reassignTo) {
+                const [targets] = await db.query(
+                    `SELECT id FROM users
+                     WHERE id = ? AND tenant_id = ? AND status = 'active' AND is_service_account = FALSE`,
+                    [reassignTo, req.user.tenantId]
+                );
+                if (targets.length === 0 || reassignTo === user.id) {
+                    return res.status(400).json({ error: 'reassignTo must be another active user' });
+                }
             }
 
-            const user = users[0];
+            const result = await offboardUser(req, user, { reassignTo });
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
 
-            // Create audit log before deletion
-            await db.query(
-                `INSERT INTO audit_logs (tenant_id, user_id, action, entity_type, entity_id, old_values, ip_address) 
-                 VALUES (?, ?, 'delete', 'user', ?, ?, ?)`,
-                [req.user.tenantId, req.user.id, id, JSON.stringify(user), req.ip]
-            );
+            res.json({
+                message: 'User offboarded successfully',
+                summary: result.summary
+            });
+
+        } catch (error) {
+            console.error('Offboard user error:', error);
+            res.status(500).json({ error: 'Failed to offboard user' });
+        }
+    }
+);
+
+// DELETE /users/:id - Remove a user who has no work history from tenant
+// (anyone else is offboarded with POST /users/:id/offboard)
+router.delete('/:id',
+    checkPermission('users.delete'),
+    audit('user', 'delete', { load: loadUser }),
+    async (req, res) => {
+        try {
+            const user = await findUserToOffboard(req, res);
+            if (!user) {
+                return;
+            }
+
+            const preview = await getOffboardingPreview(user.id);
+            if (hasHistory(preview)) {
+                return res.status(409).json({
+                    error: 'User owns projects, tasks or work history; offboard them instead',
+                    ...preview
+                });
+            }
 
             // Delete user (cascade will handle related records)
-            await db.query(
-                'DELETE FROM users WHERE id = ? AND tenant_id = ?',
-                [id, req.user.tenantId]
-            );
+            const result = await withAdminGuard(req.user.tenantId, async (connection) => {
+                await connection.query(
+                    'DELETE FROM users WHERE id = ? AND tenant_id = ?',
+                    [user.id, req.user.tenantId]
+                );
+            });
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+            await invalidateUsers(user.id);
+            invalidateUserSessions(user.id);
+            await removeAvatar(user.avatar_url);
 
             res.json({ message: 'User removed successfully' });
 
@@ -553,6 +1061,7 @@ router.get('/stats/summary', checkPermission('users.view'), async (req, res) =>
                 COUNT(*) as total_users,
                 SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) as active_users,
                 SUM(CASE WHEN status = 'inactive' THEN 1 ELSE 0 END) as inactive_users,
+                SUM(CASE WHEN status = 'offboarded' THEN 1 ELSE 0 END) as offboarded_users,
                 SUM(CASE WHEN status = 'invited' THEN 1 ELSE 0 END) as invited_users,
                 SUM(CASE WHEN last_login >= DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 ELSE 0 END) as active_last_week
              FROM users
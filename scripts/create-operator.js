@@ -0,0 +1,36 @@
+// scripts/create-operator.js - Create a platform operator account
+//
+// Usage: npm run create-operator -- <email> "<name>"
+// A random password is generated and printed once. Further operators can be
+// created from the console itself (POST /api/platform/operators).
+require('dotenv').config();
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+
+async function main() {
+    const [email, name] = process.argv.slice(2);
+
+    if (!email || !name) {
+        console.error('Usage: npm run create-operator -- <email> "<name>"');
+        process.exitCode = 1;
+        return;
+    }
+
+    const password = crypto.randomBytes(12).toString('base64url');
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    await db.query(
+        'INSERT INTO platform_operators (email, name, password_hash) VALUES (?, ?, ?)',
+        [email.toLowerCase(), name, passwordHash]
+    );
+
+    console.log(`Operator ${email} created. Password: ${password}`);
+}
+
+main()
+    .catch(error => {
+        console.error('Create operator error:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -0,0 +1,108 @@
+// scripts/mock-idp.js - Minimal local OpenID Connect provider for testing SSO
+//
+// Usage: npm run mock-idp
+// Then set the tenant's settings.sso to:
+//   { "enabled": true, "issuer": "http://localhost:4000", "clientId": "mock-client",
+//     "clientSecret": "mock-secret", "allowedDomains": ["example.com"] }
+// and open /api/auth/sso/<tenant-slug>/start. Every authorization request is
+// approved immediately as MOCK_IDP_EMAIL (or the login_hint query parameter).
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_IDP_PORT || 4000;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'mock-client';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+const DEFAULT_EMAIL = process.env.MOCK_IDP_EMAIL || 'jane.doe@example.com';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+    if (client_id !== CLIENT_ID || code_challenge_method !== 'S256' || !code_challenge) {
+        return res.status(400).send('invalid_request');
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { redirect_uri, nonce, code_challenge, email: login_hint || DEFAULT_EMAIL });
+
+    const url = new URL(redirect_uri);
+    url.searchParams.set('code', code);
+    url.searchParams.set('state', state);
+    res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+
+    const basic = req.headers.authorization?.match(/^Basic (.+)$/);
+    if (basic) {
+        [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    }
+
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+
+    if (!grant || grant.redirect_uri !== req.body.redirect_uri || grant.code_challenge !== challenge) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const [localPart] = grant.email.split('@');
+    const [givenName, familyName = 'User'] = localPart.split('.');
+
+    const idToken = jwt.sign(
+        {
+            sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+            email: grant.email,
+            email_verified: true,
+            given_name: givenName,
+            family_name: familyName,
+            nonce: grant.nonce
+        },
+        privateKey,
+        { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+    );
+
+    res.json({
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: idToken
+    });
+});
+
+app.listen(PORT, () => {
+    console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+});
@@ -4,6 +4,8 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { scheduleTenantPurge } = require('./utils/tenantLifecycle');
+const { scheduleAuditRetention } = require('./utils/auditRetention');
 
 
 const app = express();
@@ -19,7 +21,7 @@ app.use(cors({
         'http://localhost:3000',
         'https://tenent-saass.netlify.app'
     ],
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
@@ -63,6 +65,11 @@ app.use('/uploads', express.static('uploads'));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/auth/mfa', require('./routes/mfa'));
+app.use('/api/auth/tokens', require('./routes/apiTokens'));
+app.use('/api/auth/sso', require('./routes/sso'));
+app.use('/api/public', require('./routes/public'));
+app.use('/api/platform', require('./routes/platform'));
 app.use('/api/tenants', require('./routes/tenants'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/roles', require('./routes/roles'));
@@ -72,6 +79,9 @@ app.use('/api/time', require('./routes/time'));
 app.use('/api/billing', require('./routes/billing'));
 app.use('/api/notifications', require('./routes/notifications'));
 
+// SCIM 2.0 provisioning (identity providers, authenticated with an API token)
+app.use('/scim/v2', require('./routes/scim'));
+
 // Health Check
 app.get('/health', (req, res) => {
     res.json({ status: 'OK', timestamp: new Date() });
@@ -99,4 +109,6 @@ app.listen(PORT,'0.0.0.0', () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL}`);
+    scheduleTenantPurge();
+    scheduleAuditRetention();
 });
\ No newline at end of file
@@ -0,0 +1,327 @@
+// utils/auditLog.js - Writing audit_logs rows: redaction, diffs, actor and client details,
+// and the per-tenant hash chain that makes edited or deleted rows detectable
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// Any key matching this is stored as '[REDACTED]' at any depth
+const SENSITIVE_KEY = /password|secret|token|hash|recovery|otp/i;
+
+// Bookkeeping columns that change on every write and say nothing
+const IGNORED_KEYS = new Set(['updated_at']);
+
+const REDACTED = '[REDACTED]';
+
+const VERIFY_BATCH_SIZE = 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+    && !Array.isArray(value) && !(value instanceof Date) && !Buffer.isBuffer(value);
+
+/**
+ * Copy of a value with sensitive keys masked
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (!isPlainObject(value)) {
+        return value;
+    }
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = SENSITIVE_KEY.test(key) && item !== null && item !== undefined
+            ? REDACTED
+            : redact(item);
+    }
+    return result;
+}
+
+// Comparable form of a column value (JSON columns may arrive as strings or objects)
+function normalize(value) {
+    if (value === undefined) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Buffer.isBuffer(value)) {
+        return value.toString('hex');
+    }
+    if (typeof value === 'string' && /^[[{]/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+    return value;
+}
+
+/**
+ * Fields that differ between two versions of a row. A missing `before`
+ * (create) yields every set field of `after`; a missing `after` (delete)
+ * yields every field of `before`.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {{oldValues: Object|null, newValues: Object|null}}
+ */
+function diffValues(before, after) {
+    const oldValues = {};
+    const newValues = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+        if (IGNORED_KEYS.has(key)) {
+            continue;
+        }
+        const oldValue = before ? normalize(before[key]) : null;
+        const newValue = after ? normalize(after[key]) : null;
+
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+            continue;
+        }
+        // Updates keep both sides, even when one is null
+        if (before) {
+            oldValues[key] = oldValue;
+        }
+        if (after) {
+            newValues[key] = newValue;
+        }
+    }
+
+    return {
+        oldValues: Object.keys(oldValues).length > 0 ? oldValues : null,
+        newValues: Object.keys(newValues).length > 0 ? newValues : null
+    };
+}
+
+// Columns covered by an entry's hash, in order. The id is left out: the
+// chain itself (prev_hash) fixes each entry's position.
+const HASHED_COLUMNS = [
+    'tenant_id', 'user_id', 'action', 'entity_type', 'entity_id', 'old_values', 'new_values',
+    'ip_address', 'user_agent', 'created_at', 'prev_hash'
+];
+
+// JSON with sorted keys, so a value hashes the same after a round trip
+// through a JSON column (MySQL does not keep key order)
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (isPlainObject(value)) {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * SHA-256 of an audit_logs row, chained to the previous entry through prev_hash
+ * @param {Object} row - audit_logs row (as stored or as read back)
+ * @returns {string} Hex digest
+ */
+function hashEntry(row) {
+    const values = HASHED_COLUMNS.map(column => normalize(row[column]));
+    return crypto.createHash('sha256').update(canonicalJson(values)).digest('hex');
+}
+
+const toId = (value) => (value === null || value === undefined ? null : parseInt(value));
+
+/**
+ * Write an audit_logs row. Values are redacted before they are stored.
+ *
+ * Each row carries the hash of the tenant's previous entry, so writes for a
+ * tenant are serialized on its audit_log_chains row. A caller's connection
+ * must be inside a transaction; the lock is then held until it commits.
+ *
+ * @param {Object} entry
+ * @param {number} entry.tenantId
+ * @param {number} [entry.userId] - Actor
+ * @param {string} entry.action - e.g. 'update'
+ * @param {string} entry.entityType - e.g. 'task'
+ * @param {number} [entry.entityId]
+ * @param {Object} [entry.oldValues]
+ * @param {Object} [entry.newValues]
+ * @param {Object} [entry.req] - Request, for IP and user agent
+ * @param {Object} [conn] - Transaction connection (defaults to the pool)
+ */
+async function recordAudit(
+    { tenantId, userId = null, action, entityType, entityId = null, oldValues = null, newValues = null, req = null },
+    conn = db
+) {
+    const ownTransaction = conn === db;
+    const connection = ownTransaction ? await db.getConnection() : conn;
+
+    if (ownTransaction) {
+        await connection.beginTransaction();
+    }
+
+    try {
+        // Takes the row lock whether or not the chain already exists
+        await connection.query(
+            `INSERT INTO audit_log_chains (tenant_id) VALUES (?)
+             ON DUPLICATE KEY UPDATE tenant_id = tenant_id`,
+            [tenantId]
+        );
+        const [[chain]] = await connection.query(
+            'SELECT head_hash FROM audit_log_chains WHERE tenant_id = ? FOR UPDATE',
+            [tenantId]
+        );
+
+        const oldJson = oldValues ? JSON.stringify(redact(oldValues)) : null;
+        const newJson = newValues ? JSON.stringify(redact(newValues)) : null;
+        const row = {
+            tenant_id: toId(tenantId),
+            user_id: toId(userId),
+            action,
+            entity_type: entityType,
+            entity_id: toId(entityId),
+            old_values: oldJson,
+            new_values: newJson,
+            ip_address: req ? req.ip || null : null,
+            user_agent: req ? req.headers['user-agent'] || null : null,
+            // Whole seconds, so the hash survives the TIMESTAMP round trip
+            created_at: new Date(Math.floor(Date.now() / 1000) * 1000),
+            prev_hash: chain.head_hash
+        };
+        row.hash = hashEntry(row);
+
+        const [result] = await connection.query(
+            `INSERT INTO audit_logs (${HASHED_COLUMNS.join(', ')}, hash)
+             VALUES (?)`,
+            [[...HASHED_COLUMNS.map(column => row[column]), row.hash]]
+        );
+        await connection.query(
+            'UPDATE audit_log_chains SET head_id = ?, head_hash = ? WHERE tenant_id = ?',
+            [result.insertId, row.hash, tenantId]
+        );
+
+        if (ownTransaction) {
+            await connection.commit();
+            connection.release();
+        }
+    } catch (error) {
+        if (ownTransaction) {
+            await connection.rollback();
+            connection.release();
+        }
+        throw error;
+    }
+}
+
+/**
+ * Shorthand for an action by the authenticated user of a request
+ * @param {Object} req - Request with req.user
+ * @param {Object} entry - action, entityType, entityId, oldValues, newValues
+ * @param {Object} [conn] - Transaction connection
+ */
+function auditRequest(req, entry, conn = db) {
+    return recordAudit({
+        tenantId: req.user.tenantId,
+        userId: req.user.id,
+        req,
+        ...entry
+    }, conn);
+}
+
+/**
+ * One entry per changed row of a multi-row update, so each entity's
+ * history shows the change
+ * @param {Object} req - Request with req.user
+ * @param {Object} change
+ * @param {string} change.action
+ * @param {string} change.entityType
+ * @param {Object[]} change.before - Rows before the update (with id)
+ * @param {Object[]} change.after - The same rows after it
+ */
+async function auditRows(req, { action, entityType, before, after }) {
+    for (const row of after) {
+        const { oldValues, newValues } = diffValues(before.find(b => b.id === row.id) || null, row);
+        if (oldValues || newValues) {
+            await auditRequest(req, { action, entityType, entityId: row.id, oldValues, newValues });
+        }
+    }
+}
+
+
+/**
+ * Check a tenant's chain: every live entry must hash to its stored hash and
+ * point at the entry before it, starting from the last archived entry and
+ * ending at the chain head. Archives must follow on from one another.
+ * @param {number} tenantId
+ * @returns {Promise<Object>} { valid, checked, headId, brokenAt, reason, archives }
+ */
+async function verifyAuditChain(tenantId) {
+    const [[chain]] = await db.query('SELECT * FROM audit_log_chains WHERE tenant_id = ?', [tenantId]);
+    const [archives] = await db.query(
+        `SELECT id, first_id, last_id, first_prev_hash, last_hash FROM audit_log_archives
+         WHERE tenant_id = ? ORDER BY first_id`,
+        [tenantId]
+    );
+
+    const result = {
+        valid: true,
+        checked: 0,
+        headId: chain ? chain.head_id : null,
+        brokenAt: null,
+        reason: null,
+        archives: archives.length
+    };
+    const fail = (brokenAt, reason) => ({ ...result, valid: false, brokenAt, reason });
+
+    let expected = null;
+    for (const archive of archives) {
+        if (archive.first_prev_hash !== expected) {
+            return fail(archive.first_id, `Archive ${archive.id} does not follow the previous archive`);
+        }
+        expected = archive.last_hash;
+    }
+    if (!chain) {
+        return result;
+    }
+    if (expected !== chain.archived_hash) {
+        return fail(chain.archived_through_id, 'Archived entries do not match the chain');
+    }
+
+    // Entries written after the head was read are left for the next check
+    let lastId = chain.archived_through_id || 0;
+    for (;;) {
+        const [rows] = await db.query(
+            `SELECT * FROM audit_logs WHERE tenant_id = ? AND id > ? AND id <= ?
+             ORDER BY id LIMIT ${VERIFY_BATCH_SIZE}`,
+            [tenantId, lastId, chain.head_id || 0]
+        );
+        if (rows.length === 0) {
+            break;
+        }
+        for (const row of rows) {
+            if (row.prev_hash !== expected) {
+                return fail(row.id, 'An earlier entry is missing or was changed');
+            }
+            if (hashEntry(row) !== row.hash) {
+                return fail(row.id, 'Entry was changed after it was written');
+            }
+            expected = row.hash;
+            lastId = row.id;
+            result.checked++;
+        }
+    }
+
+    if (expected !== chain.head_hash) {
+        return fail(chain.head_id, 'The most recent entries are missing');
+    }
+
+    return result;
+}
+
+module.exports = {
+    redact,
+    diffValues,
+    hashEntry,
+    recordAudit,
+    auditRequest,
+    auditRows,
+    verifyAuditChain
+};
@@ -0,0 +1,231 @@
+// utils/auditRetention.js - Moves audit entries past a tenant's retention period
+// into gzipped NDJSON archives before removing them
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const db = require('../config/database');
+const { recordAudit } = require('./auditLog');
+const { resolveSettings } = require('./tenantSettings');
+
+const ARCHIVE_DIR = process.env.AUDIT_ARCHIVE_DIR || 'audit-archives';
+const RETENTION_INTERVAL_MINUTES = parseInt(process.env.AUDIT_RETENTION_INTERVAL_MINUTES) || 60;
+const BATCH_SIZE = 1000;
+
+// A tenant's entries with id in (afterId, throughId], in chain order
+async function* readEntries(tenantId, afterId, throughId) {
+    let lastId = afterId;
+    for (;;) {
+        const [rows] = await db.query(
+            `SELECT * FROM audit_logs WHERE tenant_id = ? AND id > ? AND id <= ?
+             ORDER BY id LIMIT ${BATCH_SIZE}`,
+            [tenantId, lastId, throughId]
+        );
+        if (rows.length === 0) {
+            return;
+        }
+        yield* rows;
+        lastId = rows[rows.length - 1].id;
+    }
+}
+
+// Stream the entries to a .ndjson.gz file. Rows are written whole, hashes
+// included, so an archive can be checked with hashEntry on its own.
+async function writeArchive(filePath, tenantId, afterId, throughId) {
+    const summary = { count: 0, first: null, last: null, checksum: null };
+    const checksum = crypto.createHash('sha256');
+
+    await pipeline(
+        async function* () {
+            for await (const row of readEntries(tenantId, afterId, throughId)) {
+                summary.first = summary.first || row;
+                summary.last = row;
+                summary.count++;
+                yield JSON.stringify(row) + '\n';
+            }
+        },
+        zlib.createGzip(),
+        async function* (compressed) {
+            for await (const chunk of compressed) {
+                checksum.update(chunk);
+                yield chunk;
+            }
+        },
+        fs.createWriteStream(filePath)
+    );
+
+    summary.checksum = checksum.digest('hex');
+    return summary;
+}
+
+/**
+ * Archive and remove a tenant's entries older than retentionDays. The chain
+ * row remembers the last archived hash, so verification of the live entries
+ * continues from it.
+ * @param {number} tenantId
+ * @param {number} retentionDays
+ * @returns {Promise<Object|null>} audit_log_archives values, or null if nothing was due
+ */
+async function archiveTenantAuditLogs(tenantId, retentionDays) {
+    const [[chain]] = await db.query(
+        'SELECT archived_through_id FROM audit_log_chains WHERE tenant_id = ?',
+        [tenantId]
+    );
+    if (!chain) {
+        return null;
+    }
+
+    const [[{ throughId }]] = await db.query(
+        `SELECT MAX(id) as throughId FROM audit_logs
+         WHERE tenant_id = ? AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+        [tenantId, retentionDays]
+    );
+    if (!throughId) {
+        return null;
+    }
+
+    const afterId = chain.archived_through_id || 0;
+    await fs.promises.mkdir(ARCHIVE_DIR, { recursive: true });
+    const filePath = path.join(ARCHIVE_DIR, `tenant-${tenantId}-audit-${afterId + 1}-${throughId}.ndjson.gz`);
+
+    let archive;
+    try {
+        const summary = await writeArchive(filePath, tenantId, afterId, throughId);
+        const { size } = await fs.promises.stat(filePath);
+
+        archive = {
+            tenant_id: tenantId,
+            first_id: summary.first.id,
+            last_id: summary.last.id,
+            entry_count: summary.count,
+            first_created_at: summary.first.created_at,
+            last_created_at: summary.last.created_at,
+            first_prev_hash: summary.first.prev_hash,
+            last_hash: summary.last.hash,
+            file_path: filePath,
+            file_size: size,
+            checksum: summary.checksum
+        };
+
+        const connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        try {
+            const [[locked]] = await connection.query(
+                'SELECT archived_through_id FROM audit_log_chains WHERE tenant_id = ? FOR UPDATE',
+                [tenantId]
+            );
+            if ((locked.archived_through_id || 0) !== afterId) {
+                throw new Error('Audit log was archived concurrently');
+            }
+
+            const [deleted] = await connection.query(
+                'DELETE FROM audit_logs WHERE tenant_id = ? AND id > ? AND id <= ?',
+                [tenantId, afterId, throughId]
+            );
+            if (deleted.affectedRows !== summary.count) {
+                throw new Error('Audit entries changed while they were archived');
+            }
+
+            await connection.query(
+                'UPDATE audit_log_chains SET archived_through_id = ?, archived_hash = ? WHERE tenant_id = ?',
+                [archive.last_id, archive.last_hash, tenantId]
+            );
+
+            const columns = Object.keys(archive);
+            const [result] = await connection.query(
+                `INSERT INTO audit_log_archives (${columns.join(', ')}) VALUES (?)`,
+                [columns.map(column => archive[column])]
+            );
+            archive.id = result.insertId;
+
+            await connection.commit();
+            connection.release();
+        } catch (error) {
+            await connection.rollback();
+            connection.release();
+            throw error;
+        }
+    } catch (error) {
+        await fs.promises.rm(filePath, { force: true });
+        throw error;
+    }
+
+    await recordAudit({
+        tenantId,
+        action: 'archive',
+        entityType: 'audit_log',
+        entityId: archive.id,
+        newValues: {
+            entries: archive.entry_count,
+            firstId: archive.first_id,
+            lastId: archive.last_id,
+            retentionDays
+        }
+    });
+
+    return archive;
+}
+
+/**
+ * Archive expired entries for every tenant with a retention period set
+ * (settings.audit.retentionDays). A MySQL named lock keeps several server
+ * processes from archiving at once.
+ * @returns {Promise<number>} Archives written
+ */
+async function archiveExpiredAuditLogs() {
+    const lock = await db.getConnection();
+    let archived = 0;
+
+    try {
+        const [[{ acquired }]] = await lock.query("SELECT GET_LOCK('audit_retention', 0) as acquired");
+        if (!acquired) {
+            return 0;
+        }
+
+        try {
+            const [tenants] = await db.query(
+                `SELECT id, settings FROM tenants
+                 WHERE status <> 'deleted' AND JSON_EXTRACT(settings, '$.audit.retentionDays') > 0`
+            );
+
+            for (const tenant of tenants) {
+                const { retentionDays } = resolveSettings(tenant.settings).audit;
+                if (retentionDays <= 0) {
+                    continue;
+                }
+                try {
+                    if (await archiveTenantAuditLogs(tenant.id, retentionDays)) {
+                        archived++;
+                    }
+                } catch (error) {
+                    console.error(`Archive audit logs for tenant ${tenant.id} error:`, error);
+                }
+            }
+        } finally {
+            await lock.query("SELECT RELEASE_LOCK('audit_retention')");
+        }
+    } finally {
+        lock.release();
+    }
+
+    return archived;
+}
+
+/**
+ * Run archiveExpiredAuditLogs on an interval (AUDIT_RETENTION_INTERVAL_MINUTES)
+ */
+function scheduleAuditRetention() {
+    const run = () => archiveExpiredAuditLogs()
+        .then(count => count > 0 && console.log(`🗄️  Archived audit logs for ${count} organization(s)`))
+        .catch(error => console.error('Audit retention job error:', error));
+
+    setInterval(run, RETENTION_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = {
+    archiveTenantAuditLogs,
+    archiveExpiredAuditLogs,
+    scheduleAuditRetention
+};
@@ -0,0 +1,94 @@
+// utils/avatars.js - Profile pictures: square thumbnails in a few sizes,
+// re-encoded so EXIF and other metadata are not kept
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const AVATAR_DIR = 'uploads/avatars';
+// Every upload is stored in each size; users.avatar_url points at the largest
+const AVATAR_SIZES = [32, 64, 128, 256];
+// Refuse decompression bombs before they are decoded
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const AVATAR_URL_PATTERN = /^\/uploads\/avatars\/(user-\d+-[0-9a-f]+)-\d+\.webp$/;
+
+const fileFor = (name, size) => path.join(AVATAR_DIR, `${name}-${size}.webp`);
+
+/**
+ * URL of each size of a stored avatar
+ * @param {string|null} avatarUrl - users.avatar_url
+ * @returns {Object|null} { 32: '/uploads/avatars/...', ... }
+ */
+function avatarUrls(avatarUrl) {
+    const match = avatarUrl && avatarUrl.match(AVATAR_URL_PATTERN);
+    if (!match) {
+        return null;
+    }
+    return Object.fromEntries(AVATAR_SIZES.map(size => [size, '/' + fileFor(match[1], size)]));
+}
+
+/**
+ * Files on disk behind a stored avatar
+ * @param {string|null} avatarUrl - users.avatar_url
+ * @returns {string[]}
+ */
+function avatarFiles(avatarUrl) {
+    const match = avatarUrl && avatarUrl.match(AVATAR_URL_PATTERN);
+    return match ? AVATAR_SIZES.map(size => fileFor(match[1], size)) : [];
+}
+
+/**
+ * Resize an uploaded image into every avatar size. The EXIF orientation is
+ * applied first; the written files carry no metadata.
+ * @param {number} userId
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<{avatarUrl: string}|{error: string, status: number}>}
+ */
+async function saveAvatar(userId, buffer) {
+    const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+
+    try {
+        await image.metadata();
+    } catch (error) {
+        return { error: 'The file is not a supported image', status: 400 };
+    }
+
+    await fs.promises.mkdir(AVATAR_DIR, { recursive: true });
+    // A new name on every upload, so cached copies of the old picture are not served
+    const name = `user-${userId}-${crypto.randomBytes(8).toString('hex')}`;
+    const written = [];
+
+    try {
+        for (const size of AVATAR_SIZES) {
+            const filePath = fileFor(name, size);
+            await image.clone()
+                .rotate()
+                .resize(size, size, { fit: 'cover' })
+                .webp({ quality: 85 })
+                .toFile(filePath);
+            written.push(filePath);
+        }
+    } catch (error) {
+        await Promise.all(written.map(filePath => fs.promises.rm(filePath, { force: true })));
+        throw error;
+    }
+
+    return { avatarUrl: '/' + fileFor(name, Math.max(...AVATAR_SIZES)) };
+}
+
+/**
+ * Delete every size of a stored avatar
+ * @param {string|null} avatarUrl - users.avatar_url
+ */
+async function removeAvatar(avatarUrl) {
+    await Promise.all(avatarFiles(avatarUrl).map(filePath => fs.promises.rm(filePath, { force: true })));
+}
+
+module.exports = {
+    AVATAR_SIZES,
+    avatarUrls,
+    avatarFiles,
+    saveAvatar,
+    removeAvatar
+};
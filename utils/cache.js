@@ -0,0 +1,172 @@
+// utils/cache.js - In-process TTL cache and named caches with an optional shared backend
+
+/**
+ * Create a TTL cache. Entries expire after ttlMs; once maxEntries is
+ * reached the oldest entry is evicted.
+ * @param {Object} options
+ * @param {number} options.ttlMs - Entry lifetime in milliseconds
+ * @param {number} [options.maxEntries] - Upper bound on cached entries
+ * @returns {{get: Function, set: Function, delete: Function, deleteWhere: Function, clear: Function, size: Function}}
+ */
+function createTtlCache({ ttlMs, maxEntries = 10000 }) {
+    const entries = new Map();
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) {
+                return undefined;
+            }
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+
+        set(key, value) {
+            entries.delete(key);
+            if (entries.size >= maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+
+        delete(key) {
+            entries.delete(key);
+        },
+
+        // Remove every entry whose value matches the predicate
+        deleteWhere(predicate) {
+            for (const [key, entry] of entries) {
+                if (predicate(entry.value, key)) {
+                    entries.delete(key);
+                }
+            }
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        size() {
+            return entries.size;
+        }
+    };
+}
+
+// Shared backend (Redis), connected lazily on first use when CACHE_REDIS_URL is set
+let redisClientPromise = null;
+
+function getRedisClient() {
+    if (!redisClientPromise) {
+        // Optional dependency, only needed when a shared cache is configured
+        const { createClient } = require('redis');
+        const client = createClient({ url: process.env.CACHE_REDIS_URL });
+        client.on('error', (err) => console.error('❌ Shared cache error:', err.message));
+        redisClientPromise = client.connect().then(() => {
+            console.log('✅ Shared cache connected');
+            return client;
+        });
+    }
+    return redisClientPromise;
+}
+
+const registry = new Map();
+
+/**
+ * Create a named cache. Uses Redis when CACHE_REDIS_URL is set so that
+ * invalidations reach every server process, otherwise an in-process TTL cache.
+ * Backend errors are treated as cache misses. All methods are async.
+ * @param {string} name - Cache name (key prefix and stats label)
+ * @param {Object} options
+ * @param {number} options.ttlMs - Entry lifetime in milliseconds
+ * @param {number} [options.maxEntries] - In-process size bound
+ * @returns {{get: Function, set: Function, delete: Function, stats: Function}}
+ */
+function createCache(name, { ttlMs, maxEntries }) {
+    const shared = !!process.env.CACHE_REDIS_URL;
+    const memory = shared ? null : createTtlCache({ ttlMs, maxEntries });
+    const stats = { hits: 0, misses: 0, errors: 0 };
+    const prefix = `cache:${name}:`;
+
+    const cache = {
+        async get(key) {
+            let value;
+            try {
+                if (shared) {
+                    const raw = await (await getRedisClient()).get(prefix + key);
+                    value = raw === null ? undefined : JSON.parse(raw);
+                } else {
+                    value = memory.get(key);
+                }
+            } catch (error) {
+                stats.errors++;
+                value = undefined;
+            }
+
+            if (value === undefined) {
+                stats.misses++;
+            } else {
+                stats.hits++;
+            }
+            return value;
+        },
+
+        async set(key, value) {
+            try {
+                if (shared) {
+                    await (await getRedisClient()).set(prefix + key, JSON.stringify(value), { PX: ttlMs });
+                } else {
+                    memory.set(key, value);
+                }
+            } catch (error) {
+                stats.errors++;
+            }
+        },
+
+        async delete(...keys) {
+            if (keys.length === 0) {
+                return;
+            }
+            try {
+                if (shared) {
+                    await (await getRedisClient()).del(keys.map(key => prefix + key));
+                } else {
+                    keys.forEach(key => memory.delete(key));
+                }
+            } catch (error) {
+                stats.errors++;
+            }
+        },
+
+        stats() {
+            const lookups = stats.hits + stats.misses;
+            return {
+                name,
+                backend: shared ? 'redis' : 'memory',
+                ttlSeconds: ttlMs / 1000,
+                ...stats,
+                hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(4)) : null,
+                ...(memory && { size: memory.size() })
+            };
+        }
+    };
+
+    registry.set(name, cache);
+    return cache;
+}
+
+/**
+ * Hit/miss statistics for every named cache
+ * @returns {Object[]}
+ */
+function getCacheStats() {
+    return [...registry.values()].map(cache => cache.stats());
+}
+
+module.exports = {
+    createTtlCache,
+    createCache,
+    getCacheStats
+};
@@ -0,0 +1,100 @@
+// utils/csv.js - CSV serialization and parsing (RFC 4180)
+
+// Quote a value if needed; objects (JSON columns) are written as JSON
+function formatCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+
+    // Neutralize spreadsheet formula injection
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = "'" + text;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows to CSV with a header line
+ * @param {Object[]} rows - Rows to write
+ * @param {string[]} [columns] - Column order (defaults to the first row's keys)
+ * @returns {string}
+ */
+function toCsv(rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) {
+    const lines = [columns.map(formatCsvValue).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => formatCsvValue(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of fields. Quoted fields may contain commas,
+ * quotes ("") and line breaks; a leading byte order mark and blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
+
+module.exports = {
+    formatCsvValue,
+    toCsv,
+    parseCsv
+};
@@ -0,0 +1,85 @@
+// utils/emailVerification.js - Email address verification and confirmed email changes
+const crypto = require('crypto');
+const db = require('../config/database');
+const { sendEmail } = require('./emailService');
+
+const VERIFICATION_TTL_HOURS = 24;
+
+// Tokens are 256-bit random values, so a fast hash is enough and lets us find the row by hash
+const hashVerificationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Whether the tenant blocks unverified users from logging in
+ * (tenants.settings.security.requireVerifiedEmail)
+ * @param {Object|string|null} tenantSettings - tenants.settings value
+ * @returns {boolean}
+ */
+function isVerifiedEmailRequired(tenantSettings) {
+    const settings = typeof tenantSettings === 'string'
+        ? JSON.parse(tenantSettings)
+        : (tenantSettings || {});
+    return settings.security?.requireVerifiedEmail === true;
+}
+
+/**
+ * Create a verification token for an address and email the link to it.
+ * Any earlier outstanding token for the user is retired.
+ * @param {Object} user - users row (id, first_name)
+ * @param {string} email - Address to verify (the current email or a pending new one)
+ * @param {string} ip - Requesting IP
+ */
+async function sendVerificationEmail(user, email, ip) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+    await db.query(
+        'UPDATE email_verifications SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        [user.id]
+    );
+
+    await db.query(
+        `INSERT INTO email_verifications (user_id, email, token_hash, ip_address, expires_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [user.id, email, hashVerificationToken(token), ip, expiresAt]
+    );
+
+    const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+    const isChange = email !== user.email;
+
+    await sendEmail({
+        to: email,
+        subject: isChange ? 'Confirm your new email address' : 'Verify your email address',
+        html: `
+            <h2>Hello ${user.first_name},</h2>
+            <p>${isChange
+                ? 'Your account email is being changed to this address. Confirm the change by clicking the link below:'
+                : 'Please confirm your email address by clicking the link below:'}</p>
+            <a href="${verifyUrl}">Verify Email</a>
+            <p>This link expires in ${VERIFICATION_TTL_HOURS} hours.</p>
+            <p>If you didn't request this, please ignore this email.</p>
+        `
+    });
+}
+
+/**
+ * Find an outstanding verification by its plain token
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<Object|null>} email_verifications row joined with the user
+ */
+async function findVerification(token) {
+    const [rows] = await db.query(
+        `SELECT ev.id, ev.user_id, ev.email as verify_email,
+                u.tenant_id, u.email, u.pending_email, u.first_name
+         FROM email_verifications ev
+         JOIN users u ON ev.user_id = u.id
+         WHERE ev.token_hash = ? AND ev.used_at IS NULL AND ev.expires_at > NOW()`,
+        [hashVerificationToken(token)]
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    isVerifiedEmailRequired,
+    sendVerificationEmail,
+    findVerification
+};
@@ -0,0 +1,91 @@
+// utils/identityCache.js - Cached user identity and permissions for verifyToken
+const db = require('../config/database');
+const { createCache } = require('./cache');
+
+const cache = createCache('identity', {
+    ttlMs: (parseInt(process.env.IDENTITY_CACHE_TTL_SECONDS) || 60) * 1000
+});
+
+/**
+ * Load an active user's identity, tenant and permission names, from cache
+ * when possible
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Identity, or null if the user is missing or inactive
+ */
+async function loadIdentity(userId) {
+    const cached = await cache.get(userId);
+    if (cached) {
+        return cached;
+    }
+
+    const [users] = await db.query(
+        `SELECT u.*, t.id as tenant_id, t.name as tenant_name, t.status as tenant_status
+         FROM users u
+         JOIN tenants t ON u.tenant_id = t.id
+         WHERE u.id = ? AND u.status = 'active'`,
+        [userId]
+    );
+
+    if (users.length === 0) {
+        return null;
+    }
+
+    const user = users[0];
+
+    const [permissions] = await db.query(
+        `SELECT DISTINCT p.name
+         FROM permissions p
+         JOIN role_permissions rp ON p.id = rp.permission_id
+         JOIN user_roles ur ON rp.role_id = ur.role_id
+         WHERE ur.user_id = ?`,
+        [user.id]
+    );
+
+    const identity = {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        tenantId: user.tenant_id,
+        tenantName: user.tenant_name,
+        tenantStatus: user.tenant_status,
+        isServiceAccount: !!user.is_service_account,
+        permissions: permissions.map(p => p.name)
+    };
+
+    await cache.set(userId, identity);
+    return identity;
+}
+
+/**
+ * Drop cached identities for users (role, status or profile changed)
+ * @param {...number} userIds - User IDs
+ */
+async function invalidateUsers(...userIds) {
+    await cache.delete(...userIds.map(Number));
+}
+
+/**
+ * Drop cached identities for everyone holding a role (its permissions changed)
+ * @param {number} roleId - Role ID
+ */
+async function invalidateRole(roleId) {
+    const [rows] = await db.query('SELECT user_id FROM user_roles WHERE role_id = ?', [roleId]);
+    await invalidateUsers(...rows.map(r => r.user_id));
+}
+
+/**
+ * Drop cached identities for every user in a tenant (e.g. suspended)
+ * @param {number} tenantId - Tenant ID
+ */
+async function invalidateTenant(tenantId) {
+    const [rows] = await db.query('SELECT id FROM users WHERE tenant_id = ?', [tenantId]);
+    await invalidateUsers(...rows.map(r => r.id));
+}
+
+module.exports = {
+    loadIdentity,
+    invalidateUsers,
+    invalidateRole,
+    invalidateTenant
+};
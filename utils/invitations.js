@@ -0,0 +1,91 @@
+// utils/invitations.js - Invitation tokens and the invitation email
+const crypto = require('crypto');
+const { sendEmail } = require('./emailService');
+
+const INVITATION_TTL_DAYS = 7;
+
+/**
+ * New invitation token and its expiry
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function createInvitationToken() {
+    return {
+        token: crypto.randomBytes(32).toString('hex'),
+        expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    };
+}
+
+/**
+ * Link the invitee follows to accept
+ * @param {string} token
+ * @returns {string}
+ */
+function inviteUrlFor(token) {
+    return `${process.env.FRONTEND_URL}/accept-invite?token=${token}`;
+}
+
+/**
+ * Roles an invitation grants. role_ids lists all of them; invitations that
+ * only have role_id grant that one.
+ * @param {Object} invitation - user_invitations row
+ * @returns {number[]}
+ */
+function invitationRoleIds(invitation) {
+    const roleIds = typeof invitation.role_ids === 'string'
+        ? JSON.parse(invitation.role_ids)
+        : invitation.role_ids;
+    return roleIds && roleIds.length > 0 ? roleIds : [invitation.role_id];
+}
+
+/**
+ * Email an invitation link
+ * @param {Object} invitation
+ * @param {string} invitation.email
+ * @param {string} invitation.firstName - Invitee
+ * @param {string} invitation.token
+ * @param {Object} invitation.inviter - { firstName, lastName }
+ * @param {string} invitation.tenantName
+ * @param {boolean} [invitation.reminder] - Resent invitation
+ */
+async function sendInvitationEmail({ email, firstName, token, inviter, tenantName, reminder = false }) {
+    const inviteUrl = inviteUrlFor(token);
+
+    await sendEmail({
+        to: email,
+        subject: reminder ? `Reminder: Join ${tenantName}` : `You've been invited to join ${tenantName}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>Hello ${firstName}!</h2>
+                <p>You have been invited by <strong>${inviter.firstName} ${inviter.lastName}</strong> to join <strong>${tenantName}</strong> on our Project Management System.</p>
+
+                <p>Click the button below to accept the invitation and set up your account:</p>
+
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="${inviteUrl}"
+                       style="display: inline-block; padding: 12px 30px; background: #3B82F6; color: white; text-decoration: none; border-radius: 5px; font-weight: bold;">
+                        Accept Invitation
+                    </a>
+                </div>
+
+                <p style="color: #666; font-size: 14px;">
+                    This invitation expires in ${INVITATION_TTL_DAYS} days. If you didn't expect this invitation, you can safely ignore this email.
+                </p>
+
+                <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+
+                <p style="color: #999; font-size: 12px;">
+                    If the button doesn't work, copy and paste this link into your browser:<br>
+                    <a href="${inviteUrl}">${inviteUrl}</a>
+                </p>
+            </div>
+        `
+    });
+}
+
+module.exports = {
+    INVITATION_TTL_DAYS,
+    createInvitationToken,
+    inviteUrlFor,
+    invitationRoleIds,
+    sendInvitationEmail
+};
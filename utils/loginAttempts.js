@@ -0,0 +1,173 @@
+// utils/loginAttempts.js - Login attempt tracking, throttling and account lockout
+const db = require('../config/database');
+const { sendEmail } = require('./emailService');
+const { recordAudit } = require('./auditLog');
+
+const DEFAULT_LOCKOUT = {
+    maxAttempts: 5,     // failures before the account is locked
+    lockMinutes: 15,    // how long the lock lasts
+    freeAttempts: 3     // failures (per email + IP) before delays kick in
+};
+
+const THROTTLE_WINDOW_MINUTES = 15;
+const MAX_DELAY_SECONDS = 60;
+
+// A configured threshold, including 0; the default only when it is not set
+const threshold = (value, fallback) => {
+    const parsed = parseInt(value);
+    return Number.isInteger(parsed) ? parsed : fallback;
+};
+
+/**
+ * Resolve lockout thresholds from tenants.settings.security.lockout
+ * @param {Object|string|null} tenantSettings - tenants.settings value
+ * @returns {{maxAttempts: number, lockMinutes: number, freeAttempts: number}}
+ */
+function getLockoutPolicy(tenantSettings) {
+    const settings = typeof tenantSettings === 'string'
+        ? JSON.parse(tenantSettings)
+        : (tenantSettings || {});
+    const lockout = settings.security?.lockout || {};
+
+    return {
+        maxAttempts: threshold(lockout.maxAttempts, DEFAULT_LOCKOUT.maxAttempts),
+        lockMinutes: threshold(lockout.lockMinutes, DEFAULT_LOCKOUT.lockMinutes),
+        freeAttempts: threshold(lockout.freeAttempts, DEFAULT_LOCKOUT.freeAttempts)
+    };
+}
+
+/**
+ * Progressive delay for an email + IP pair: after the free attempts, each
+ * further failure doubles the wait before the next attempt is accepted
+ * @param {string} email - Email being tried
+ * @param {string} ip - Client IP
+ * @param {number} freeAttempts - Failures allowed without delay
+ * @returns {Promise<number>} Seconds to wait, 0 if an attempt is allowed now
+ */
+async function getRetryAfter(email, ip, freeAttempts = DEFAULT_LOCKOUT.freeAttempts) {
+    const [rows] = await db.query(
+        `SELECT COUNT(*) as failures,
+                TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) as seconds_since_last
+         FROM login_attempts
+         WHERE email = ? AND ip_address = ? AND success = FALSE
+           AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+           AND created_at > COALESCE((
+               SELECT MAX(created_at) FROM login_attempts
+               WHERE email = ? AND ip_address = ? AND success = TRUE
+           ), '1970-01-01')`,
+        [email, ip, THROTTLE_WINDOW_MINUTES, email, ip]
+    );
+
+    const { failures, seconds_since_last: secondsSinceLast } = rows[0];
+
+    if (failures === 0 || failures < freeAttempts) {
+        return 0;
+    }
+
+    const delay = Math.min(2 ** (failures - freeAttempts), MAX_DELAY_SECONDS);
+    return Math.max(delay - secondsSinceLast, 0);
+}
+
+/**
+ * Record a login attempt
+ * @param {string} email - Email used
+ * @param {Object} req - Express request
+ * @param {Object} [details]
+ * @param {boolean} [details.success] - Whether the attempt succeeded
+ * @param {number} [details.userId] - Matched user, if any
+ * @param {number} [details.tenantId] - Matched tenant, if any
+ */
+async function recordAttempt(email, req, { success = false, userId = null, tenantId = null } = {}) {
+    await db.query(
+        `INSERT INTO login_attempts (email, ip_address, user_agent, tenant_id, user_id, success)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [email, req.ip, req.headers['user-agent'], tenantId, userId, success]
+    );
+}
+
+/**
+ * Failed attempts recorded for a membership since a point in time, e.g. the
+ * wrong two-factor codes entered with one mfa token
+ * @param {number} userId - User ID
+ * @param {Date} since - Start of the window
+ * @returns {Promise<number>}
+ */
+async function countFailuresSince(userId, since) {
+    const [rows] = await db.query(
+        `SELECT COUNT(*) as failures FROM login_attempts
+         WHERE user_id = ? AND success = FALSE AND created_at >= ?`,
+        [userId, since]
+    );
+    return rows[0].failures;
+}
+
+/**
+ * Count a failed password for a membership and lock it once the tenant's
+ * threshold is reached
+ * @param {Object} user - users row joined with tenant_settings
+ * @param {Object} req - Express request
+ * @returns {Promise<boolean>} True if this failure locked the account
+ */
+async function registerFailure(user, req) {
+    const policy = getLockoutPolicy(user.tenant_settings);
+    const failures = (user.failed_login_count || 0) + 1;
+
+    if (failures < policy.maxAttempts) {
+        await db.query(
+            'UPDATE users SET failed_login_count = ? WHERE id = ?',
+            [failures, user.id]
+        );
+        return false;
+    }
+
+    const lockedUntil = new Date(Date.now() + policy.lockMinutes * 60 * 1000);
+
+    await db.query(
+        'UPDATE users SET failed_login_count = 0, locked_until = ? WHERE id = ?',
+        [lockedUntil, user.id]
+    );
+
+    await recordAudit({
+        tenantId: user.tenant_id,
+        userId: user.id,
+        action: 'account_locked',
+        entityType: 'user',
+        entityId: user.id,
+        newValues: { failedAttempts: failures, lockedUntil },
+        req
+    });
+
+    await sendEmail({
+        to: user.email,
+        subject: 'Your account has been temporarily locked',
+        html: `
+            <h2>Hello ${user.first_name},</h2>
+            <p>Your account${user.tenant_name ? ` in <strong>${user.tenant_name}</strong>` : ''} was locked
+               after ${failures} failed sign-in attempts.</p>
+            <p>You can try again after ${policy.lockMinutes} minutes, or ask an administrator to unlock it.</p>
+            <p>If these attempts weren't you, we recommend resetting your password.</p>
+        `
+    });
+
+    return true;
+}
+
+/**
+ * Reset the failure counter after a successful login
+ * @param {number} userId - User ID
+ */
+async function clearFailures(userId) {
+    await db.query(
+        'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?',
+        [userId]
+    );
+}
+
+module.exports = {
+    getLockoutPolicy,
+    getRetryAfter,
+    recordAttempt,
+    countFailuresSince,
+    registerFailure,
+    clearFailures
+};
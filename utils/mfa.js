@@ -0,0 +1,208 @@
+// utils/mfa.js - TOTP (RFC 6238) and recovery code helpers
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(output);
+}
+
+// HOTP (RFC 4226) value for a given counter
+function hotp(key, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+    return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Build the otpauth:// URL used by authenticator apps (QR code payload)
+ * @param {string} secret - Base32 secret
+ * @param {string} email - Account label
+ * @returns {string}
+ */
+function buildOtpAuthUrl(secret, email) {
+    const issuer = process.env.APP_NAME || 'Project Management';
+    const label = encodeURIComponent(`${issuer}:${email}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+        `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastStep - Last accepted time step (prevents replay)
+ * @returns {number|null} The matched time step, or null if invalid
+ */
+function verifyTotp(secret, code, lastStep = null) {
+    if (!secret || !/^\d{6}$/.test(String(code || ''))) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (let step = currentStep - 1; step <= currentStep + 1; step++) {
+        if (lastStep !== null && step <= lastStep) {
+            continue;
+        }
+        const expected = Buffer.from(hotp(key, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {Object} conn - Database pool or connection
+ * @param {number} userId - User ID
+ * @returns {Promise<string[]>} Plain codes (shown to the user once)
+ */
+async function generateRecoveryCodes(conn, userId) {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    await conn.query('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+
+    for (const code of codes) {
+        const codeHash = await bcrypt.hash(code, 10);
+        await conn.query(
+            'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+            [userId, codeHash]
+        );
+    }
+
+    return codes;
+}
+
+/**
+ * Redeem a single-use recovery code
+ * @param {number} userId - User ID
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>}
+ */
+async function useRecoveryCode(userId, code) {
+    const normalized = String(code || '').trim().toLowerCase();
+    if (!normalized) {
+        return false;
+    }
+
+    const [rows] = await db.query(
+        'SELECT id, code_hash FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+
+    for (const row of rows) {
+        if (await bcrypt.compare(normalized, row.code_hash)) {
+            const [result] = await db.query(
+                'UPDATE mfa_recovery_codes SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+                [row.id]
+            );
+            return result.affectedRows > 0;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Check whether the tenant's security settings require 2FA for a user.
+ * tenants.settings.security.mfa is one of 'off' (default), 'admins' or 'all'.
+ * @param {number} userId - User ID
+ * @param {Object|string|null} tenantSettings - tenants.settings value
+ * @returns {Promise<boolean>}
+ */
+async function isMfaRequired(userId, tenantSettings) {
+    const settings = typeof tenantSettings === 'string'
+        ? JSON.parse(tenantSettings)
+        : (tenantSettings || {});
+    const policy = settings.security?.mfa || 'off';
+
+    if (policy === 'all') {
+        return true;
+    }
+
+    if (policy === 'admins') {
+        const [roles] = await db.query(
+            `SELECT r.id FROM roles r
+             JOIN user_roles ur ON r.id = ur.role_id
+             WHERE ur.user_id = ? AND r.name = 'Admin' AND r.is_system_role = TRUE`,
+            [userId]
+        );
+        return roles.length > 0;
+    }
+
+    return false;
+}
+
+module.exports = {
+    generateSecret,
+    buildOtpAuthUrl,
+    verifyTotp,
+    generateRecoveryCodes,
+    useRecoveryCode,
+    isMfaRequired
+};
@@ -0,0 +1,182 @@
+// utils/offboarding.js - Removing a user without losing their work: what they
+// own, handing it over to a colleague, and anonymizing the account that stays
+// behind so time entries, comments and approvals keep an author
+const db = require('../config/database');
+const { auditRequest } = require('./auditLog');
+const { withAdminGuard } = require('./userRoles');
+const { invalidateUsers } = require('./identityCache');
+const { invalidateUserSessions } = require('./sessionCache');
+const { removeAvatar } = require('./avatars');
+
+// Tasks still being worked on; assignments to finished tasks stay as history
+const OPEN_TASK = "t.completed_at IS NULL AND t.status <> 'done'";
+
+/**
+ * What a user owns or has worked on, grouped by what offboarding does with it
+ * @param {number} userId - Must belong to the caller's tenant
+ * @returns {Promise<Object>} { reassigned, kept, revoked }, each a map of counts
+ */
+async function getOffboardingPreview(userId) {
+    const [[counts]] = await db.query(
+        `SELECT
+            (SELECT COUNT(*) FROM projects WHERE created_by = ?) as projects,
+            (SELECT COUNT(*) FROM tasks WHERE created_by = ?) as tasks,
+            (SELECT COUNT(*) FROM task_assignments ta JOIN tasks t ON ta.task_id = t.id
+             WHERE ta.user_id = ? AND ${OPEN_TASK}) as open_assignments,
+            (SELECT COUNT(*) FROM project_members WHERE user_id = ?) as project_memberships,
+            (SELECT COUNT(*) FROM task_assignments ta JOIN tasks t ON ta.task_id = t.id
+             WHERE ta.user_id = ? AND NOT (${OPEN_TASK})) as finished_assignments,
+            (SELECT COUNT(*) FROM time_entries WHERE user_id = ?) as time_entries,
+            (SELECT COUNT(*) FROM time_entries WHERE approved_by = ?) as approved_time_entries,
+            (SELECT COUNT(*) FROM task_comments WHERE user_id = ?) as comments,
+            (SELECT COUNT(*) FROM task_attachments WHERE user_id = ?) as attachments,
+            (SELECT COUNT(*) FROM user_sessions WHERE user_id = ? AND is_active = TRUE) as sessions,
+            (SELECT COUNT(*) FROM api_tokens WHERE user_id = ? AND revoked_at IS NULL) as api_tokens,
+            (SELECT COUNT(*) FROM user_invitations WHERE invited_by = ? AND status = 'pending') as invitations`,
+        Array(12).fill(userId)
+    );
+
+    return {
+        // Handed to the user named in reassignTo
+        reassigned: {
+            projects: counts.projects,
+            tasks: counts.tasks,
+            openAssignments: counts.open_assignments,
+            projectMemberships: counts.project_memberships
+        },
+        // Stays with the anonymized account
+        kept: {
+            finishedAssignments: counts.finished_assignments,
+            timeEntries: counts.time_entries,
+            approvedTimeEntries: counts.approved_time_entries,
+            comments: counts.comments,
+            attachments: counts.attachments
+        },
+        revoked: {
+            sessions: counts.sessions,
+            apiTokens: counts.api_tokens,
+            invitations: counts.invitations
+        }
+    };
+}
+
+const sum = (counts) => Object.values(counts).reduce((total, count) => total + count, 0);
+
+/**
+ * Whether offboarding has anything to hand over (and so needs reassignTo)
+ * @param {Object} preview - From getOffboardingPreview
+ * @returns {boolean}
+ */
+const needsReassignment = (preview) => sum(preview.reassigned) > 0;
+
+/**
+ * Whether the user has anything a hard delete would break or silently
+ * remove; such users can only be offboarded
+ * @param {Object} preview - From getOffboardingPreview
+ * @returns {boolean}
+ */
+const hasHistory = (preview) => sum(preview.reassigned) + sum(preview.kept) > 0;
+
+/**
+ * Offboard a user in one transaction: hand projects, created tasks, open
+ * assignments and project memberships to reassignTo; revoke sessions, API
+ * tokens and pending invitations they sent; drop their roles and personal
+ * data; and keep the row as an anonymized "Former member" that historical
+ * records still point at. The summary goes to the audit log.
+ * @param {Object} req - Request of the admin offboarding the user (for the audit entry)
+ * @param {Object} user - users row of the user leaving, in req.user.tenantId
+ * @param {Object} [options]
+ * @param {number} [options.reassignTo] - Active user receiving the work
+ * @returns {Promise<{summary: Object}|{error: string, status: number}>}
+ */
+async function offboardUser(req, user, { reassignTo = null } = {}) {
+    const tenantId = req.user.tenantId;
+    const preview = await getOffboardingPreview(user.id);
+
+    if (needsReassignment(preview) && !reassignTo) {
+        return { error: 'Choose a user to reassign projects and tasks to (reassignTo)', status: 400 };
+    }
+
+    const summary = { ...preview, reassignedTo: reassignTo };
+
+    const result = await withAdminGuard(tenantId, async (connection) => {
+        if (reassignTo) {
+            await connection.query(
+                'UPDATE projects SET created_by = ? WHERE created_by = ? AND tenant_id = ?',
+                [reassignTo, user.id, tenantId]
+            );
+            await connection.query(
+                'UPDATE tasks SET created_by = ? WHERE created_by = ? AND tenant_id = ?',
+                [reassignTo, user.id, tenantId]
+            );
+            // The successor keeps any membership or assignment they already had
+            await connection.query(
+                `INSERT IGNORE INTO project_members (project_id, user_id, role)
+                 SELECT project_id, ?, role FROM project_members WHERE user_id = ?`,
+                [reassignTo, user.id]
+            );
+            await connection.query(
+                `INSERT IGNORE INTO task_assignments (task_id, user_id)
+                 SELECT ta.task_id, ? FROM task_assignments ta JOIN tasks t ON ta.task_id = t.id
+                 WHERE ta.user_id = ? AND ${OPEN_TASK}`,
+                [reassignTo, user.id]
+            );
+        }
+
+        await connection.query(
+            `DELETE ta FROM task_assignments ta JOIN tasks t ON ta.task_id = t.id
+             WHERE ta.user_id = ? AND ${OPEN_TASK}`,
+            [user.id]
+        );
+        await connection.query('DELETE FROM project_members WHERE user_id = ?', [user.id]);
+        await connection.query('DELETE FROM user_roles WHERE user_id = ?', [user.id]);
+
+        await connection.query('UPDATE user_sessions SET is_active = FALSE WHERE user_id = ?', [user.id]);
+        await connection.query(
+            'UPDATE api_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+            [user.id]
+        );
+        await connection.query(
+            `UPDATE user_invitations SET status = 'expired' WHERE invited_by = ? AND status = 'pending'`,
+            [user.id]
+        );
+
+        // Personal data and credentials
+        for (const table of ['password_resets', 'password_history', 'email_verifications', 'mfa_recovery_codes', 'notifications', 'login_attempts']) {
+            await connection.query(`DELETE FROM ${table} WHERE user_id = ?`, [user.id]);
+        }
+        await connection.query(
+            `UPDATE users
+             SET email = ?, first_name = 'Former', last_name = 'member', phone = NULL, avatar_url = NULL,
+                 pending_email = NULL, password_hash = '!', mfa_enabled = FALSE, mfa_secret = NULL,
+                 mfa_last_step = NULL, failed_login_count = 0, locked_until = NULL, external_id = NULL,
+                 preferences = NULL, status = 'offboarded', offboarded_at = NOW()
+             WHERE id = ? AND tenant_id = ?`,
+            [`former-member-${user.id}@offboarded.invalid`, user.id, tenantId]
+        );
+
+        await auditRequest(req, {
+            action: 'offboard',
+            entityType: 'user',
+            entityId: user.id,
+            newValues: summary
+        }, connection);
+    });
+
+    if (result.error) {
+        return result;
+    }
+
+    await invalidateUsers(user.id);
+    invalidateUserSessions(user.id);
+    await removeAvatar(user.avatar_url);
+
+    return { summary };
+}
+
+module.exports = {
+    getOffboardingPreview,
+    needsReassignment,
+    hasHistory,
+    offboardUser
+};
@@ -0,0 +1,190 @@
+// utils/oidc.js - OpenID Connect client helpers (discovery, PKCE, ID token validation)
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+// The issuer is set by tenant admins, so a slow one must not hold requests open
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+/**
+ * Generate a random URL-safe value (state, nonce, PKCE verifier)
+ * @param {number} [bytes]
+ * @returns {string}
+ */
+function randomValue(bytes = 32) {
+    return base64url(crypto.randomBytes(bytes));
+}
+
+/**
+ * PKCE S256 code challenge for a verifier
+ * @param {string} verifier - Code verifier
+ * @returns {string}
+ */
+function codeChallenge(verifier) {
+    return base64url(crypto.createHash('sha256').update(verifier).digest());
+}
+
+async function fetchJson(url, options = {}) {
+    // Plain http (e.g. a local test provider) only in development
+    if (new URL(url).protocol !== 'https:' && process.env.NODE_ENV !== 'development') {
+        throw new Error(`OIDC request to ${url} refused: the provider must use https`);
+    }
+
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const reason = data.error_description || data.error || response.statusText;
+        throw new Error(`OIDC request to ${url} failed: ${reason}`);
+    }
+    return data;
+}
+
+/**
+ * Load (and cache) the provider's discovery document
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>}
+ */
+async function discover(issuer) {
+    const cached = discoveryCache.get(issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.value;
+    }
+
+    const url = issuer.replace(/\/$/, '') + '/.well-known/openid-configuration';
+    const config = await fetchJson(url);
+
+    if (config.issuer !== issuer) {
+        throw new Error('OIDC discovery issuer does not match configured issuer');
+    }
+
+    discoveryCache.set(issuer, { value: config, expiresAt: Date.now() + CACHE_TTL_MS });
+    return config;
+}
+
+// Find the signing key for a kid, refetching the JWKS once if it is unknown
+// (the provider may have rotated keys)
+async function getSigningKey(config, kid) {
+    const cached = jwksCache.get(config.jwks_uri);
+    const findKey = (keys) => keys.find(k => (kid ? k.kid === kid : true) && (!k.use || k.use === 'sig'));
+
+    let key = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+    if (!key) {
+        const { keys = [] } = await fetchJson(config.jwks_uri);
+        jwksCache.set(config.jwks_uri, { keys, expiresAt: Date.now() + CACHE_TTL_MS });
+        key = findKey(keys);
+    }
+
+    if (!key) {
+        throw new Error('No matching signing key in provider JWKS');
+    }
+
+    return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+/**
+ * Build the authorization endpoint URL for the code flow with PKCE
+ * @param {Object} config - Discovery document
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.redirectUri
+ * @param {string} params.state
+ * @param {string} params.nonce
+ * @param {string} params.codeVerifier
+ * @returns {string}
+ */
+function buildAuthorizationUrl(config, { clientId, redirectUri, state, nonce, codeVerifier }) {
+    const url = new URL(config.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: 'openid email profile',
+        state,
+        nonce,
+        code_challenge: codeChallenge(codeVerifier),
+        code_challenge_method: 'S256'
+    }).toString();
+    return url.toString();
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} config - Discovery document
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {string} params.redirectUri
+ * @param {string} params.codeVerifier
+ * @param {string} params.clientId
+ * @param {string} params.clientSecret
+ * @returns {Promise<Object>} Token endpoint response
+ */
+async function exchangeCode(config, { code, redirectUri, codeVerifier, clientId, clientSecret }) {
+    const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    // client_secret_basic is the spec default; fall back to post if that is all the provider supports
+    const authMethods = config.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (authMethods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = 'Basic ' + Buffer.from(credentials).toString('base64');
+    } else {
+        form.set('client_id', clientId);
+        form.set('client_secret', clientSecret);
+    }
+
+    return fetchJson(config.token_endpoint, { method: 'POST', headers, body: form });
+}
+
+/**
+ * Validate an ID token's signature and claims
+ * @param {Object} config - Discovery document
+ * @param {string} idToken - Raw ID token
+ * @param {Object} expected
+ * @param {string} expected.clientId - Expected audience
+ * @param {string} expected.nonce - Nonce sent in the authorization request
+ * @returns {Promise<Object>} Verified claims
+ */
+async function verifyIdToken(config, idToken, { clientId, nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error('Malformed ID token');
+    }
+
+    const supported = config.id_token_signing_alg_values_supported || ['RS256'];
+    const algorithms = supported.filter(alg => /^(RS|PS|ES)\d{3}$/.test(alg));
+
+    const key = await getSigningKey(config, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms,
+        issuer: config.issuer,
+        audience: clientId,
+        clockTolerance: 60
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+}
+
+module.exports = {
+    randomValue,
+    discover,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+};
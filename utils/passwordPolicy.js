@@ -0,0 +1,158 @@
+// utils/passwordPolicy.js - Per-tenant password rules, expiry and reuse history
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+
+const DEFAULT_POLICY = {
+    minLength: 8,
+    requireUppercase: false,
+    requireLowercase: false,
+    requireNumber: false,
+    requireSymbol: false,
+    blockCommon: true,      // reject passwords from the bundled common/breached list
+    maxAgeDays: 0,          // 0 = passwords never expire
+    historyCount: 0         // 0 = reuse allowed
+};
+
+const MIN_LENGTH_FLOOR = 8;
+const MAX_HISTORY = 24;
+
+let commonPasswords = null;
+
+// Loaded on first use, the list never changes at runtime
+function getCommonPasswords() {
+    if (!commonPasswords) {
+        const file = path.join(__dirname, 'data', 'common-passwords.txt');
+        commonPasswords = new Set(
+            fs.readFileSync(file, 'utf8')
+                .split('\n')
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#'))
+        );
+    }
+    return commonPasswords;
+}
+
+/**
+ * Resolve the password policy from tenants.settings.security.password
+ * @param {Object|string|null} tenantSettings - tenants.settings value
+ * @returns {Object} Policy with defaults applied
+ */
+function getPasswordPolicy(tenantSettings) {
+    const settings = typeof tenantSettings === 'string'
+        ? JSON.parse(tenantSettings)
+        : (tenantSettings || {});
+    const policy = { ...DEFAULT_POLICY, ...(settings.security?.password || {}) };
+
+    return {
+        minLength: Math.max(parseInt(policy.minLength) || DEFAULT_POLICY.minLength, MIN_LENGTH_FLOOR),
+        requireUppercase: policy.requireUppercase === true,
+        requireLowercase: policy.requireLowercase === true,
+        requireNumber: policy.requireNumber === true,
+        requireSymbol: policy.requireSymbol === true,
+        blockCommon: policy.blockCommon !== false,
+        maxAgeDays: Math.max(parseInt(policy.maxAgeDays) || 0, 0),
+        historyCount: Math.min(Math.max(parseInt(policy.historyCount) || 0, 0), MAX_HISTORY)
+    };
+}
+
+// True if the password matches the user's current one or one of the last `count`
+async function isReusedPassword(userId, password, count) {
+    const [rows] = await db.query(
+        `(SELECT password_hash FROM users WHERE id = ?)
+         UNION ALL
+         (SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?)`,
+        [userId, userId, count]
+    );
+
+    for (const row of rows) {
+        if (await bcrypt.compare(password, row.password_hash)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Check a new password against a policy
+ * @param {string} password - Candidate password
+ * @param {Object} policy - From getPasswordPolicy
+ * @param {number} [userId] - Existing user, for the reuse check
+ * @returns {Promise<Array<{rule: string, message: string}>>} Failed rules (empty if valid)
+ */
+async function validatePassword(password, policy, userId = null) {
+    const failures = [];
+    const fail = (rule, message) => failures.push({ rule, message });
+
+    if (password.length < policy.minLength) {
+        fail('minLength', `Password must be at least ${policy.minLength} characters`);
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        fail('requireUppercase', 'Password must contain an uppercase letter');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        fail('requireLowercase', 'Password must contain a lowercase letter');
+    }
+    if (policy.requireNumber && !/[0-9]/.test(password)) {
+        fail('requireNumber', 'Password must contain a number');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        fail('requireSymbol', 'Password must contain a symbol');
+    }
+    if (policy.blockCommon && getCommonPasswords().has(password.toLowerCase())) {
+        fail('blockCommon', 'Password is too common, please choose another');
+    }
+    if (userId && policy.historyCount > 0 && failures.length === 0 &&
+        await isReusedPassword(userId, password, policy.historyCount)) {
+        fail('historyCount', `Password must not match any of your last ${policy.historyCount} passwords`);
+    }
+
+    return failures;
+}
+
+/**
+ * Record a newly set password hash in the user's history, keeping the
+ * most recent MAX_HISTORY entries
+ * @param {Object} conn - Pool or transaction connection
+ * @param {number} userId - User ID
+ * @param {string} passwordHash - bcrypt hash that was just set
+ */
+async function recordPasswordHistory(conn, userId, passwordHash) {
+    await conn.query(
+        'INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)',
+        [userId, passwordHash]
+    );
+
+    const [oldest] = await conn.query(
+        'SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?',
+        [userId, MAX_HISTORY]
+    );
+    if (oldest.length > 0) {
+        await conn.query(
+            'DELETE FROM password_history WHERE user_id = ? AND id <= ?',
+            [userId, oldest[0].id]
+        );
+    }
+}
+
+/**
+ * Whether a user's password is older than the tenant allows
+ * @param {Object} user - users row (password_changed_at, created_at)
+ * @param {Object} policy - From getPasswordPolicy
+ * @returns {boolean}
+ */
+function isPasswordExpired(user, policy) {
+    if (!policy.maxAgeDays) {
+        return false;
+    }
+    const changedAt = new Date(user.password_changed_at || user.created_at);
+    return Date.now() - changedAt.getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+}
+
+module.exports = {
+    getPasswordPolicy,
+    validatePassword,
+    recordPasswordHistory,
+    isPasswordExpired
+};
@@ -0,0 +1,39 @@
+// utils/platformLog.js - Platform-level audit log. Unlike audit_logs, rows are not
+// tied to a tenant by foreign key, so they survive the tenant being purged.
+const db = require('../config/database');
+
+/**
+ * Record a platform event
+ * @param {Object} event
+ * @param {string} event.action - e.g. 'tenant_closed'
+ * @param {Object} [event.tenant] - { id, name, slug } the event concerns
+ * @param {string} [event.actorType] - 'user', 'operator' or 'system'
+ * @param {number} [event.actorId] - users.id or platform operator id
+ * @param {string} [event.actorEmail] - Kept so the actor is known after a purge
+ * @param {Object} [event.details] - Extra context
+ * @param {string} [event.ip] - Client IP
+ * @param {Object} [conn] - Transaction connection (defaults to the pool)
+ */
+async function logPlatformEvent(
+    { action, tenant = null, actorType = 'system', actorId = null, actorEmail = null, details = null, ip = null },
+    conn = db
+) {
+    await conn.query(
+        `INSERT INTO platform_audit_logs
+            (tenant_id, tenant_name, tenant_slug, actor_type, actor_id, actor_email, action, details, ip_address)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            tenant ? tenant.id : null,
+            tenant ? tenant.name : null,
+            tenant ? tenant.slug : null,
+            actorType,
+            actorId,
+            actorEmail,
+            action,
+            details ? JSON.stringify(details) : null,
+            ip
+        ]
+    );
+}
+
+module.exports = { logPlatformEvent };
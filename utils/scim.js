@@ -0,0 +1,431 @@
+// utils/scim.js - SCIM 2.0 (RFC 7643/7644) helpers: resource formatting,
+// error bodies, filters and PATCH operations
+
+const SCHEMAS = {
+    user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+    group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+    listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+    patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+    error: 'urn:ietf:params:scim:api:messages:2.0:Error',
+    serviceProviderConfig: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+    resourceType: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType'
+};
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * SCIM error body
+ * @param {number} status - HTTP status
+ * @param {string} detail - Human readable message
+ * @param {string} [scimType] - e.g. 'uniqueness', 'invalidFilter'
+ * @returns {Object}
+ */
+function scimError(status, detail, scimType) {
+    return {
+        schemas: [SCHEMAS.error],
+        status: String(status),
+        ...(scimType && { scimType }),
+        detail
+    };
+}
+
+/**
+ * Paging from startIndex (1-based) and count query parameters
+ * @param {Object} query - req.query
+ * @returns {{startIndex: number, count: number}}
+ */
+function getPaging(query) {
+    const startIndex = Math.max(parseInt(query.startIndex) || 1, 1);
+    const count = Math.min(Math.max(parseInt(query.count ?? MAX_PAGE_SIZE) || 0, 0), MAX_PAGE_SIZE);
+    return { startIndex, count };
+}
+
+/**
+ * ListResponse envelope
+ * @param {Object[]} resources
+ * @param {number} totalResults
+ * @param {number} startIndex
+ * @returns {Object}
+ */
+function listResponse(resources, totalResults, startIndex) {
+    return {
+        schemas: [SCHEMAS.listResponse],
+        totalResults,
+        startIndex,
+        itemsPerPage: resources.length,
+        Resources: resources
+    };
+}
+
+/**
+ * User resource for a users row
+ * @param {Object} user - users row
+ * @param {Object[]} roles - The user's roles ({ id, name })
+ * @param {string} baseUrl - e.g. https://api.example.com/scim/v2
+ * @returns {Object}
+ */
+function formatUser(user, roles, baseUrl) {
+    return {
+        schemas: [SCHEMAS.user],
+        id: String(user.id),
+        ...(user.external_id && { externalId: user.external_id }),
+        userName: user.email,
+        name: {
+            givenName: user.first_name,
+            familyName: user.last_name,
+            formatted: `${user.first_name} ${user.last_name}`.trim()
+        },
+        displayName: `${user.first_name} ${user.last_name}`.trim(),
+        emails: [{ value: user.email, type: 'work', primary: true }],
+        ...(user.phone && { phoneNumbers: [{ value: user.phone, type: 'work' }] }),
+        active: user.status === 'active',
+        groups: roles.map(role => ({
+            value: String(role.id),
+            display: role.name,
+            $ref: `${baseUrl}/Groups/${role.id}`
+        })),
+        meta: {
+            resourceType: 'User',
+            created: user.created_at,
+            lastModified: user.updated_at,
+            location: `${baseUrl}/Users/${user.id}`
+        }
+    };
+}
+
+/**
+ * Group resource for a roles row
+ * @param {Object} role - roles row
+ * @param {Object[]|null} members - Users ({ id, first_name, last_name }), or null to leave them out
+ * @param {string} baseUrl
+ * @returns {Object}
+ */
+function formatGroup(role, members, baseUrl) {
+    return {
+        schemas: [SCHEMAS.group],
+        id: String(role.id),
+        ...(role.external_id && { externalId: role.external_id }),
+        displayName: role.name,
+        ...(members && {
+            members: members.map(member => ({
+                value: String(member.id),
+                display: `${member.first_name} ${member.last_name}`.trim(),
+                $ref: `${baseUrl}/Users/${member.id}`
+            }))
+        }),
+        meta: {
+            resourceType: 'Group',
+            created: role.created_at,
+            location: `${baseUrl}/Groups/${role.id}`
+        }
+    };
+}
+
+// Filter tokens: quoted strings, parentheses, or bare words
+const TOKEN_PATTERN = /\s*("(?:[^"\\]|\\.)*"|[()]|[^\s()]+)/g;
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+function parseFilterValue(token) {
+    if (token === undefined) {
+        return { error: 'Missing value' };
+    }
+    if (token.startsWith('"')) {
+        try {
+            return { value: JSON.parse(token) };
+        } catch (error) {
+            return { error: `Invalid string ${token}` };
+        }
+    }
+    const lower = token.toLowerCase();
+    if (lower === 'true' || lower === 'false') {
+        return { value: lower === 'true' };
+    }
+    if (lower === 'null') {
+        return { value: null };
+    }
+    if (/^-?\d+(\.\d+)?$/.test(token)) {
+        return { value: Number(token) };
+    }
+    return { error: `Invalid value ${token}` };
+}
+
+// SQL condition for one comparison against a column
+function comparison(column, op, value) {
+    switch (op) {
+        case 'eq':
+            return value === null ? { sql: `${column} IS NULL`, params: [] } : { sql: `${column} = ?`, params: [value] };
+        case 'ne':
+            return value === null ? { sql: `${column} IS NOT NULL`, params: [] } : { sql: `${column} <> ?`, params: [value] };
+        case 'co':
+            return { sql: `${column} LIKE ?`, params: [`%${escapeLike(String(value))}%`] };
+        case 'sw':
+            return { sql: `${column} LIKE ?`, params: [`${escapeLike(String(value))}%`] };
+        case 'ew':
+            return { sql: `${column} LIKE ?`, params: [`%${escapeLike(String(value))}`] };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Translate a SCIM filter into a SQL condition. Supports comparisons
+ * (eq, ne, co, sw, ew, pr) joined with 'and'; attribute names are
+ * case-insensitive.
+ *
+ * `attributes` maps lower-cased attribute paths to a column, or to a
+ * function (op, value) => { sql, params } for attributes that are not a
+ * plain column.
+ *
+ * @param {string} filter - e.g. 'userName eq "ann@example.com"'
+ * @param {Object} attributes
+ * @returns {{sql: string, params: Array}|{error: string}}
+ */
+function parseFilter(filter, attributes) {
+    const tokens = [...String(filter).matchAll(TOKEN_PATTERN)].map(match => match[1]);
+    const conditions = [];
+    const params = [];
+
+    let i = 0;
+    while (i < tokens.length) {
+        const path = tokens[i++];
+        const op = (tokens[i++] || '').toLowerCase();
+        const attribute = attributes[path.toLowerCase()];
+
+        if (path === '(' || path === ')') {
+            return { error: 'Grouping is not supported' };
+        }
+        if (!attribute) {
+            return { error: `Filtering on ${path} is not supported` };
+        }
+
+        let condition;
+        if (op === 'pr') {
+            condition = typeof attribute === 'function'
+                ? attribute('pr', null)
+                : { sql: `${attribute} IS NOT NULL AND ${attribute} <> ''`, params: [] };
+        } else {
+            const { value, error } = parseFilterValue(tokens[i++]);
+            if (error) {
+                return { error };
+            }
+            condition = typeof attribute === 'function'
+                ? attribute(op, value)
+                : comparison(attribute, op, value);
+        }
+
+        if (!condition) {
+            return { error: `Operator ${op || '(none)'} is not supported for ${path}` };
+        }
+        conditions.push(condition.sql);
+        params.push(...condition.params);
+
+        if (i < tokens.length) {
+            const joiner = tokens[i++].toLowerCase();
+            if (joiner !== 'and') {
+                return { error: `Only 'and' is supported between conditions, got '${joiner}'` };
+            }
+            if (i >= tokens.length) {
+                return { error: 'Filter ends with and' };
+            }
+        }
+    }
+
+    if (conditions.length === 0) {
+        return { error: 'Empty filter' };
+    }
+
+    return { sql: conditions.map(sql => `(${sql})`).join(' AND '), params };
+}
+
+// SCIM booleans sometimes arrive as strings ("True" from some providers)
+const toBoolean = (value) => (typeof value === 'string' ? value.toLowerCase() === 'true' : Boolean(value));
+
+const firstValue = (list) => {
+    if (!Array.isArray(list) || list.length === 0) {
+        return undefined;
+    }
+    const primary = list.find(item => item && item.primary) || list[0];
+    return primary && typeof primary === 'object' ? primary.value : primary;
+};
+
+// Attribute paths we store, lower-cased, for PATCH
+const USER_PATHS = {
+    username: 'userName',
+    'name.givenname': 'givenName',
+    'name.familyname': 'familyName',
+    active: 'active',
+    externalid: 'externalId',
+    phonenumbers: 'phone',
+    'phonenumbers[type eq "work"].value': 'phone',
+    'phonenumbers.value': 'phone'
+};
+
+/**
+ * Fields of a full User resource (POST or PUT body). Attributes we do not
+ * store (title, department, ...) are ignored.
+ * @param {Object} resource
+ * @returns {Object} { userName, givenName, familyName, active, externalId, phone }
+ */
+function readUserResource(resource) {
+    const name = resource.name || {};
+    return {
+        userName: resource.userName || firstValue(resource.emails),
+        givenName: name.givenName,
+        familyName: name.familyName,
+        active: resource.active === undefined ? true : toBoolean(resource.active),
+        externalId: resource.externalId ?? null,
+        phone: firstValue(resource.phoneNumbers) ?? null
+    };
+}
+
+/**
+ * Apply PatchOp operations to a user's fields
+ * @param {Object} current - Fields as returned by readUserResource
+ * @param {Object[]} operations - Operations from the PatchOp body
+ * @returns {{fields: Object}|{error: string, scimType: string}}
+ */
+function patchUser(current, operations) {
+    const fields = { ...current };
+
+    const set = (path, value, op) => {
+        const key = USER_PATHS[path.toLowerCase()];
+        if (!key) {
+            // Unstored attributes are accepted and ignored, as for PUT
+            return null;
+        }
+        if (op === 'remove') {
+            if (key !== 'externalId' && key !== 'phone') {
+                return `${path} cannot be removed`;
+            }
+            fields[key] = null;
+            return null;
+        }
+        if (key === 'phone') {
+            fields.phone = Array.isArray(value) ? firstValue(value) ?? null : value;
+        } else if (key === 'active') {
+            fields.active = toBoolean(value);
+        } else {
+            fields[key] = value;
+        }
+        return null;
+    };
+
+    for (const operation of operations) {
+        const op = String(operation.op || '').toLowerCase();
+        if (!['add', 'replace', 'remove'].includes(op)) {
+            return { error: `Unsupported operation ${operation.op}`, scimType: 'invalidSyntax' };
+        }
+
+        let error = null;
+        if (operation.path) {
+            error = set(operation.path, operation.value, op);
+        } else if (op !== 'remove' && operation.value && typeof operation.value === 'object') {
+            // No path: the value holds attributes, possibly nested ({ name: { givenName } })
+            for (const [attribute, value] of Object.entries(operation.value)) {
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    for (const [child, childValue] of Object.entries(value)) {
+                        error = error || set(`${attribute}.${child}`, childValue, op);
+                    }
+                } else {
+                    error = error || set(attribute, value, op);
+                }
+            }
+        } else {
+            error = 'Operation needs a path or a value';
+        }
+
+        if (error) {
+            return { error, scimType: 'invalidValue' };
+        }
+    }
+
+    return { fields };
+}
+
+// members[value eq "12"]
+const MEMBER_FILTER = /^members\[\s*value\s+eq\s+"?([^"\]]+)"?\s*\]$/i;
+
+/**
+ * User ids from a members value ([{ value: '12' }, ...])
+ * @param {Object[]|Object} value
+ * @returns {number[]}
+ */
+const readMemberIds = (value) => (Array.isArray(value) ? value : [value])
+    .filter(Boolean)
+    .map(member => parseInt(typeof member === 'object' ? member.value : member))
+    .filter(Number.isInteger);
+
+/**
+ * Turn PatchOp operations on a group into name and membership changes
+ * @param {Object[]} operations
+ * @returns {{changes: Object}|{error: string, scimType: string}}
+ *   changes: { displayName, externalId, replaceMembers, addMembers, removeMembers, removeAllMembers }
+ */
+function patchGroup(operations) {
+    const changes = { addMembers: [], removeMembers: [], replaceMembers: null, removeAllMembers: false };
+
+    for (const operation of operations) {
+        const op = String(operation.op || '').toLowerCase();
+        const path = operation.path ? String(operation.path) : null;
+        const lowerPath = path ? path.toLowerCase() : null;
+
+        if (!['add', 'replace', 'remove'].includes(op)) {
+            return { error: `Unsupported operation ${operation.op}`, scimType: 'invalidSyntax' };
+        }
+
+        const filtered = path ? path.match(MEMBER_FILTER) : null;
+
+        if (filtered && op === 'remove') {
+            changes.removeMembers.push(parseInt(filtered[1]));
+        } else if (lowerPath === 'members') {
+            if (op === 'add') {
+                changes.addMembers.push(...readMemberIds(operation.value));
+            } else if (op === 'replace') {
+                changes.replaceMembers = readMemberIds(operation.value);
+                changes.addMembers = [];
+                changes.removeMembers = [];
+            } else if (operation.value) {
+                changes.removeMembers.push(...readMemberIds(operation.value));
+            } else {
+                changes.removeAllMembers = true;
+            }
+        } else if (lowerPath === 'displayname' && op !== 'remove') {
+            changes.displayName = operation.value;
+        } else if (lowerPath === 'externalid') {
+            changes.externalId = op === 'remove' ? null : operation.value;
+        } else if (!path && op !== 'remove' && operation.value && typeof operation.value === 'object') {
+            if (operation.value.displayName !== undefined) {
+                changes.displayName = operation.value.displayName;
+            }
+            if (operation.value.externalId !== undefined) {
+                changes.externalId = operation.value.externalId;
+            }
+            if (operation.value.members !== undefined) {
+                if (op === 'replace') {
+                    changes.replaceMembers = readMemberIds(operation.value.members);
+                } else {
+                    changes.addMembers.push(...readMemberIds(operation.value.members));
+                }
+            }
+        } else {
+            return { error: `Unsupported path ${path || '(none)'} for ${op}`, scimType: 'invalidPath' };
+        }
+    }
+
+    return { changes };
+}
+
+module.exports = {
+    SCHEMAS,
+    scimError,
+    getPaging,
+    listResponse,
+    formatUser,
+    formatGroup,
+    parseFilter,
+    readUserResource,
+    readMemberIds,
+    patchUser,
+    patchGroup
+};
@@ -0,0 +1,58 @@
+// utils/sessionCache.js - Cached lookups of user_sessions state for access tokens
+const db = require('../config/database');
+const { createTtlCache } = require('./cache');
+
+// Revocations in this process take effect immediately (entries are
+// invalidated); other processes see them within the TTL
+const cache = createTtlCache({
+    ttlMs: (parseInt(process.env.SESSION_CACHE_TTL_SECONDS) || 30) * 1000
+});
+
+/**
+ * Check that the session an access token belongs to is still active
+ * @param {number} sessionId - user_sessions.id (the token's sid claim)
+ * @param {number} userId - User the token was issued to
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId, userId) {
+    let session = cache.get(sessionId);
+
+    if (session === undefined) {
+        const [sessions] = await db.query(
+            `SELECT user_id, is_active, expires_at FROM user_sessions WHERE id = ?`,
+            [sessionId]
+        );
+        session = sessions.length > 0
+            ? {
+                userId: sessions[0].user_id,
+                active: !!sessions[0].is_active,
+                expiresAt: new Date(sessions[0].expires_at).getTime()
+            }
+            : null;
+        cache.set(sessionId, session);
+    }
+
+    return !!session && session.userId === userId && session.active && session.expiresAt > Date.now();
+}
+
+/**
+ * Forget cached state for one session (call after deactivating it)
+ * @param {number} sessionId - user_sessions.id
+ */
+function invalidateSession(sessionId) {
+    cache.delete(Number(sessionId));
+}
+
+/**
+ * Forget cached state for all of a user's sessions
+ * @param {number} userId - User ID
+ */
+function invalidateUserSessions(userId) {
+    cache.deleteWhere(session => session && session.userId === Number(userId));
+}
+
+module.exports = {
+    isSessionActive,
+    invalidateSession,
+    invalidateUserSessions
+};
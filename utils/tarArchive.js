@@ -0,0 +1,100 @@
+// utils/tarArchive.js - Minimal streaming .tar.gz writer (ustar, regular files only)
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+const BLOCK_SIZE = 512;
+
+// Write an octal number into a fixed-width, NUL-terminated header field
+function writeOctal(header, value, offset, length) {
+    header.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii');
+}
+
+function buildHeader(name, size, mtime) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+
+    // Names over 100 bytes go into the ustar prefix field, split at a slash
+    let prefix = '';
+    let baseName = name;
+    if (Buffer.byteLength(name) > 100) {
+        const split = name.lastIndexOf('/', 155);
+        prefix = name.slice(0, split);
+        baseName = name.slice(split + 1);
+        if (split <= 0 || Buffer.byteLength(baseName) > 100 || Buffer.byteLength(prefix) > 155) {
+            throw new Error(`Archive entry name too long: ${name}`);
+        }
+    }
+
+    header.write(baseName, 0, 100, 'utf8');
+    writeOctal(header, 0o644, 100, 8);                                // mode
+    writeOctal(header, 0, 108, 8);                                    // uid
+    writeOctal(header, 0, 116, 8);                                    // gid
+    writeOctal(header, size, 124, 12);                                // size
+    writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12); // mtime
+    header.fill(' ', 148, 156);                                       // checksum placeholder
+    header.write('0', 156, 1, 'ascii');                               // regular file
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+
+    let checksum = 0;
+    for (const byte of header) {
+        checksum += byte;
+    }
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+    return header;
+}
+
+const padding = (size) => Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+
+/**
+ * Create a gzipped tar archive at outputPath. Entries are written in order;
+ * call finalize() once all entries are added, or abort() if writing fails.
+ * @param {string} outputPath - Destination file
+ * @returns {{addBuffer: Function, addFile: Function, finalize: Function, abort: Function}}
+ */
+function createTarGz(outputPath) {
+    const gzip = zlib.createGzip();
+    const done = pipeline(gzip, fs.createWriteStream(outputPath));
+    // Awaited by finalize() or abort(); an early stream error must not go unhandled
+    done.catch(() => {});
+
+    // Respect backpressure so large exports do not buffer in memory
+    const write = (chunk) => new Promise((resolve, reject) => {
+        gzip.write(chunk, (error) => (error ? reject(error) : resolve()));
+    });
+
+    return {
+        async addBuffer(name, data, mtime = new Date()) {
+            const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+            await write(buildHeader(name, buffer.length, mtime));
+            await write(buffer);
+            await write(padding(buffer.length));
+        },
+
+        async addFile(name, filePath) {
+            const stat = await fs.promises.stat(filePath);
+            await write(buildHeader(name, stat.size, stat.mtime));
+            for await (const chunk of fs.createReadStream(filePath)) {
+                await write(chunk);
+            }
+            await write(padding(stat.size));
+        },
+
+        async finalize() {
+            // Two empty blocks mark the end of the archive
+            gzip.end(Buffer.alloc(BLOCK_SIZE * 2));
+            await done;
+        },
+
+        // Stop writing and delete the partial archive
+        async abort() {
+            gzip.destroy();
+            await done.catch(() => {});
+            await fs.promises.rm(outputPath, { force: true });
+        }
+    };
+}
+
+module.exports = { createTarGz };
@@ -0,0 +1,284 @@
+// utils/tenantExport.js - Background job that packs all of a tenant's data into a .tar.gz
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../config/database');
+const { toCsv } = require('./csv');
+const { createTarGz } = require('./tarArchive');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || 'exports';
+const DOWNLOAD_TTL_HOURS = parseInt(process.env.EXPORT_DOWNLOAD_TTL_HOURS) || 24;
+
+// Each dataset is written as data/<name>.json and data/<name>.csv.
+// Columns are listed explicitly so secrets (password hashes, MFA secrets) never leave.
+const DATASETS = [
+    {
+        name: 'users',
+        sql: `SELECT id, email, first_name, last_name, phone, avatar_url, status, email_verified,
+                     is_service_account, last_login, preferences, created_at, updated_at
+              FROM users WHERE tenant_id = ?`
+    },
+    {
+        name: 'roles',
+        sql: `SELECT id, name, description, is_system_role, created_at
+              FROM roles WHERE tenant_id = ?`
+    },
+    {
+        name: 'role_permissions',
+        sql: `SELECT rp.role_id, p.name as permission
+              FROM role_permissions rp
+              JOIN roles r ON rp.role_id = r.id
+              JOIN permissions p ON rp.permission_id = p.id
+              WHERE r.tenant_id = ?`
+    },
+    {
+        name: 'user_roles',
+        sql: `SELECT ur.user_id, ur.role_id
+              FROM user_roles ur
+              JOIN users u ON ur.user_id = u.id
+              WHERE u.tenant_id = ?`
+    },
+    {
+        name: 'projects',
+        sql: 'SELECT * FROM projects WHERE tenant_id = ?'
+    },
+    {
+        name: 'project_members',
+        sql: `SELECT pm.*
+              FROM project_members pm
+              JOIN projects p ON pm.project_id = p.id
+              WHERE p.tenant_id = ?`
+    },
+    {
+        name: 'tasks',
+        sql: 'SELECT * FROM tasks WHERE tenant_id = ?'
+    },
+    {
+        name: 'task_assignments',
+        sql: `SELECT ta.*
+              FROM task_assignments ta
+              JOIN tasks t ON ta.task_id = t.id
+              WHERE t.tenant_id = ?`
+    },
+    {
+        name: 'task_dependencies',
+        sql: `SELECT td.*
+              FROM task_dependencies td
+              JOIN tasks t ON td.task_id = t.id
+              WHERE t.tenant_id = ?`
+    },
+    {
+        name: 'task_comments',
+        sql: `SELECT tc.*
+              FROM task_comments tc
+              JOIN tasks t ON tc.task_id = t.id
+              WHERE t.tenant_id = ?`
+    },
+    {
+        name: 'task_attachments',
+        sql: `SELECT ta.id, ta.task_id, ta.user_id, ta.filename, ta.original_name,
+                     ta.file_path, ta.file_size, ta.mime_type, ta.created_at
+              FROM task_attachments ta
+              JOIN tasks t ON ta.task_id = t.id
+              WHERE t.tenant_id = ?`
+    },
+    {
+        name: 'time_entries',
+        sql: 'SELECT * FROM time_entries WHERE tenant_id = ?'
+    },
+    {
+        name: 'invoices',
+        sql: 'SELECT * FROM invoices WHERE tenant_id = ?'
+    },
+    {
+        name: 'audit_logs',
+        sql: 'SELECT * FROM audit_logs WHERE tenant_id = ? ORDER BY id'
+    }
+];
+
+// Datasets, then tenant.json, attachments and the manifest
+const TOTAL_STEPS = DATASETS.length + 3;
+
+// Download links are signed with the export id and expiry, so the status
+// endpoint can hand the link out again without storing it
+const signDownload = (exportId, expiresAt) => crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`tenant-export:${exportId}:${new Date(expiresAt).getTime()}`)
+    .digest('hex');
+
+async function setProgress(exportId, step, currentStep) {
+    await db.query(
+        'UPDATE tenant_exports SET progress = ?, current_step = ? WHERE id = ?',
+        [Math.round((step / TOTAL_STEPS) * 100), currentStep, exportId]
+    );
+}
+
+// tenant.json, without the SSO client secret
+async function loadTenant(tenantId) {
+    const [tenants] = await db.query(
+        `SELECT id, name, slug, logo_url, timezone, plan, plan_limits, settings, status, created_at
+         FROM tenants WHERE id = ?`,
+        [tenantId]
+    );
+    const tenant = tenants[0];
+    const settings = typeof tenant.settings === 'string' ? JSON.parse(tenant.settings) : (tenant.settings || {});
+    if (settings.sso) {
+        delete settings.sso.clientSecret;
+    }
+    return { ...tenant, settings };
+}
+
+async function runExport(exportId, tenantId) {
+    await db.query(
+        `UPDATE tenant_exports SET status = 'running', started_at = NOW() WHERE id = ?`,
+        [exportId]
+    );
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const filePath = path.join(EXPORT_DIR, `tenant-${tenantId}-export-${exportId}.tar.gz`);
+    const archive = createTarGz(filePath);
+    const manifest = { tenantId, exportId, createdAt: new Date(), datasets: {}, attachments: { files: 0, missing: [] } };
+
+    try {
+        let step = 0;
+        let attachments = [];
+
+        for (const dataset of DATASETS) {
+            await setProgress(exportId, step++, dataset.name);
+
+            const [rows] = await db.query(dataset.sql, [tenantId]);
+            await archive.addBuffer(`data/${dataset.name}.json`, JSON.stringify(rows, null, 2));
+            await archive.addBuffer(`data/${dataset.name}.csv`, toCsv(rows));
+            manifest.datasets[dataset.name] = rows.length;
+
+            if (dataset.name === 'task_attachments') {
+                attachments = rows;
+            }
+        }
+
+        await setProgress(exportId, step++, 'tenant');
+        await archive.addBuffer('tenant.json', JSON.stringify(await loadTenant(tenantId), null, 2));
+
+        await setProgress(exportId, step++, 'attachments');
+        for (const attachment of attachments) {
+            const source = path.resolve(attachment.file_path);
+            if (!fs.existsSync(source)) {
+                manifest.attachments.missing.push(attachment.id);
+                continue;
+            }
+            await archive.addFile(`attachments/${attachment.id}-${attachment.filename}`, source);
+            manifest.attachments.files++;
+        }
+
+        await setProgress(exportId, step++, 'manifest');
+        await archive.addBuffer('manifest.json', JSON.stringify(manifest, null, 2));
+        await archive.finalize();
+    } catch (error) {
+        await archive.abort();
+        throw error;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    // Whole seconds, so the signature survives the TIMESTAMP round trip
+    const expiresAt = new Date(Math.floor(Date.now() / 1000) * 1000 + DOWNLOAD_TTL_HOURS * 60 * 60 * 1000);
+
+    await db.query(
+        `UPDATE tenant_exports
+         SET status = 'completed', progress = 100, current_step = NULL, file_path = ?, file_size = ?,
+             expires_at = ?, completed_at = NOW()
+         WHERE id = ?`,
+        [filePath, size, expiresAt, exportId]
+    );
+
+    return { expiresAt };
+}
+
+/**
+ * Run an export job in the background. The requester is notified with the
+ * download link when it finishes.
+ * @param {Object} job - { id, tenantId, requestedBy }
+ */
+function startExport(job) {
+    setImmediate(async () => {
+        try {
+            const { expiresAt } = await runExport(job.id, job.tenantId);
+
+            await db.query(
+                `INSERT INTO notifications (tenant_id, user_id, type, title, message, data)
+                 VALUES (?, ?, 'export_ready', 'Data Export Ready', ?, ?)`,
+                [
+                    job.tenantId,
+                    job.requestedBy,
+                    'Your organization data export is ready to download',
+                    JSON.stringify({ exportId: job.id, downloadUrl: downloadPath(job.id, expiresAt), expiresAt })
+                ]
+            );
+        } catch (error) {
+            console.error('Tenant export error:', error);
+            await db.query(
+                `UPDATE tenant_exports SET status = 'failed', error = ?, completed_at = NOW() WHERE id = ?`,
+                [error.message, job.id]
+            ).catch(() => {});
+        }
+    });
+}
+
+/**
+ * Relative, signed download URL for a completed export
+ * @param {number} exportId
+ * @param {Date} expiresAt - tenant_exports.expires_at
+ * @returns {string}
+ */
+function downloadPath(exportId, expiresAt) {
+    return `/api/tenants/export/${exportId}/download?token=${signDownload(exportId, expiresAt)}`;
+}
+
+/**
+ * Find a completed, unexpired export by id and signed download token
+ * @param {number} exportId
+ * @param {string} token - Token from the download URL
+ * @returns {Promise<Object|null>} tenant_exports row
+ */
+async function findDownload(exportId, token) {
+    const [exports] = await db.query(
+        `SELECT id, tenant_id, file_path, file_size, expires_at FROM tenant_exports
+         WHERE id = ? AND status = 'completed' AND expires_at > NOW()`,
+        [exportId]
+    );
+
+    if (exports.length === 0 || typeof token !== 'string') {
+        return null;
+    }
+
+    const expected = Buffer.from(signDownload(exports[0].id, exports[0].expires_at));
+    const given = Buffer.from(token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return null;
+    }
+
+    return exports[0];
+}
+
+/**
+ * Delete archives whose download link has expired
+ */
+async function purgeExpiredExports() {
+    const [expired] = await db.query(
+        `SELECT id, file_path FROM tenant_exports WHERE status = 'completed' AND expires_at <= NOW()`
+    );
+
+    for (const row of expired) {
+        await fs.promises.rm(row.file_path, { force: true });
+        await db.query(
+            `UPDATE tenant_exports SET status = 'expired', file_path = NULL WHERE id = ?`,
+            [row.id]
+        );
+    }
+}
+
+module.exports = {
+    startExport,
+    downloadPath,
+    findDownload,
+    purgeExpiredExports
+};
@@ -0,0 +1,311 @@
+// utils/tenantLifecycle.js - Tenant closure, reactivation window and hard purge
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const { sendEmail } = require('./emailService');
+const { logPlatformEvent } = require('./platformLog');
+const { avatarFiles } = require('./avatars');
+
+const GRACE_DAYS = parseInt(process.env.TENANT_CLOSURE_GRACE_DAYS) || 30;
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.TENANT_PURGE_INTERVAL_MINUTES) || 60;
+
+/**
+ * Error response for a tenant that is not active (status 'deleted' means
+ * closed and waiting to be purged)
+ * @param {string} status - tenants.status
+ * @returns {string}
+ */
+function tenantStatusError(status) {
+    return status === 'deleted'
+        ? 'This organization has been closed'
+        : 'Organization is suspended';
+}
+
+/**
+ * Whether a user holds the tenant's system Admin role
+ * @param {number} userId
+ * @returns {Promise<boolean>}
+ */
+async function isTenantAdmin(userId) {
+    const [roles] = await db.query(
+        `SELECT r.id FROM roles r
+         JOIN user_roles ur ON r.id = ur.role_id
+         WHERE ur.user_id = ? AND r.name = 'Admin' AND r.is_system_role = TRUE`,
+        [userId]
+    );
+    return roles.length > 0;
+}
+
+/**
+ * Whether a user signing in to a closed organization may reactivate it:
+ * only an admin, and only during the grace period
+ * @param {Object} user - users row joined with tenant_status and tenant_purge_after
+ * @returns {Promise<boolean>}
+ */
+async function canReopenTenant(user) {
+    return user.tenant_status === 'deleted'
+        && new Date(user.tenant_purge_after) > new Date()
+        && isTenantAdmin(user.id);
+}
+
+// Active, human admins of a tenant
+async function getTenantAdmins(tenantId) {
+    const [admins] = await db.query(
+        `SELECT DISTINCT u.id, u.email, u.first_name
+         FROM users u
+         JOIN user_roles ur ON u.id = ur.user_id
+         JOIN roles r ON ur.role_id = r.id
+         WHERE u.tenant_id = ? AND u.status = 'active' AND u.is_service_account = FALSE
+           AND r.name = 'Admin' AND r.is_system_role = TRUE`,
+        [tenantId]
+    );
+    return admins;
+}
+
+async function emailAdmins(tenantId, subject, html) {
+    for (const admin of await getTenantAdmins(tenantId)) {
+        await sendEmail({ to: admin.email, subject, html: html(admin) });
+    }
+}
+
+/**
+ * Mark a tenant as closed. Logins stop immediately; data is kept until
+ * purge_after so the tenant can be reactivated.
+ * @param {Object} tenant - { id, name, slug }
+ * @param {Object} actor - req.user of the closing admin
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {string} [options.ip]
+ * @returns {Promise<Date>} When the data will be purged
+ */
+async function closeTenant(tenant, actor, { reason = null, ip = null } = {}) {
+    const purgeAfter = new Date(Date.now() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        await connection.query(
+            `UPDATE tenants SET status = 'deleted', closed_at = NOW(), closed_by = ?, purge_after = ?
+             WHERE id = ?`,
+            [actor.id, purgeAfter, tenant.id]
+        );
+
+        // Sign everyone out
+        await connection.query(
+            `UPDATE user_sessions us
+             JOIN users u ON us.user_id = u.id
+             SET us.is_active = FALSE
+             WHERE u.tenant_id = ? AND us.is_active = TRUE`,
+            [tenant.id]
+        );
+
+        await connection.query(
+            'UPDATE api_tokens SET revoked_at = NOW() WHERE tenant_id = ? AND revoked_at IS NULL',
+            [tenant.id]
+        );
+
+        await logPlatformEvent({
+            action: 'tenant_closed',
+            tenant,
+            actorType: 'user',
+            actorId: actor.id,
+            actorEmail: actor.email,
+            details: { reason, purgeAfter },
+            ip
+        }, connection);
+
+        await connection.commit();
+        connection.release();
+    } catch (error) {
+        await connection.rollback();
+        connection.release();
+        throw error;
+    }
+
+    await emailAdmins(tenant.id, `${tenant.name} has been closed`, (admin) => `
+        <h2>Hello ${admin.first_name},</h2>
+        <p>${actor.firstName} ${actor.lastName} closed the organization <strong>${tenant.name}</strong>.
+           Nobody can sign in to it anymore.</p>
+        <p>All of its data will be permanently deleted on ${purgeAfter.toUTCString()}.
+           Until then, any admin can reactivate it by signing in.</p>
+    `);
+
+    return purgeAfter;
+}
+
+/**
+ * Reactivate a closed tenant that is still within its grace period
+ * @param {Object} tenant - { id, name, slug }
+ * @param {Object} actor - { id, email, first_name, last_name } of the admin
+ * @param {string} [ip]
+ * @returns {Promise<boolean>} False if the tenant is not closed or past its grace period
+ */
+async function reopenTenant(tenant, actor, ip = null) {
+    const [result] = await db.query(
+        `UPDATE tenants SET status = 'active', closed_at = NULL, closed_by = NULL, purge_after = NULL
+         WHERE id = ? AND status = 'deleted' AND purge_after > NOW()`,
+        [tenant.id]
+    );
+
+    if (result.affectedRows === 0) {
+        return false;
+    }
+
+    await logPlatformEvent({
+        action: 'tenant_reopened',
+        tenant,
+        actorType: 'user',
+        actorId: actor.id,
+        actorEmail: actor.email,
+        ip
+    });
+
+    await emailAdmins(tenant.id, `${tenant.name} has been reactivated`, (admin) => `
+        <h2>Hello ${admin.first_name},</h2>
+        <p>${actor.first_name} ${actor.last_name} reactivated the organization <strong>${tenant.name}</strong>.
+           It will no longer be deleted.</p>
+    `);
+
+    return true;
+}
+
+// Stored paths are either relative ('uploads/x') or URLs ('/uploads/x').
+// Only files inside the working directory are ever removed.
+async function removeStoredFile(storedPath) {
+    if (!storedPath) {
+        return;
+    }
+    const filePath = path.resolve(storedPath.replace(/^\//, ''));
+    if (!filePath.startsWith(process.cwd() + path.sep)) {
+        return;
+    }
+    await fs.promises.rm(filePath, { force: true });
+}
+
+async function purgeTenant(tenant) {
+    // Collect files first; their rows are about to disappear
+    const [attachments] = await db.query(
+        `SELECT ta.file_path FROM task_attachments ta
+         JOIN tasks t ON ta.task_id = t.id
+         WHERE t.tenant_id = ?`,
+        [tenant.id]
+    );
+    const [avatars] = await db.query(
+        'SELECT avatar_url FROM users WHERE tenant_id = ? AND avatar_url IS NOT NULL',
+        [tenant.id]
+    );
+    const [exports] = await db.query(
+        'SELECT file_path FROM tenant_exports WHERE tenant_id = ? AND file_path IS NOT NULL',
+        [tenant.id]
+    );
+    const [auditArchives] = await db.query(
+        'SELECT file_path FROM audit_log_archives WHERE tenant_id = ?',
+        [tenant.id]
+    );
+    const files = [
+        ...[...attachments, ...exports, ...auditArchives].map(row => row.file_path),
+        ...avatars.flatMap(row => avatarFiles(row.avatar_url))
+    ];
+    if (tenant.logo_url) {
+        files.push(tenant.logo_url);
+    }
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        // Children whose foreign keys to users do not cascade go first
+        await connection.query('DELETE FROM time_entries WHERE tenant_id = ?', [tenant.id]);
+        await connection.query('DELETE FROM tasks WHERE tenant_id = ?', [tenant.id]);
+        await connection.query('DELETE FROM projects WHERE tenant_id = ?', [tenant.id]);
+        await connection.query('DELETE FROM invoices WHERE tenant_id = ?', [tenant.id]);
+        await connection.query('DELETE FROM subscriptions WHERE tenant_id = ?', [tenant.id]);
+        await connection.query('DELETE FROM audit_logs WHERE tenant_id = ?', [tenant.id]);
+        // Everything else cascades from the tenant row
+        await connection.query('DELETE FROM tenants WHERE id = ?', [tenant.id]);
+
+        await logPlatformEvent({
+            action: 'tenant_purged',
+            tenant,
+            details: { closedAt: tenant.closed_at, files: files.length }
+        }, connection);
+
+        await connection.commit();
+        connection.release();
+    } catch (error) {
+        await connection.rollback();
+        connection.release();
+        throw error;
+    }
+
+    for (const file of files) {
+        await removeStoredFile(file).catch(error => console.error('Purge file error:', error.message));
+    }
+}
+
+/**
+ * Permanently delete every closed tenant whose grace period has ended.
+ * A MySQL named lock keeps several server processes from purging at once.
+ * @returns {Promise<number>} Tenants purged
+ */
+async function purgeClosedTenants() {
+    const lock = await db.getConnection();
+    let purged = 0;
+
+    try {
+        const [[{ acquired }]] = await lock.query("SELECT GET_LOCK('tenant_purge', 0) as acquired");
+        if (!acquired) {
+            return 0;
+        }
+
+        try {
+            const [tenants] = await db.query(
+                `SELECT id, name, slug, logo_url, closed_at FROM tenants
+                 WHERE status = 'deleted' AND purge_after <= NOW()`
+            );
+
+            for (const tenant of tenants) {
+                try {
+                    await purgeTenant(tenant);
+                    purged++;
+                } catch (error) {
+                    console.error(`Purge tenant ${tenant.id} error:`, error);
+                    await logPlatformEvent({
+                        action: 'tenant_purge_failed',
+                        tenant,
+                        details: { error: error.message }
+                    }).catch(() => {});
+                }
+            }
+        } finally {
+            await lock.query("SELECT RELEASE_LOCK('tenant_purge')");
+        }
+    } finally {
+        lock.release();
+    }
+
+    return purged;
+}
+
+/**
+ * Run purgeClosedTenants on an interval (TENANT_PURGE_INTERVAL_MINUTES)
+ */
+function scheduleTenantPurge() {
+    const run = () => purgeClosedTenants()
+        .then(count => count > 0 && console.log(`🗑️  Purged ${count} closed organization(s)`))
+        .catch(error => console.error('Tenant purge job error:', error));
+
+    setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = {
+    GRACE_DAYS,
+    tenantStatusError,
+    isTenantAdmin,
+    canReopenTenant,
+    closeTenant,
+    reopenTenant,
+    purgeClosedTenants,
+    scheduleTenantPurge
+};
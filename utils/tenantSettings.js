@@ -0,0 +1,438 @@
+// utils/tenantSettings.js - Versioned schema, validation and defaults for tenants.settings
+const db = require('../config/database');
+
+// Bump when a stored shape changes, and teach migrateSettings to upgrade it
+const SETTINGS_VERSION = 1;
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const toggle = (label, defaultValue) => ({ type: 'boolean', label, default: defaultValue });
+
+// Field types: boolean, integer (min, max), string (maxLength, pattern, format),
+// enum (values), time ('HH:MM'), array (items, minItems, maxItems, unique) and
+// object (fields). Served as-is by GET /tenants/settings/schema.
+const SETTINGS_SCHEMA = {
+    workWeek: {
+        type: 'object',
+        label: 'Working time',
+        fields: {
+            days: {
+                type: 'array',
+                label: 'Working days',
+                items: { type: 'enum', values: WEEKDAYS },
+                minItems: 1,
+                unique: true,
+                default: ['mon', 'tue', 'wed', 'thu', 'fri']
+            },
+            startTime: { type: 'time', label: 'Day starts at', default: '09:00' },
+            endTime: { type: 'time', label: 'Day ends at', default: '18:00' },
+            weekStart: { type: 'enum', label: 'Week starts on', values: WEEKDAYS, default: 'mon' }
+        }
+    },
+    locale: {
+        type: 'object',
+        label: 'Regional',
+        fields: {
+            currency: {
+                type: 'string',
+                label: 'Default currency (ISO 4217)',
+                pattern: '^[A-Z]{3}$',
+                default: 'USD'
+            },
+            dateFormat: {
+                type: 'enum',
+                label: 'Date format',
+                values: ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD MMM YYYY'],
+                default: 'YYYY-MM-DD'
+            }
+        }
+    },
+    tasks: {
+        type: 'object',
+        label: 'Tasks',
+        fields: {
+            defaultStatuses: {
+                type: 'array',
+                label: 'Task statuses (the first is used for new tasks)',
+                items: { type: 'string', pattern: '^[a-z0-9_]{1,50}$' },
+                minItems: 1,
+                maxItems: 20,
+                unique: true,
+                default: ['todo', 'in_progress', 'review', 'done']
+            }
+        }
+    },
+    projects: {
+        type: 'object',
+        label: 'Projects',
+        fields: {
+            defaultRole: {
+                type: 'enum',
+                label: 'Role for newly added project members',
+                values: ['manager', 'member', 'viewer'],
+                default: 'member'
+            }
+        }
+    },
+    notifications: {
+        type: 'object',
+        label: 'Notification defaults for new users',
+        fields: {
+            email: toggle('Email notifications', true),
+            inApp: toggle('In-app notifications', true),
+            taskAssigned: toggle('When a task is assigned to me', true),
+            taskCommented: toggle('When someone comments on my task', true),
+            dueDateReminderDays: {
+                type: 'integer',
+                label: 'Remind me this many days before a due date (0 = off)',
+                min: 0,
+                max: 30,
+                default: 1
+            },
+            weeklyDigest: toggle('Weekly summary email', false)
+        }
+    },
+    security: {
+        type: 'object',
+        label: 'Security',
+        fields: {
+            mfa: {
+                type: 'enum',
+                label: 'Require two-factor authentication for',
+                values: ['off', 'admins', 'all'],
+                default: 'off'
+            },
+            requireVerifiedEmail: toggle('Block sign-in until the email address is verified', false),
+            lockout: {
+                type: 'object',
+                label: 'Account lockout',
+                fields: {
+                    maxAttempts: { type: 'integer', label: 'Failed attempts before lockout', min: 1, max: 100, default: 5 },
+                    lockMinutes: { type: 'integer', label: 'Lockout duration (minutes)', min: 1, max: 1440, default: 15 },
+                    freeAttempts: { type: 'integer', label: 'Failed attempts before delays', min: 0, max: 20, default: 3 }
+                }
+            },
+            password: {
+                type: 'object',
+                label: 'Password policy',
+                fields: {
+                    minLength: { type: 'integer', label: 'Minimum length', min: 8, max: 128, default: 8 },
+                    requireUppercase: toggle('Require an uppercase letter', false),
+                    requireLowercase: toggle('Require a lowercase letter', false),
+                    requireNumber: toggle('Require a number', false),
+                    requireSymbol: toggle('Require a symbol', false),
+                    blockCommon: toggle('Reject common passwords', true),
+                    maxAgeDays: { type: 'integer', label: 'Expire after days (0 = never)', min: 0, max: 3650, default: 0 },
+                    historyCount: { type: 'integer', label: 'Previous passwords that cannot be reused', min: 0, max: 24, default: 0 }
+                }
+            }
+        }
+    },
+    audit: {
+        type: 'object',
+        label: 'Audit log',
+        fields: {
+            retentionDays: {
+                type: 'integer',
+                label: 'Archive and remove entries older than this many days (0 = keep forever)',
+                min: 0,
+                max: 3650,
+                default: 0
+            }
+        }
+    },
+    sso: {
+        type: 'object',
+        label: 'Single sign-on (OpenID Connect)',
+        fields: {
+            enabled: toggle('Enable single sign-on', false),
+            issuer: { type: 'string', label: 'Issuer URL', format: 'url', maxLength: 500 },
+            clientId: { type: 'string', label: 'Client ID', maxLength: 255 },
+            clientSecret: { type: 'string', label: 'Client secret', maxLength: 500, secret: true },
+            allowedDomains: {
+                type: 'array',
+                label: 'Allowed email domains',
+                items: { type: 'string', pattern: '^[a-z0-9.-]+\\.[a-z]{2,}$' },
+                maxItems: 50,
+                unique: true,
+                default: []
+            },
+            defaultRole: { type: 'string', label: 'Role for new SSO users', maxLength: 100, default: 'Member' }
+        }
+    }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : (value || {}));
+
+/**
+ * Whether a string is an IANA time zone name (e.g. 'Europe/Berlin', 'UTC')
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    // Intl also accepts raw offsets such as '+05:30'; only names are allowed here
+    if (typeof timezone !== 'string' || !/^[A-Za-z][A-Za-z0-9_+-]*(\/[A-Za-z0-9_+-]+)*$/.test(timezone)) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Returns the cleaned value, or undefined after pushing to errors
+function validateField(field, value, path, errors) {
+    const fail = (message) => {
+        errors.push({ path, message });
+        return undefined;
+    };
+
+    switch (field.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? value : fail('Must be true or false');
+
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return fail('Must be a whole number');
+            }
+            if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+                return fail(`Must be between ${field.min} and ${field.max}`);
+            }
+            return value;
+
+        case 'string': {
+            if (typeof value !== 'string') {
+                return fail('Must be a string');
+            }
+            const trimmed = value.trim();
+            if (field.maxLength && trimmed.length > field.maxLength) {
+                return fail(`Must be at most ${field.maxLength} characters`);
+            }
+            if (field.pattern && !new RegExp(field.pattern).test(trimmed)) {
+                return fail('Has an invalid format');
+            }
+            if (field.format === 'url' && trimmed) {
+                try {
+                    const url = new URL(trimmed);
+                    if (!['http:', 'https:'].includes(url.protocol)) {
+                        return fail('Must be an http(s) URL');
+                    }
+                } catch (error) {
+                    return fail('Must be a valid URL');
+                }
+            }
+            return trimmed;
+        }
+
+        case 'enum':
+            return field.values.includes(value) ? value : fail(`Must be one of: ${field.values.join(', ')}`);
+
+        case 'time':
+            return typeof value === 'string' && TIME_PATTERN.test(value) ? value : fail('Must be a time as HH:MM');
+
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return fail('Must be a list');
+            }
+            if (field.minItems && value.length < field.minItems) {
+                return fail(`Must have at least ${field.minItems} item(s)`);
+            }
+            if (field.maxItems && value.length > field.maxItems) {
+                return fail(`Must have at most ${field.maxItems} items`);
+            }
+            const before = errors.length;
+            const items = value.map((item, i) => validateField(field.items, item, `${path}[${i}]`, errors));
+            if (errors.length > before) {
+                return undefined;
+            }
+            if (field.unique && new Set(items).size !== items.length) {
+                return fail('Must not contain duplicates');
+            }
+            return items;
+        }
+
+        case 'object':
+            return validateObject(field.fields, value, path, errors);
+
+        default:
+            return fail('Unknown setting');
+    }
+}
+
+function validateObject(fields, value, path, errors, { partial = false } = {}) {
+    if (!isPlainObject(value)) {
+        errors.push({ path: path || 'settings', message: 'Must be an object' });
+        return undefined;
+    }
+
+    const result = {};
+
+    for (const [key, input] of Object.entries(value)) {
+        const fieldPath = path ? `${path}.${key}` : key;
+        const field = fields[key];
+
+        if (!field) {
+            errors.push({ path: fieldPath, message: 'Unknown setting' });
+            continue;
+        }
+
+        // In a patch, null resets the setting to its default
+        if (input === null && partial) {
+            result[key] = null;
+            continue;
+        }
+
+        const cleaned = field.type === 'object'
+            ? validateObject(field.fields, input, fieldPath, errors, { partial })
+            : validateField(field, input, fieldPath, errors);
+
+        if (cleaned !== undefined) {
+            result[key] = cleaned;
+        }
+    }
+
+    return result;
+}
+
+// Rules that involve more than one field; run on the complete settings
+function validateCombined(settings, errors) {
+    const workWeek = settings.workWeek || {};
+    const startTime = workWeek.startTime || SETTINGS_SCHEMA.workWeek.fields.startTime.default;
+    const endTime = workWeek.endTime || SETTINGS_SCHEMA.workWeek.fields.endTime.default;
+    if (startTime >= endTime) {
+        errors.push({ path: 'workWeek.endTime', message: 'Must be later than the start time' });
+    }
+
+    const sso = settings.sso || {};
+    if (sso.enabled) {
+        for (const key of ['issuer', 'clientId', 'clientSecret']) {
+            if (!sso[key]) {
+                errors.push({ path: `sso.${key}`, message: 'Required when single sign-on is enabled' });
+            }
+        }
+    }
+}
+
+/**
+ * Validate settings against the schema. Unknown keys and wrong types are
+ * errors; strings are trimmed.
+ * @param {Object} input - Settings from the request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Validate a PATCH: null means "reset to default"
+ *   and rules spanning several fields are skipped (check the merged result instead)
+ * @returns {{settings: Object, errors: Array<{path: string, message: string}>}}
+ */
+function validateSettings(input, { partial = false } = {}) {
+    const errors = [];
+    const { version, ...fields } = isPlainObject(input) ? input : {};
+
+    if (!isPlainObject(input)) {
+        errors.push({ path: 'settings', message: 'Must be an object' });
+    }
+
+    const settings = validateObject(SETTINGS_SCHEMA, fields, '', errors, { partial }) || {};
+
+    if (!partial && errors.length === 0) {
+        validateCombined(settings, errors);
+    }
+
+    return { settings, errors };
+}
+
+/**
+ * Deep-merge a validated patch into stored settings. Nested objects merge,
+ * arrays and scalars replace, and null removes the key (back to its default).
+ * @param {Object} current - Stored settings
+ * @param {Object} patch - Output of validateSettings(..., { partial: true })
+ * @returns {Object}
+ */
+function mergeSettings(current, patch) {
+    const result = { ...current };
+
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else if (isPlainObject(value) && isPlainObject(result[key])) {
+            result[key] = mergeSettings(result[key], value);
+        } else {
+            result[key] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Upgrade a stored tenants.settings value to the current version. Settings
+ * written before the schema existed keep every valid value; anything the
+ * schema rejects is dropped.
+ * @param {Object|string|null} stored - tenants.settings value
+ * @returns {Object} Settings with `version` set
+ */
+function migrateSettings(stored) {
+    const settings = parseJson(stored);
+
+    if (settings.version === SETTINGS_VERSION) {
+        return settings;
+    }
+
+    const { settings: valid } = validateSettings(settings);
+    return { ...valid, version: SETTINGS_VERSION };
+}
+
+function defaultsFor(fields) {
+    const defaults = {};
+    for (const [key, field] of Object.entries(fields)) {
+        if (field.type === 'object') {
+            defaults[key] = defaultsFor(field.fields);
+        } else if (field.default !== undefined) {
+            defaults[key] = field.default;
+        }
+    }
+    return defaults;
+}
+
+/**
+ * Default value of every setting that has one
+ * @returns {Object}
+ */
+function getDefaultSettings() {
+    return defaultsFor(SETTINGS_SCHEMA);
+}
+
+/**
+ * Stored settings with defaults filled in for anything not set
+ * @param {Object|string|null} stored - tenants.settings value
+ * @returns {Object}
+ */
+function resolveSettings(stored) {
+    return mergeSettings(getDefaultSettings(), migrateSettings(stored));
+}
+
+/**
+ * Load a tenant's settings with defaults applied
+ * @param {number} tenantId
+ * @returns {Promise<Object>}
+ */
+async function getTenantSettings(tenantId) {
+    const [tenants] = await db.query('SELECT settings FROM tenants WHERE id = ?', [tenantId]);
+    return resolveSettings(tenants[0]?.settings);
+}
+
+module.exports = {
+    SETTINGS_VERSION,
+    SETTINGS_SCHEMA,
+    isValidTimezone,
+    validateSettings,
+    mergeSettings,
+    migrateSettings,
+    getDefaultSettings,
+    resolveSettings,
+    getTenantSettings
+};
@@ -0,0 +1,58 @@
+// utils/tenantSlugs.js - Tenant slug validation and lookup (including retired slugs)
+const db = require('../config/database');
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,61}[a-z0-9])$/;
+
+// Slugs that would clash with frontend routes or look official
+const RESERVED_SLUGS = new Set([
+    'admin', 'api', 'app', 'auth', 'billing', 'dashboard', 'docs', 'help', 'login',
+    'logout', 'platform', 'public', 'register', 'reset-password', 'settings', 'signup',
+    'sso', 'static', 'status', 'support', 'uploads', 'verify-email', 'www'
+]);
+
+/**
+ * Check that a slug is well formed and not reserved
+ * @param {string} slug - Candidate slug
+ * @returns {string|null} Error message, or null if acceptable
+ */
+function checkSlugFormat(slug) {
+    if (!SLUG_PATTERN.test(slug)) {
+        return 'Slug must be 3-63 lowercase letters, numbers or hyphens, and cannot start or end with a hyphen';
+    }
+    if (RESERVED_SLUGS.has(slug)) {
+        return 'This slug is reserved';
+    }
+    return null;
+}
+
+/**
+ * Find a tenant by its current slug, or by a slug it used before
+ * @param {string} slug - Slug from the URL
+ * @param {string} [columns] - tenants columns to select
+ * @returns {Promise<{tenant: Object, redirected: boolean}|null>}
+ */
+async function findTenantBySlug(slug, columns = '*') {
+    const [tenants] = await db.query(
+        `SELECT ${columns} FROM tenants WHERE slug = ?`,
+        [slug]
+    );
+
+    if (tenants.length > 0) {
+        return { tenant: tenants[0], redirected: false };
+    }
+
+    const [redirects] = await db.query(
+        `SELECT ${columns.split(',').map(c => 't.' + c.trim()).join(', ')}
+         FROM tenant_slug_redirects tsr
+         JOIN tenants t ON tsr.tenant_id = t.id
+         WHERE tsr.slug = ?`,
+        [slug]
+    );
+
+    return redirects.length > 0 ? { tenant: redirects[0], redirected: true } : null;
+}
+
+module.exports = {
+    checkSlugFormat,
+    findTenantBySlug
+};
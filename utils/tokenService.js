@@ -0,0 +1,191 @@
+// utils/tokenService.js - JWT issuance and session storage
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const db = require('../config/database');
+const { getPasswordPolicy, isPasswordExpired } = require('./passwordPolicy');
+
+const IMPERSONATION_TTL_MINUTES = 15;
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - { id, tenantId }
+ * @param {number} sessionId - user_sessions.id, checked by verifyToken
+ * @param {string} [expiresIn] - Lifetime (defaults to JWT_EXPIRES_IN)
+ * @returns {string}
+ */
+function signAccessToken(user, sessionId, expiresIn = process.env.JWT_EXPIRES_IN || '1h') {
+    return jwt.sign(
+        { userId: user.id, tenantId: user.tenantId, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn }
+    );
+}
+
+/**
+ * Sign an access token that lets an admin act as another user. It rides on the
+ * admin's session (so it dies with it) and carries no refresh token.
+ * @param {Object} target - { id, tenantId } of the impersonated user
+ * @param {Object} impersonator - req.user of the admin
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function signImpersonationToken(target, impersonator) {
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+    const token = jwt.sign(
+        {
+            userId: target.id,
+            tenantId: target.tenantId,
+            sid: impersonator.sessionId,
+            impersonatorId: impersonator.id,
+            exp: Math.floor(expiresAt.getTime() / 1000)
+        },
+        process.env.JWT_SECRET
+    );
+    return { token, expiresAt };
+}
+
+/**
+ * Sign a refresh token belonging to a session family.
+ * Each call yields a distinct token, even for the same family and expiry.
+ * @param {Object} user - { id, tenantId }
+ * @param {string} familyId - user_sessions.family_id
+ * @param {Date} expiresAt - Absolute expiry of the session family
+ * @returns {string}
+ */
+function signRefreshToken(user, familyId, expiresAt) {
+    return jwt.sign(
+        {
+            userId: user.id,
+            tenantId: user.tenantId,
+            fid: familyId,
+            jti: crypto.randomBytes(16).toString('hex'),
+            exp: Math.floor(expiresAt.getTime() / 1000)
+        },
+        process.env.JWT_REFRESH_SECRET
+    );
+}
+
+/**
+ * Sign an access/refresh token pair and store the refresh token as a new session family
+ * @param {Object} user - User to issue tokens for
+ * @param {number} user.id - User ID
+ * @param {number} user.tenantId - Tenant ID
+ * @param {Object} req - Express request (used for device info and IP)
+ * @param {Object} [options]
+ * @param {boolean} [options.rememberMe] - Issue long-lived tokens
+ * @returns {Promise<{accessToken: string, refreshToken: string}>}
+ */
+async function issueTokens(user, req, { rememberMe = false } = {}) {
+    const days = rememberMe ? 90 : 7;
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    const familyId = crypto.randomUUID();
+
+    const refreshToken = signRefreshToken(user, familyId, expiresAt);
+
+    // Store refresh token
+    const [session] = await db.query(
+        `INSERT INTO user_sessions (user_id, family_id, refresh_token, device_info, ip_address, user_agent, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            user.id,
+            familyId,
+            refreshToken,
+            req.headers['user-agent'],
+            req.ip,
+            req.headers['user-agent'],
+            expiresAt
+        ]
+    );
+
+    const accessToken = signAccessToken(user, session.insertId, rememberMe ? '30d' : undefined);
+
+    return { accessToken, refreshToken };
+}
+
+/**
+ * Issue tokens for a completed sign-in and build the standard login payload.
+ * With enforcePasswordAge, a password older than the tenant allows yields a
+ * password_change token instead of a session.
+ * @param {Object} user - users row joined with tenant_name (and tenant_settings)
+ * @param {Object} req - Express request
+ * @param {Object} [options]
+ * @param {boolean} [options.rememberMe] - Issue long-lived tokens
+ * @param {boolean} [options.enforcePasswordAge] - Signed in with a password
+ * @returns {Promise<Object>} { user, accessToken, refreshToken } or { passwordChangeRequired, passwordToken }
+ */
+async function completeLogin(user, req, { rememberMe = false, enforcePasswordAge = false } = {}) {
+    if (enforcePasswordAge && isPasswordExpired(user, getPasswordPolicy(user.tenant_settings))) {
+        return {
+            message: 'Your password has expired and must be changed',
+            passwordChangeRequired: true,
+            passwordToken: signMfaToken({ id: user.id, tenantId: user.tenant_id }, 'password_change', rememberMe)
+        };
+    }
+
+    const { accessToken, refreshToken } = await issueTokens(
+        { id: user.id, tenantId: user.tenant_id },
+        req,
+        { rememberMe }
+    );
+
+    // Update last login
+    await db.query(
+        'UPDATE users SET last_login = NOW() WHERE id = ?',
+        [user.id]
+    );
+
+    return {
+        user: {
+            id: user.id,
+            email: user.email,
+            firstName: user.first_name,
+            lastName: user.last_name,
+            tenantId: user.tenant_id,
+            tenantName: user.tenant_name,
+            avatar: user.avatar_url
+        },
+        accessToken,
+        refreshToken
+    };
+}
+
+/**
+ * Sign a short-lived token for an unfinished login.
+ * purpose is 'mfa' (code required), 'mfa_setup' (enrollment required),
+ * 'password_change' (expired password) or 'tenant_reopen' (closed organization).
+ * @param {Object} user - { id, tenantId }
+ * @param {string} purpose - 'mfa', 'mfa_setup', 'password_change' or 'tenant_reopen'
+ * @param {boolean} rememberMe - Carried through to the final tokens
+ * @returns {string}
+ */
+function signMfaToken(user, purpose, rememberMe = false) {
+    return jwt.sign(
+        { userId: user.id, tenantId: user.tenantId, purpose, rememberMe: !!rememberMe },
+        process.env.JWT_SECRET,
+        { expiresIn: '10m' }
+    );
+}
+
+/**
+ * Verify an mfa pending token
+ * @param {string} token - Token from signMfaToken
+ * @param {string[]} purposes - Accepted purposes
+ * @returns {Object|null} Decoded payload, or null if invalid
+ */
+function verifyMfaToken(token, purposes) {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return purposes.includes(decoded.purpose) ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    signAccessToken,
+    signImpersonationToken,
+    signRefreshToken,
+    issueTokens,
+    completeLogin,
+    signMfaToken,
+    verifyMfaToken
+};
@@ -0,0 +1,312 @@
+// utils/userImport.js - Bulk invitations from a CSV upload: parsing, per-row
+// validation (all a dry run does), creating the invitations and emailing them
+// in the background
+const db = require('../config/database');
+const { parseCsv } = require('./csv');
+const { createInvitationToken, sendInvitationEmail } = require('./invitations');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Header names are matched case-insensitively, ignoring spaces, dashes and underscores
+const HEADER_ALIASES = {
+    email: 'email',
+    emailaddress: 'email',
+    firstname: 'firstName',
+    lastname: 'lastName',
+    role: 'role',
+    rolename: 'role',
+    projects: 'projects',
+    projectcodes: 'projects'
+};
+// Required columns and the header name used in error messages
+const REQUIRED_COLUMNS = { email: 'email', firstName: 'first_name', lastName: 'last_name', role: 'role' };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const REPORT_COLUMNS = ['row', 'email', 'firstName', 'lastName', 'role', 'projects', 'status', 'errors', 'invitationId'];
+
+/**
+ * Read an import file. The first line names the columns; several project
+ * codes in one cell are separated by ';' or '|'.
+ * @param {string} text - CSV contents
+ * @returns {{rows: Object[]}|{error: string}}
+ */
+function readImportCsv(text) {
+    const [header, ...lines] = parseCsv(text);
+
+    if (!header) {
+        return { error: 'The file is empty' };
+    }
+
+    const columns = header.map(name => HEADER_ALIASES[name.toLowerCase().replace(/[\s_-]/g, '')] || null);
+    const missing = Object.keys(REQUIRED_COLUMNS)
+        .filter(column => !columns.includes(column))
+        .map(column => REQUIRED_COLUMNS[column]);
+
+    if (missing.length > 0) {
+        return { error: `Missing columns: ${missing.join(', ')}` };
+    }
+    if (lines.length === 0) {
+        return { error: 'The file has no rows' };
+    }
+    if (lines.length > MAX_IMPORT_ROWS) {
+        return { error: `At most ${MAX_IMPORT_ROWS} users can be imported at once` };
+    }
+
+    const rows = lines.map((fields, index) => {
+        const value = (column) => (fields[columns.indexOf(column)] || '').trim();
+        return {
+            // Spreadsheet row number (the header is row 1)
+            row: index + 2,
+            email: value('email').toLowerCase(),
+            firstName: value('firstName'),
+            lastName: value('lastName'),
+            role: value('role'),
+            projects: value('projects').split(/[;|]/).map(code => code.trim()).filter(Boolean)
+        };
+    });
+
+    return { rows };
+}
+
+// Seats left under plan_limits.users, counting pending invitations as taken.
+// null when the plan has no user limit.
+async function getRemainingSeats(tenantId) {
+    const [tenants] = await db.query('SELECT plan_limits FROM tenants WHERE id = ?', [tenantId]);
+    const limits = typeof tenants[0].plan_limits === 'string'
+        ? JSON.parse(tenants[0].plan_limits)
+        : (tenants[0].plan_limits || {});
+
+    if (!(limits.users > 0)) {
+        return null;
+    }
+
+    const [[{ taken }]] = await db.query(
+        `SELECT (SELECT COUNT(*) FROM users
+                 WHERE tenant_id = ? AND status = 'active' AND is_service_account = FALSE)
+              + (SELECT COUNT(*) FROM user_invitations
+                 WHERE tenant_id = ? AND status = 'pending' AND expires_at > NOW()) as taken`,
+        [tenantId, tenantId]
+    );
+
+    return { limit: limits.users, remaining: Math.max(limits.users - taken, 0) };
+}
+
+/**
+ * Check each row and set row.status ('valid' or 'error'), row.errors,
+ * row.roleId and row.projectIds. Seats under the plan's user limit go to
+ * valid rows in file order.
+ * @param {number} tenantId
+ * @param {Object[]} rows - From readImportCsv
+ * @returns {Promise<Object[]>} The same rows
+ */
+async function validateImportRows(tenantId, rows) {
+    const emails = rows.map(row => row.email).filter(Boolean);
+
+    const [users] = emails.length > 0
+        ? await db.query('SELECT email FROM users WHERE tenant_id = ? AND email IN (?)', [tenantId, emails])
+        : [[]];
+    const [invitations] = emails.length > 0
+        ? await db.query(
+            `SELECT email FROM user_invitations
+             WHERE tenant_id = ? AND status = 'pending' AND expires_at > NOW() AND email IN (?)`,
+            [tenantId, emails]
+        )
+        : [[]];
+    const [roles] = await db.query('SELECT id, name FROM roles WHERE tenant_id = ?', [tenantId]);
+    const [projects] = await db.query(
+        `SELECT id, code FROM projects WHERE tenant_id = ? AND status = 'active' AND code IS NOT NULL`,
+        [tenantId]
+    );
+    const seats = await getRemainingSeats(tenantId);
+
+    const existing = new Set(users.map(user => user.email.toLowerCase()));
+    const invited = new Set(invitations.map(invitation => invitation.email.toLowerCase()));
+    const roleIds = new Map(roles.map(role => [role.name.toLowerCase(), role.id]));
+    const projectIds = new Map(projects.map(project => [project.code.toLowerCase(), project.id]));
+    const seen = new Set();
+    let seatsUsed = 0;
+
+    for (const row of rows) {
+        const errors = [];
+
+        if (!row.email) {
+            errors.push('Email is required');
+        } else if (row.email.length > 255 || !EMAIL_PATTERN.test(row.email)) {
+            errors.push('Invalid email address');
+        } else if (seen.has(row.email)) {
+            errors.push('Email appears more than once in the file');
+        } else if (existing.has(row.email)) {
+            errors.push('A user with this email already exists');
+        } else if (invited.has(row.email)) {
+            errors.push('This email already has a pending invitation');
+        }
+        seen.add(row.email);
+
+        if (!row.firstName || !row.lastName) {
+            errors.push('First and last name are required');
+        } else if (row.firstName.length > 100 || row.lastName.length > 100) {
+            errors.push('Names must be at most 100 characters');
+        }
+
+        row.roleId = roleIds.get(row.role.toLowerCase()) || null;
+        if (!row.role) {
+            errors.push('Role is required');
+        } else if (!row.roleId) {
+            errors.push(`Unknown role: ${row.role}`);
+        }
+
+        const unknown = row.projects.filter(code => !projectIds.has(code.toLowerCase()));
+        if (unknown.length > 0) {
+            errors.push(`Unknown project codes: ${unknown.join(', ')}`);
+        }
+        row.projectIds = [...new Set(row.projects.map(code => projectIds.get(code.toLowerCase())).filter(Boolean))];
+
+        if (errors.length === 0 && seats) {
+            if (seatsUsed >= seats.remaining) {
+                errors.push(`Over the plan's limit of ${seats.limit} users`);
+            } else {
+                seatsUsed++;
+            }
+        }
+
+        row.errors = errors;
+        row.status = errors.length > 0 ? 'error' : 'valid';
+    }
+
+    return rows;
+}
+
+const toReportRow = (row) => ({
+    row: row.row,
+    email: row.email,
+    firstName: row.firstName,
+    lastName: row.lastName,
+    role: row.role,
+    projects: row.projects.join(';'),
+    status: row.status,
+    errors: row.errors.join('; '),
+    invitationId: row.invitationId || null
+});
+
+// Email the new invitations, then mark the import completed
+function sendImportEmails(importId, invitations, { inviter, tenantName }) {
+    setImmediate(async () => {
+        try {
+            let sent = 0;
+            for (const invitation of invitations) {
+                await sendInvitationEmail({ ...invitation, inviter, tenantName });
+                sent++;
+                if (sent % 50 === 0) {
+                    await db.query('UPDATE user_imports SET emails_sent = ? WHERE id = ?', [sent, importId]);
+                }
+            }
+
+            await db.query(
+                `UPDATE user_imports SET status = 'completed', emails_sent = ?, completed_at = NOW() WHERE id = ?`,
+                [sent, importId]
+            );
+        } catch (error) {
+            console.error('User import email error:', error);
+            await db.query(
+                `UPDATE user_imports SET status = 'failed', completed_at = NOW() WHERE id = ?`,
+                [importId]
+            ).catch(() => {});
+        }
+    });
+}
+
+/**
+ * Validate an import and, unless it is a dry run, create an invitation for
+ * every valid row. Invalid rows are skipped and listed in the report.
+ * Invitation emails go out in the background.
+ * @param {Object} options
+ * @param {Object} options.user - req.user of the importing admin
+ * @param {string} options.fileName - Uploaded file name
+ * @param {Object[]} options.rows - From readImportCsv
+ * @param {boolean} options.dryRun
+ * @returns {Promise<Object>} { importId, summary, rows } (rows in report form)
+ */
+async function importUsers({ user, fileName, rows, dryRun }) {
+    await validateImportRows(user.tenantId, rows);
+
+    const validRows = rows.filter(row => row.status === 'valid');
+    const invitations = [];
+
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    let importId;
+
+    try {
+        const [result] = await connection.query(
+            `INSERT INTO user_imports (tenant_id, requested_by, file_name, dry_run, status, total_rows, valid_rows, error_rows)
+             VALUES (?, ?, ?, ?, 'validated', ?, ?, ?)`,
+            [user.tenantId, user.id, fileName, dryRun, rows.length, validRows.length, rows.length - validRows.length]
+        );
+        importId = result.insertId;
+
+        if (!dryRun) {
+            for (const row of validRows) {
+                const { token, expiresAt } = createInvitationToken();
+                const [invitation] = await connection.query(
+                    `INSERT INTO user_invitations
+                        (tenant_id, email, first_name, last_name, invited_by, token, role_id, project_ids, import_id, expires_at, status)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+                    [
+                        user.tenantId,
+                        row.email,
+                        row.firstName,
+                        row.lastName,
+                        user.id,
+                        token,
+                        row.roleId,
+                        row.projectIds.length > 0 ? JSON.stringify(row.projectIds) : null,
+                        importId,
+                        expiresAt
+                    ]
+                );
+                row.invitationId = invitation.insertId;
+                row.status = 'invited';
+                invitations.push({ email: row.email, firstName: row.firstName, token });
+            }
+        }
+
+        const summary = {
+            total: rows.length,
+            valid: validRows.length,
+            errors: rows.length - validRows.length,
+            invited: invitations.length
+        };
+        const report = { summary, rows: rows.map(toReportRow) };
+
+        const status = dryRun ? 'validated' : (invitations.length > 0 ? 'sending' : 'completed');
+        await connection.query(
+            `UPDATE user_imports
+             SET status = ?, invited_count = ?, report = ?, completed_at = IF(? = 'sending', NULL, NOW())
+             WHERE id = ?`,
+            [status, invitations.length, JSON.stringify(report), status, importId]
+        );
+
+        await connection.commit();
+        connection.release();
+
+        if (invitations.length > 0) {
+            sendImportEmails(importId, invitations, { inviter: user, tenantName: user.tenantName });
+        }
+
+        return { importId, ...report };
+    } catch (error) {
+        await connection.rollback();
+        connection.release();
+        throw error;
+    }
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    REPORT_COLUMNS,
+    readImportCsv,
+    validateImportRows,
+    importUsers
+};
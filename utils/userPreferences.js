@@ -0,0 +1,90 @@
+// utils/userPreferences.js - Typed profile preferences kept in users.preferences
+// (next to the notification preferences, which are free-form)
+const { isValidTimezone } = require('./tenantSettings');
+
+const isValidLocale = (locale) => {
+    try {
+        return Intl.getCanonicalLocales(locale).length === 1;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Each field checks a non-null value and returns an error message, or null
+// when it is fine; `clean` normalizes an accepted value. Served (without the
+// functions) by GET /auth/me/preferences/schema.
+const PREFERENCE_FIELDS = {
+    locale: {
+        label: 'Language and region (e.g. en-US)',
+        check: (value) => (typeof value === 'string' && value.length <= 35 && isValidLocale(value)
+            ? null
+            : 'Must be a language tag such as en-US'),
+        clean: (value) => Intl.getCanonicalLocales(value)[0]
+    },
+    theme: {
+        label: 'Theme',
+        values: ['system', 'light', 'dark'],
+        default: 'system',
+        check: (value) => (PREFERENCE_FIELDS.theme.values.includes(value)
+            ? null
+            : `Must be one of: ${PREFERENCE_FIELDS.theme.values.join(', ')}`)
+    },
+    timezone: {
+        label: "Time zone (the organization's when not set)",
+        check: (value) => (isValidTimezone(value) ? null : 'Must be an IANA time zone such as Europe/Berlin')
+    },
+    defaultProjectId: {
+        label: 'Project opened after signing in',
+        // Whether the project exists is checked by the caller
+        check: (value) => (Number.isInteger(value) && value > 0 ? null : 'Must be a project id')
+    }
+};
+
+/**
+ * Validate a preferences patch. null clears a preference.
+ * @param {Object} input - Preferences from the request body
+ * @returns {{preferences: Object, errors: Array<{path: string, message: string}>}}
+ */
+function validatePreferences(input) {
+    const errors = [];
+    const preferences = {};
+
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { preferences, errors: [{ path: 'preferences', message: 'Must be an object' }] };
+    }
+
+    for (const [key, value] of Object.entries(input)) {
+        const field = PREFERENCE_FIELDS[key];
+        const path = `preferences.${key}`;
+
+        if (!field) {
+            errors.push({ path, message: 'Unknown preference' });
+            continue;
+        }
+
+        const message = value === null ? null : field.check(value);
+        if (message) {
+            errors.push({ path, message });
+        } else {
+            preferences[key] = field.clean && value !== null ? field.clean(value) : value;
+        }
+    }
+
+    return { preferences, errors };
+}
+
+/**
+ * The fields of a free-form preferences object that are not typed profile
+ * preferences, so other routes cannot overwrite those unchecked
+ * @param {Object} input
+ * @returns {Object}
+ */
+function withoutProfilePreferences(input) {
+    return Object.fromEntries(Object.entries(input).filter(([key]) => !PREFERENCE_FIELDS[key]));
+}
+
+module.exports = {
+    PREFERENCE_FIELDS,
+    validatePreferences,
+    withoutProfilePreferences
+};
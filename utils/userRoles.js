@@ -0,0 +1,177 @@
+// utils/userRoles.js - A user's roles (several per user, through user_roles),
+// and the rule that every organization keeps at least one active admin
+const db = require('../config/database');
+
+const LAST_ADMIN_ERROR = 'The organization must keep at least one active admin';
+
+// Active, human holders of the system Admin role
+async function countAdmins(connection, tenantId) {
+    const [[{ admins }]] = await connection.query(
+        `SELECT COUNT(DISTINCT u.id) as admins
+         FROM users u
+         JOIN user_roles ur ON u.id = ur.user_id
+         JOIN roles r ON ur.role_id = r.id
+         WHERE u.tenant_id = ? AND u.status = 'active' AND u.is_service_account = FALSE
+           AND r.name = 'Admin' AND r.is_system_role = TRUE`,
+        [tenantId]
+    );
+    return admins;
+}
+
+/**
+ * Run a change to users or their roles in a transaction, and roll it back
+ * if it leaves the organization without an active admin. The tenant's Admin
+ * role row is locked first, so two concurrent changes cannot each remove a
+ * different last admin.
+ * @param {number} tenantId
+ * @param {Function} change - async (connection) => result; a result with `error` is rolled back too
+ * @returns {Promise<Object>} The change's result, or { error, status: 409 }
+ */
+async function withAdminGuard(tenantId, change) {
+    const connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    try {
+        await connection.query(
+            `SELECT id FROM roles WHERE tenant_id = ? AND name = 'Admin' AND is_system_role = TRUE FOR UPDATE`,
+            [tenantId]
+        );
+        const adminsBefore = await countAdmins(connection, tenantId);
+
+        let result = (await change(connection)) || {};
+
+        if (!result.error && adminsBefore > 0 && (await countAdmins(connection, tenantId)) === 0) {
+            result = { error: LAST_ADMIN_ERROR, status: 409 };
+        }
+
+        if (result.error) {
+            await connection.rollback();
+        } else {
+            await connection.commit();
+        }
+        connection.release();
+
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        connection.release();
+        throw error;
+    }
+}
+
+/**
+ * The tenant's roles among roleIds
+ * @param {number} tenantId
+ * @param {number[]} roleIds
+ * @returns {Promise<Object[]>} { id, name } rows; fewer than asked for if some are unknown
+ */
+async function findTenantRoles(tenantId, roleIds) {
+    if (roleIds.length === 0) {
+        return [];
+    }
+    const [roles] = await db.query(
+        'SELECT id, name FROM roles WHERE tenant_id = ? AND id IN (?)',
+        [tenantId, roleIds]
+    );
+    return roles;
+}
+
+/**
+ * Add, remove or replace a user's roles. The user keeps at least one role,
+ * and the organization at least one admin. Role ids must already be checked
+ * with findTenantRoles.
+ * @param {number} tenantId
+ * @param {number} userId
+ * @param {Object} changes
+ * @param {number[]} [changes.add]
+ * @param {number[]} [changes.remove]
+ * @param {number[]} [changes.replace] - The complete new set
+ * @returns {Promise<{roleIds: number[]}|{error: string, status: number}>}
+ */
+async function changeUserRoles(tenantId, userId, { add = [], remove = [], replace = null }) {
+    return withAdminGuard(tenantId, async (connection) => {
+        if (replace) {
+            await connection.query(
+                'DELETE FROM user_roles WHERE user_id = ? AND role_id NOT IN (?)',
+                [userId, replace]
+            );
+        }
+        if (remove.length > 0) {
+            await connection.query(
+                'DELETE FROM user_roles WHERE user_id = ? AND role_id IN (?)',
+                [userId, remove]
+            );
+        }
+
+        const toAdd = [...new Set([...add, ...(replace || [])])];
+        if (toAdd.length > 0) {
+            await connection.query(
+                'INSERT IGNORE INTO user_roles (user_id, role_id) VALUES ?',
+                [toAdd.map(roleId => [userId, roleId])]
+            );
+        }
+
+        const [rows] = await connection.query('SELECT role_id FROM user_roles WHERE user_id = ?', [userId]);
+        if (rows.length === 0) {
+            return { error: 'A user must keep at least one role', status: 400 };
+        }
+
+        return { roleIds: rows.map(row => row.role_id) };
+    });
+}
+
+/**
+ * Each user's roles, with the names of the permissions every role grants
+ * @param {number[]} userIds
+ * @returns {Promise<Map<number, Object[]>>} user id => [{ id, name, description, is_system_role, permissions }]
+ */
+async function loadRolesWithPermissions(userIds) {
+    const byUser = new Map(userIds.map(id => [Number(id), []]));
+    if (userIds.length === 0) {
+        return byUser;
+    }
+
+    const [assignments] = await db.query(
+        `SELECT ur.user_id, r.id, r.name, r.description, r.is_system_role
+         FROM user_roles ur
+         JOIN roles r ON ur.role_id = r.id
+         WHERE ur.user_id IN (?)
+         ORDER BY r.name`,
+        [userIds]
+    );
+
+    const roleIds = [...new Set(assignments.map(row => row.id))];
+    const [grants] = roleIds.length > 0
+        ? await db.query(
+            `SELECT rp.role_id, p.name
+             FROM role_permissions rp
+             JOIN permissions p ON rp.permission_id = p.id
+             WHERE rp.role_id IN (?)
+             ORDER BY p.name`,
+            [roleIds]
+        )
+        : [[]];
+
+    const permissions = new Map(roleIds.map(id => [id, []]));
+    for (const grant of grants) {
+        permissions.get(grant.role_id).push(grant.name);
+    }
+
+    for (const { user_id: userId, ...role } of assignments) {
+        byUser.get(userId).push({
+            ...role,
+            is_system_role: !!role.is_system_role,
+            permissions: permissions.get(role.id)
+        });
+    }
+
+    return byUser;
+}
+
+module.exports = {
+    LAST_ADMIN_ERROR,
+    withAdminGuard,
+    findTenantRoles,
+    changeUserRoles,
+    loadRolesWithPermissions
+};